@@ -0,0 +1,99 @@
+export {};
+
+const { csvCell, formatCsvRow, parseCsv } = require("../src/csv");
+
+describe("parseCsv", () => {
+  it("splits plain records on commas and line breaks", () => {
+    expect(parseCsv("email,name\na@example.com,Ann\nb@example.com,Bob")).toEqual([
+      ["email", "name"],
+      ["a@example.com", "Ann"],
+      ["b@example.com", "Bob"]
+    ]);
+  });
+
+  it("accepts CRLF, LF and bare CR line endings", () => {
+    expect(parseCsv("a,b\r\nc,d\re,f\n")).toEqual([["a", "b"], ["c", "d"], ["e", "f"]]);
+  });
+
+  it("keeps commas, line breaks and escaped quotes inside quoted fields", () => {
+    const text = "name,note\r\n\"Smith, Jo\",\"line one\r\nline \"\"two\"\"\"\r\n";
+
+    expect(parseCsv(text)).toEqual([
+      ["name", "note"],
+      ["Smith, Jo", "line one\r\nline \"two\""]
+    ]);
+  });
+
+  it("strips a leading byte order mark", () => {
+    expect(parseCsv("\uFEFFemail\na@example.com")).toEqual([["email"], ["a@example.com"]]);
+  });
+
+  it("skips blank lines but keeps rows of empty fields", () => {
+    expect(parseCsv("email\n\n   \na@example.com\n,\n")).toEqual([
+      ["email"],
+      ["a@example.com"],
+      ["", ""]
+    ]);
+  });
+
+  it("keeps empty fields between and after commas", () => {
+    expect(parseCsv("a,,c,\n")).toEqual([["a", "", "c", ""]]);
+  });
+
+  it("treats a quote inside an unquoted field as text", () => {
+    expect(parseCsv("say \"hi\",x")).toEqual([["say \"hi\"", "x"]]);
+  });
+
+  it("returns no records for empty input", () => {
+    expect(parseCsv("")).toEqual([]);
+    expect(parseCsv("\r\n\r\n")).toEqual([]);
+  });
+});
+
+describe("csvCell", () => {
+  it("leaves simple values as they are", () => {
+    expect(csvCell("hello")).toBe("hello");
+    expect(csvCell(42)).toBe("42");
+    expect(csvCell(false)).toBe("false");
+  });
+
+  it("writes null and undefined as empty cells", () => {
+    expect(csvCell(null)).toBe("");
+    expect(csvCell(undefined)).toBe("");
+  });
+
+  it("joins arrays with semicolons", () => {
+    expect(csvCell(["vip", "beta"])).toBe("vip;beta");
+  });
+
+  it("quotes values with commas, quotes or line breaks", () => {
+    expect(csvCell("Smith, Jo")).toBe("\"Smith, Jo\"");
+    expect(csvCell("say \"hi\"")).toBe("\"say \"\"hi\"\"\"");
+    expect(csvCell("one\ntwo")).toBe("\"one\ntwo\"");
+  });
+
+  it("defuses values a spreadsheet would run as a formula", () => {
+    expect(csvCell("=SUM(A1:A2)")).toBe("'=SUM(A1:A2)");
+    expect(csvCell("+1")).toBe("'+1");
+    expect(csvCell("-1")).toBe("'-1");
+    expect(csvCell("@cmd")).toBe("'@cmd");
+    expect(csvCell("\tTAB")).toBe("'\tTAB");
+    expect(csvCell("=HYPERLINK(\"x\",\"y\")")).toBe("\"'=HYPERLINK(\"\"x\"\",\"\"y\"\")\"");
+  });
+});
+
+describe("formatCsvRow", () => {
+  it("writes the columns in order and ends with CRLF", () => {
+    const row = { email: "a@example.com", name: "Smith, Jo", tags: ["vip"], extra: "ignored" };
+
+    expect(formatCsvRow(["email", "name", "score", "tags"], row))
+      .toBe("a@example.com,\"Smith, Jo\",,vip\r\n");
+  });
+
+  it("round-trips through parseCsv", () => {
+    const columns = ["name", "note"];
+    const row = { name: "Jo \"JJ\" Smith", note: "a,b\r\nc" };
+
+    expect(parseCsv(formatCsvRow(columns, row))).toEqual([[row.name, row.note]]);
+  });
+});
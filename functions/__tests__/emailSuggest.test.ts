@@ -0,0 +1,81 @@
+export {};
+
+const EmailSuggest = require("../src/emailSuggest");
+
+describe("email suggestions", () => {
+  it.each([
+    ["jane@gmial.com", "gmail.com"],
+    ["jane@gmai.com", "gmail.com"],
+    ["jane@gmail.con", "gmail.com"],
+    ["jane@hotmial.con", "hotmail.com"],
+    ["jane@yaho.com", "yahoo.com"],
+    ["jane@outlok.com", "outlook.com"],
+    ["jane@example.con", "example.com"]
+  ])("suggests a fix for %s", (email, domain) => {
+    expect(EmailSuggest.suggest(email)).toEqual({
+      address: "jane",
+      domain,
+      full: `jane@${domain}`
+    });
+  });
+
+  it.each([
+    "jane@gmail.com",
+    "jane@yahoo.co.jp",
+    "jane@hotmail.de",
+    "jane@outlook.co.uk",
+    "jane@live.com.au",
+    "jane@gmx.net",
+    "jane@mail.ru",
+    "jane@fastmail.fm",
+    "jane@ymail.com"
+  ])("leaves the known provider domain in %s alone", (email) => {
+    expect(EmailSuggest.suggest(email)).toBeNull();
+  });
+
+  it.each([
+    ["a short name", "jane@gm.com"],
+    ["a real domain a few edits from a provider", "jane@acme.com"],
+    ["a custom domain", "jane@highleveragehumans.com"],
+    ["a real provider one edit from another", "jane@email.com"]
+  ])("does not suggest for %s", (_label, email) => {
+    expect(EmailSuggest.suggest(email)).toBeNull();
+  });
+
+  it.each([null, "", "jane", "@gmail.com", "jane@"])("ignores %p", (email) => {
+    expect(EmailSuggest.suggest(email)).toBeNull();
+  });
+
+  it.each([
+    "jane@company.co.za",
+    "jane@uni.edu.au",
+    "jane@firma.at",
+    "jane@firma.dk",
+    "jane@firma.pl",
+    "jane@firma.be",
+    "jane@firma.in",
+    "jane@firma.eu",
+    "jane@firma.pt"
+  ])("leaves the real TLD in %s alone", (email) => {
+    expect(EmailSuggest.suggest(email)).toBeNull();
+  });
+
+  it("knows every country code TLD and registry second levels under them", () => {
+    ["at", "dk", "za", "edu.au", "co.za", "com.br", "ac.uk"].forEach(tld => {
+      expect(EmailSuggest.isKnownTld(tld)).toBe(true);
+    });
+    ["con", "cmo", "co.con"].forEach(tld => {
+      expect(EmailSuggest.isKnownTld(tld)).toBe(false);
+    });
+  });
+
+  it("matches case-insensitively and keeps the address part", () => {
+    expect(EmailSuggest.suggest("  Jane.Doe@GMIAL.COM ")?.full).toBe("jane.doe@gmail.com");
+  });
+
+  it("counts a swap of two letters as one edit", () => {
+    expect(EmailSuggest.editDistance("gmail", "gmial")).toBe(1);
+    expect(EmailSuggest.editDistance("gmail", "gmail")).toBe(0);
+    expect(EmailSuggest.editDistance("acme.com", "me.com")).toBe(2);
+  });
+});
@@ -0,0 +1,207 @@
+export {};
+
+// In-memory Firestore: documents keyed by path, queried with the few
+// operators the funnel uses
+type MockDoc = Record<string, unknown>;
+type MockSnapshot = { id: string, exists: boolean, data: () => MockDoc };
+type MockQueryOptions = {
+  filters?: { field: string, value: unknown }[],
+  limit?: number,
+  startAt?: string,
+  endAt?: string,
+  startAfter?: string
+};
+const mockDocs = new Map<string, MockDoc>();
+
+jest.mock("../src/firebase", () => {
+  const DOCUMENT_ID = "__name__";
+
+  const snapshot = (path: string) => ({
+    id: path.split("/").pop() as string,
+    ref: docRef(path),
+    exists: mockDocs.has(path),
+    data: () => mockDocs.get(path) as MockDoc
+  });
+
+  const query = (path: string, options: MockQueryOptions = {}): object => ({
+    where: (field: string, op: string, value: unknown) => query(path, {
+      ...options,
+      filters: [...(options.filters || []), { field, value }]
+    }),
+    orderBy: (field: string) => {
+      if (field !== DOCUMENT_ID) {
+        throw new Error(`Unsupported order: ${field}`);
+      }
+      return query(path, options);
+    },
+    limit: (limit: number) => query(path, { ...options, limit }),
+    startAt: (id: string) => query(path, { ...options, startAt: id }),
+    endAt: (id: string) => query(path, { ...options, endAt: id }),
+    startAfter: (doc: { id: string }) => query(path, { ...options, startAfter: doc.id }),
+    get: async () => {
+      const docs = [...mockDocs.keys()]
+        .filter(key => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes("/"))
+        .sort()
+        .map(snapshot)
+        .filter((doc: MockSnapshot) => (options.filters || [])
+          .every(({ field, value }) => doc.data()[field] === value))
+        .filter((doc: MockSnapshot) => !options.startAt || doc.id >= options.startAt)
+        .filter((doc: MockSnapshot) => !options.endAt || doc.id <= options.endAt)
+        .filter((doc: MockSnapshot) => !options.startAfter || doc.id > options.startAfter)
+        .slice(0, options.limit);
+      return { docs, size: docs.length, empty: !docs.length };
+    },
+    doc: (id: string) => docRef(`${path}/${id}`)
+  });
+
+  function docRef(path: string): object {
+    return {
+      id: path.split("/").pop(),
+      path,
+      collection: (name: string) => query(`${path}/${name}`),
+      get: async () => snapshot(path),
+      set: async (data: MockDoc, { merge = false } = {}) => {
+        mockDocs.set(path, merge ? { ...mockDocs.get(path), ...data } : data);
+      }
+    };
+  }
+
+  return {
+    admin: {
+      firestore: {
+        FieldPath: { documentId: () => DOCUMENT_ID },
+        FieldValue: { serverTimestamp: () => "SERVER_TIMESTAMP" }
+      }
+    },
+    db: {
+      collection: (name: string) => query(name),
+      collectionGroup: (name: string) => query(name)
+    }
+  };
+});
+
+const { buildDailyFunnel, getFunnel } = require("../src/funnel");
+
+let eventCount = 0;
+const addStep = (dateKey: string, sessionId: string | null, step: string, extra: MockDoc = {}) => {
+  eventCount += 1;
+  const id = `event-${String(eventCount).padStart(4, "0")}`;
+  mockDocs.set(`analytics_partitions/${dateKey}/client_events/${id}`, {
+    name: "funnel_step",
+    sessionId,
+    deviceClass: extra.deviceClass || "desktop",
+    data: { step, ...(extra.data as MockDoc) }
+  });
+};
+
+const runAt = async (iso: string) => {
+  jest.setSystemTime(new Date(iso));
+  return buildDailyFunnel();
+};
+
+describe("waitlist funnel", () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ["nextTick", "setImmediate"] });
+    mockDocs.clear();
+    eventCount = 0;
+    mockDocs.set("admin/funnels", { lastBuiltDate: "2026-03-01" });
+
+    ["hero_view", "early_access_view", "email_focus", "submit_attempt", "submit_success"]
+      .forEach(step => addStep("2026-03-02", "s1", step, {
+        deviceClass: "mobile",
+        data: { utmSource: "google" }
+      }));
+    ["hero_view", "email_focus", "submit_attempt", "validation_failure"]
+      .forEach(step => addStep("2026-03-02", "s2", step));
+    // Lands straight on #early-access, skipping the hero
+    addStep("2026-03-02", "s4", "early_access_view");
+    addStep("2026-03-02", "s2", "hero_view");
+    addStep("2026-03-02", null, "hero_view");
+    addStep("2026-03-02", "s5", "not_a_step");
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("counts each session once per step and works out the rates", async () => {
+    await expect(runAt("2026-03-03T06:00:00Z")).resolves.toMatchObject({
+      built: 2,
+      from: "2026-03-01",
+      lastBuiltDate: "2026-03-02",
+      done: true
+    });
+
+    const funnel = await getFunnel({ from: "2026-03-01", to: "2026-03-02" });
+
+    expect(funnel.sessions).toBe(3);
+    expect(funnel.steps).toEqual([
+      { step: "hero_view", sessions: 2, conversionFromPrevious: null, conversionFromStart: 1 },
+      {
+        step: "early_access_view",
+        sessions: 2,
+        conversionFromPrevious: 1,
+        conversionFromStart: 1
+      },
+      { step: "email_focus", sessions: 2, conversionFromPrevious: 1, conversionFromStart: 1 },
+      { step: "submit_attempt", sessions: 2, conversionFromPrevious: 1, conversionFromStart: 1 },
+      {
+        step: "submit_success",
+        sessions: 1,
+        conversionFromPrevious: 0.5,
+        conversionFromStart: 0.5
+      }
+    ]);
+    expect(funnel.validationFailure).toEqual({ sessions: 1, rateOfAttempts: 0.5 });
+    expect(funnel.series).toEqual([
+      { date: "2026-03-01", sessions: 0, submitSuccess: 0, conversion: null },
+      { date: "2026-03-02", sessions: 3, submitSuccess: 1, conversion: 0.3333 }
+    ]);
+  });
+
+  it("breaks the funnel down by segment", async () => {
+    await runAt("2026-03-03T06:00:00Z");
+
+    const funnel = await getFunnel({ from: "2026-03-02", to: "2026-03-02", by: "source" });
+
+    expect(funnel.segments.by).toBe("source");
+    const values = funnel.segments.values as { value: string, sessions: number }[];
+    expect(values.map(({ value, sessions }) => [value, sessions]))
+      .toEqual([["direct", 2], ["google", 1]]);
+    expect(funnel.segments.values[1].steps[4]).toMatchObject({
+      step: "submit_success",
+      conversionFromStart: 1
+    });
+  });
+
+  it("gives a session that runs past midnight to the day it started", async () => {
+    addStep("2026-03-02", "s3", "hero_view");
+    await runAt("2026-03-03T06:00:00Z");
+
+    // The rest of s3 arrives after midnight, along with a new session
+    addStep("2026-03-03", "s3", "submit_attempt");
+    addStep("2026-03-03", "s3", "submit_success");
+    addStep("2026-03-03", "s6", "hero_view");
+
+    await expect(runAt("2026-03-04T06:00:00Z")).resolves.toMatchObject({
+      built: 2,
+      from: "2026-03-02",
+      lastBuiltDate: "2026-03-03"
+    });
+
+    const funnel = await getFunnel({ from: "2026-03-02", to: "2026-03-03" });
+    expect(funnel.sessions).toBe(5);
+    expect(funnel.series).toEqual([
+      { date: "2026-03-02", sessions: 4, submitSuccess: 2, conversion: 0.5 },
+      { date: "2026-03-03", sessions: 1, submitSuccess: 0, conversion: 0 }
+    ]);
+  });
+
+  it("only rebuilds the last day built until another day has finished", async () => {
+    await runAt("2026-03-03T06:00:00Z");
+    mockDocs.delete("admin/funnels/days/2026-03-02");
+
+    await expect(runAt("2026-03-03T23:00:00Z")).resolves.toMatchObject({ built: 1 });
+    expect(mockDocs.get("admin/funnels/days/2026-03-02")?.overall).toMatchObject({ sessions: 3 });
+  });
+});
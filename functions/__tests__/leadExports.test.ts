@@ -0,0 +1,161 @@
+export {};
+
+// Export jobs in memory, and the Storage paths that exist
+type MockJob = Record<string, unknown>;
+const mockJobs = new Map<string, MockJob>();
+const mockFiles = new Set<string>();
+
+jest.mock("../src/firebase", () => {
+  const file = (path: string) => ({
+    name: path,
+    delete: async () => {
+      mockFiles.delete(path);
+    }
+  });
+  const jobs = {
+    get: async () => {
+      const docs = [...mockJobs.entries()].map(([id, job]) => ({
+        id,
+        ref: { id },
+        data: () => job
+      }));
+      return { docs, size: docs.length };
+    }
+  };
+
+  return {
+    admin: {
+      firestore: { FieldValue: { serverTimestamp: () => "SERVER_TIMESTAMP" } },
+      storage: () => ({
+        bucket: () => ({
+          file,
+          getFiles: async ({ prefix }: { prefix: string }) =>
+            [[...mockFiles].filter(path => path.startsWith(prefix)).map(file)]
+        })
+      })
+    },
+    db: {
+      collection: () => ({ doc: () => ({ collection: () => jobs }) }),
+      batch: () => {
+        const writes: (() => void)[] = [];
+        return {
+          update: (ref: { id: string }, fields: MockJob) => {
+            writes.push(() => mockJobs.set(ref.id, { ...mockJobs.get(ref.id), ...fields }));
+          },
+          commit: async () => writes.forEach(write => write())
+        };
+      }
+    }
+  };
+});
+
+const { purgeSubjectExports } = require("../src/leadExports");
+
+const at = (iso: string) => ({ toMillis: () => Date.parse(iso) });
+
+const addJob = (id: string, job: MockJob) => {
+  mockJobs.set(id, { status: "completed", storagePath: `admin/exports/${id}.csv`, ...job });
+  mockFiles.add(`admin/exports/${id}.csv`);
+};
+
+const lead = {
+  email: "jane@example.com",
+  source: "website",
+  campaign: "spring",
+  status: "confirmed",
+  timestamp: at("2026-03-10T12:00:00Z")
+};
+
+describe("purgeSubjectExports", () => {
+  beforeEach(() => {
+    mockJobs.clear();
+    mockFiles.clear();
+  });
+
+  it("purges only the exports that may list the lead", async () => {
+    addJob("everything", { createdAt: at("2026-04-01T00:00:00Z"), filters: {} });
+    addJob("same-source", {
+      createdAt: at("2026-04-01T00:00:00Z"),
+      filters: { source: "website", from: "2026-03-01T00:00:00Z" }
+    });
+    // Status and score may have been different when it ran
+    addJob("other-status", {
+      createdAt: at("2026-04-01T00:00:00Z"),
+      filters: { status: "pending", minScore: 90 }
+    });
+    addJob("before-signup", { createdAt: at("2026-03-01T00:00:00Z"), filters: {} });
+    addJob("other-source", {
+      createdAt: at("2026-04-01T00:00:00Z"),
+      filters: { source: "import" }
+    });
+    addJob("other-campaign", {
+      createdAt: at("2026-04-01T00:00:00Z"),
+      filters: { campaign: "autumn" }
+    });
+    addJob("earlier-range", {
+      createdAt: at("2026-04-01T00:00:00Z"),
+      filters: { to: "2026-03-01T00:00:00Z" }
+    });
+    addJob("later-range", {
+      createdAt: at("2026-04-01T00:00:00Z"),
+      filters: { from: "2026-03-20T00:00:00Z" }
+    });
+
+    await expect(purgeSubjectExports([lead])).resolves.toEqual({
+      deletedExportFiles: 3,
+      purgedExports: 3
+    });
+
+    const purged = [...mockJobs.entries()]
+      .filter(([, job]) => job.status === "purged")
+      .map(([id]) => id);
+    expect(purged).toEqual(["everything", "same-source", "other-status"]);
+    expect([...mockFiles].sort()).toEqual([
+      "admin/exports/before-signup.csv",
+      "admin/exports/earlier-range.csv",
+      "admin/exports/later-range.csv",
+      "admin/exports/other-campaign.csv",
+      "admin/exports/other-source.csv"
+    ]);
+  });
+
+  it("deletes the parts of a job still in progress", async () => {
+    mockJobs.set("running", {
+      status: "running",
+      createdAt: at("2026-04-01T00:00:00Z"),
+      filters: {}
+    });
+    mockFiles.add("admin/exports/running/part-0000.csv");
+    mockFiles.add("admin/exports/running/part-0001.csv");
+
+    await expect(purgeSubjectExports([lead])).resolves.toEqual({
+      deletedExportFiles: 2,
+      purgedExports: 0
+    });
+    expect(mockFiles.size).toBe(0);
+    expect(mockJobs.get("running")?.status).toBe("running");
+  });
+
+  it("only goes by signup time for a lead that absorbed duplicates", async () => {
+    addJob("other-source", {
+      createdAt: at("2026-04-01T00:00:00Z"),
+      filters: { source: "import" }
+    });
+    addJob("before-signup", { createdAt: at("2026-03-01T00:00:00Z"), filters: {} });
+
+    await purgeSubjectExports([{ ...lead, mergedLeadIds: ["old-lead"] }]);
+
+    expect(mockJobs.get("other-source")?.status).toBe("purged");
+    expect(mockJobs.get("before-signup")?.status).toBe("completed");
+  });
+
+  it("leaves exports alone when the subject has no leads", async () => {
+    addJob("everything", { createdAt: at("2026-04-01T00:00:00Z"), filters: {} });
+
+    await expect(purgeSubjectExports([])).resolves.toEqual({
+      deletedExportFiles: 0,
+      purgedExports: 0
+    });
+    expect(mockFiles.size).toBe(1);
+  });
+});
@@ -0,0 +1,128 @@
+export {};
+
+// In-memory Firestore: documents keyed by path, with the transaction reads
+// and writes a lead migration uses
+type MockDoc = Record<string, unknown>;
+const mockDocs = new Map<string, MockDoc>();
+
+jest.mock("../src/firebase", () => {
+  function docRef(path: string): object {
+    return {
+      id: path.split("/").pop(),
+      path,
+      collection: (name: string) => query(`${path}/${name}`)
+    };
+  }
+
+  const snapshot = (path: string) => {
+    const data = mockDocs.get(path);
+    return { id: path.split("/").pop(), ref: docRef(path), exists: !!data, data: () => data };
+  };
+
+  type Query = { path: string, filters: [string, unknown][], after?: string };
+
+  // Documents come back in ID order, as the migration pages through them
+  const runQuery = ({ path, filters, after }: Query) => {
+    const docs = [...mockDocs.keys()]
+      .filter(key => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes("/"))
+      .filter(key => filters.every(([field, value]) => mockDocs.get(key)?.[field] === value))
+      .sort()
+      .map(snapshot)
+      .filter(doc => !after || (doc.id as string) > after);
+    return { docs, size: docs.length, empty: !docs.length };
+  };
+
+  const query = (path: string, filters: [string, unknown][] = [], after?: string): object => ({
+    path,
+    filters,
+    doc: (id: string) => docRef(`${path}/${id}`),
+    where: (field: string, op: string, value: unknown) =>
+      query(path, [...filters, [field, value]], after),
+    orderBy: () => query(path, filters, after),
+    limit: () => query(path, filters, after),
+    startAfter: (id: string) => query(path, filters, id),
+    get: async () => runQuery({ path, filters, after })
+  });
+
+  return {
+    admin: { firestore: { FieldPath: { documentId: () => "__name__" } } },
+    db: {
+      collection: (name: string) => query(name),
+      runTransaction: async (work: (transaction: object) => Promise<unknown>) => {
+        const writes: (() => void)[] = [];
+        const result = await work({
+          get: async (target: Query) =>
+            (target.filters ? runQuery(target) : snapshot(target.path)),
+          set: (ref: { path: string }, data: MockDoc) => {
+            writes.push(() => mockDocs.set(ref.path, data));
+          },
+          update: (ref: { path: string }, fields: MockDoc) => {
+            writes.push(() => mockDocs.set(ref.path, { ...mockDocs.get(ref.path), ...fields }));
+          },
+          delete: (ref: { path: string }) => {
+            writes.push(() => mockDocs.delete(ref.path));
+          }
+        });
+        writes.forEach(write => write());
+        return result;
+      }
+    }
+  };
+});
+
+const { leadIdForEmail, migrateLeadIds } = require("../src/leads");
+
+const EMAIL = "jane@example.com";
+const leadPath = (id: string) => `email_leads/${id}`;
+
+describe("migrateLeadIds", () => {
+  const canonicalId = leadIdForEmail(EMAIL);
+
+  beforeEach(() => {
+    mockDocs.clear();
+    mockDocs.set(leadPath("legacy-1"), {
+      email: EMAIL,
+      referralCode: "JANE1",
+      status: "confirmed"
+    });
+    mockDocs.set(leadPath("legacy-1/consent_ledger/entry-1"), { action: "accept" });
+    mockDocs.set("referral_codes/JANE1", { leadId: "legacy-1" });
+    mockDocs.set(leadPath(leadIdForEmail("sam@example.com")), {
+      email: "sam@example.com",
+      referredBy: "legacy-1"
+    });
+  });
+
+  it("moves a legacy lead and points its referrals at the new ID", async () => {
+    await expect(migrateLeadIds()).resolves.toMatchObject({ moved: 1, merged: 0, done: true });
+
+    expect(mockDocs.has(leadPath("legacy-1"))).toBe(false);
+    expect(mockDocs.get(leadPath(canonicalId))).toMatchObject({
+      email: EMAIL,
+      referralCode: "JANE1",
+      mergedLeadIds: ["legacy-1"]
+    });
+    expect(mockDocs.get(leadPath(`${canonicalId}/consent_ledger/entry-1`)))
+      .toEqual({ action: "accept" });
+    expect(mockDocs.get("referral_codes/JANE1")).toEqual({ leadId: canonicalId });
+    expect(mockDocs.get(leadPath(leadIdForEmail("sam@example.com"))))
+      .toMatchObject({ referredBy: canonicalId });
+  });
+
+  it("keeps both codes working when merging into an existing lead", async () => {
+    mockDocs.set(leadPath(canonicalId), {
+      email: EMAIL,
+      referralCode: "JANE2",
+      referredBy: "legacy-1",
+      status: "pending"
+    });
+    mockDocs.set("referral_codes/JANE2", { leadId: canonicalId });
+
+    await expect(migrateLeadIds()).resolves.toMatchObject({ merged: 1 });
+
+    expect(mockDocs.get("referral_codes/JANE1")).toEqual({ leadId: canonicalId });
+    expect(mockDocs.get("referral_codes/JANE2")).toEqual({ leadId: canonicalId });
+    // Never referred by itself
+    expect(mockDocs.get(leadPath(canonicalId))?.referredBy).toBeNull();
+  });
+});
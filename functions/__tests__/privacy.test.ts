@@ -0,0 +1,243 @@
+export {};
+
+process.env.ANALYTICS_PSEUDONYM_SECRET = "test-pseudonym-secret";
+
+// In-memory Firestore: documents keyed by path, with the equality queries,
+// batches and field deletes an erasure uses
+type MockDoc = Record<string, unknown>;
+const mockDocs = new Map<string, MockDoc>();
+const MOCK_DELETE = Symbol("delete");
+
+jest.mock("../src/firebase", () => {
+  const fieldOf = (data: MockDoc, path: string) => path.split(".")
+    .reduce((value: unknown, key) => (value as MockDoc | undefined)?.[key], data);
+
+  const update = (path: string, fields: MockDoc) => {
+    const data = JSON.parse(JSON.stringify(mockDocs.get(path)));
+    Object.entries(fields).forEach(([fieldPath, value]) => {
+      const keys = fieldPath.split(".");
+      const parent = keys.slice(0, -1).reduce((target, key) => {
+        target[key] = target[key] || {};
+        return target[key] as MockDoc;
+      }, data);
+      if (value === MOCK_DELETE) {
+        delete parent[keys[keys.length - 1]];
+      } else {
+        parent[keys[keys.length - 1]] = value;
+      }
+    });
+    mockDocs.set(path, data);
+  };
+
+  function docRef(path: string): object {
+    return {
+      id: path.split("/").pop(),
+      path,
+      collection: (name: string) => query(`${path}/${name}`),
+      get: async () => snapshot(path),
+      update: async (fields: MockDoc) => update(path, fields)
+    };
+  }
+
+  // Snapshots keep the data as it was when read
+  const snapshot = (path: string) => {
+    const data = mockDocs.get(path);
+    return { id: path.split("/").pop(), ref: docRef(path), exists: !!data, data: () => data };
+  };
+
+  const query = (path: string, filters: [string, unknown][] = []): object => ({
+    doc: (id: string) => docRef(`${path}/${id}`),
+    where: (field: string, op: string, value: unknown) =>
+      query(path, [...filters, [field, value]]),
+    get: async () => {
+      const docs = [...mockDocs.keys()]
+        .filter(key => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes("/"))
+        .filter(key => filters.every(([field, value]) =>
+          fieldOf(mockDocs.get(key) as MockDoc, field) === value))
+        .map(snapshot);
+      return { docs, size: docs.length, empty: !docs.length };
+    }
+  });
+
+  return {
+    admin: {
+      firestore: {
+        FieldValue: { delete: () => MOCK_DELETE, serverTimestamp: () => "SERVER_TIMESTAMP" }
+      }
+    },
+    db: {
+      collection: (name: string) => query(name),
+      batch: () => {
+        const writes: (() => void)[] = [];
+        return {
+          update: (ref: { path: string }, fields: MockDoc) => {
+            writes.push(() => update(ref.path, fields));
+          },
+          delete: (ref: { path: string }) => {
+            writes.push(() => mockDocs.delete(ref.path));
+          },
+          commit: async () => writes.forEach(write => write())
+        };
+      }
+    }
+  };
+});
+
+jest.mock("../src/leadImport", () => ({
+  eraseImportRows: jest.fn(async () => ({
+    scrubbedRows: 2,
+    rewrittenReports: 1,
+    deletedUploads: 1
+  }))
+}));
+jest.mock("../src/leadExports", () => ({
+  purgeSubjectExports: jest.fn(async () => ({ deletedExportFiles: 3, purgedExports: 1 }))
+}));
+jest.mock("../src/audit", () => ({
+  redactAuditEmail: jest.fn(async () => 4),
+  recordAudit: jest.fn(),
+  actorFromRequest: jest.fn(),
+  requestIdFor: jest.fn()
+}));
+
+const { eraseSubjectData } = require("../src/privacy");
+const { pseudonymizeEmail } = require("../src/analytics");
+const { hashEmail } = require("../src/validation");
+const { eraseImportRows } = require("../src/leadImport");
+const { purgeSubjectExports } = require("../src/leadExports");
+const { redactAuditEmail } = require("../src/audit");
+
+const EMAIL = "jane@example.com";
+const OTHER = "sam@example.com";
+
+const seed = () => {
+  const lead = {
+    email: EMAIL,
+    ip: "203.0.113.5",
+    referralCode: "JANE1",
+    mergedLeadIds: ["old-lead"],
+    source: "website"
+  };
+  mockDocs.set("email_leads/lead-1", lead);
+  mockDocs.set("email_leads/lead-1/consent_ledger/entry-1", { action: "accept" });
+  mockDocs.set("email_leads/lead-2", { email: OTHER, ip: "198.51.100.7" });
+  mockDocs.set("email_leads/lead-2/consent_ledger/entry-1", { action: "accept" });
+  mockDocs.set("referral_codes/JANE1", { leadId: "lead-1" });
+  mockDocs.set("referral_codes/SAM1", { leadId: "lead-2" });
+  mockDocs.set("lead_engagement/lead-1", { counts: { status_view: 3 } });
+  mockDocs.set("lead_engagement/lead-2", { counts: { status_view: 1 } });
+
+  mockDocs.set("analytics_events/by-subject", {
+    parameters: { subjectId: pseudonymizeEmail(EMAIL) }
+  });
+  mockDocs.set("analytics_events/by-email", { parameters: { email: EMAIL } });
+  mockDocs.set("analytics_events/by-lead", { parameters: { leadId: "lead-1" } });
+  mockDocs.set("analytics_events/by-merged-lead", { parameters: { leadId: "old-lead" } });
+  mockDocs.set("analytics_events/same-ip", {
+    event: "page_view",
+    parameters: { ip: "203.0.113.5" }
+  });
+  mockDocs.set("analytics_events/other", { parameters: { leadId: "lead-2" } });
+
+  mockDocs.set("mail/to-subject", { to: EMAIL });
+  mockDocs.set("mail/to-other", { to: OTHER });
+  mockDocs.set(`email_suppressions/${hashEmail(EMAIL)}`, { leadId: "lead-1" });
+
+  mockDocs.set("privacy_requests/this", { emailHash: hashEmail(EMAIL), email: EMAIL });
+  mockDocs.set("privacy_requests/pending", {
+    emailHash: hashEmail(EMAIL),
+    email: EMAIL,
+    ip: "203.0.113.5",
+    status: "awaiting_verification"
+  });
+  mockDocs.set("privacy_requests/done", {
+    emailHash: hashEmail(EMAIL),
+    email: EMAIL,
+    status: "completed"
+  });
+  mockDocs.set("privacy_requests/other", { emailHash: hashEmail(OTHER), email: OTHER });
+};
+
+describe("eraseSubjectData", () => {
+  beforeEach(() => {
+    mockDocs.clear();
+    jest.clearAllMocks();
+    seed();
+  });
+
+  it("deletes the subject's leads and everything stored with them", async () => {
+    await eraseSubjectData(EMAIL, { requestId: "this" });
+
+    [
+      "email_leads/lead-1",
+      "email_leads/lead-1/consent_ledger/entry-1",
+      "referral_codes/JANE1",
+      "lead_engagement/lead-1",
+      "analytics_events/by-subject",
+      "analytics_events/by-email",
+      "analytics_events/by-lead",
+      "analytics_events/by-merged-lead",
+      "mail/to-subject"
+    ].forEach(path => expect(mockDocs.has(path)).toBe(false));
+  });
+
+  it("scrubs what it keeps", async () => {
+    await eraseSubjectData(EMAIL, { requestId: "this" });
+
+    expect(mockDocs.get("analytics_events/same-ip"))
+      .toEqual({ event: "page_view", parameters: {} });
+    expect(mockDocs.get(`email_suppressions/${hashEmail(EMAIL)}`)).toEqual({ leadId: null });
+    expect(mockDocs.get("privacy_requests/pending")).toEqual({
+      emailHash: hashEmail(EMAIL),
+      status: "cancelled"
+    });
+    expect(mockDocs.get("privacy_requests/done")).toEqual({
+      emailHash: hashEmail(EMAIL),
+      status: "completed"
+    });
+    // The caller finishes its own request
+    expect(mockDocs.get("privacy_requests/this")).toMatchObject({ email: EMAIL });
+  });
+
+  it("leaves other people's data alone", async () => {
+    await eraseSubjectData(EMAIL, { requestId: "this" });
+
+    [
+      "email_leads/lead-2",
+      "email_leads/lead-2/consent_ledger/entry-1",
+      "referral_codes/SAM1",
+      "lead_engagement/lead-2",
+      "analytics_events/other",
+      "mail/to-other"
+    ].forEach(path => expect(mockDocs.has(path)).toBe(true));
+    expect(mockDocs.get("privacy_requests/other")).toMatchObject({ email: OTHER });
+  });
+
+  it("clears copies in imports, exports and the audit log", async () => {
+    const lead = mockDocs.get("email_leads/lead-1");
+
+    await eraseSubjectData(EMAIL, { requestId: "this" });
+
+    expect(eraseImportRows).toHaveBeenCalledWith(EMAIL);
+    expect(purgeSubjectExports).toHaveBeenCalledWith([lead]);
+    expect(redactAuditEmail).toHaveBeenCalledWith(EMAIL);
+  });
+
+  it("reports what it removed", async () => {
+    await expect(eraseSubjectData(EMAIL, { requestId: "this" })).resolves.toEqual({
+      leadIds: ["lead-1", "old-lead"],
+      deletedLeads: 1,
+      deletedEvents: 4,
+      scrubbedEvents: 1,
+      deletedMail: 1,
+      deletedConsentEntries: 1,
+      scrubbedRequests: 2,
+      scrubbedRows: 2,
+      rewrittenReports: 1,
+      deletedUploads: 1,
+      deletedExportFiles: 3,
+      purgedExports: 1,
+      redactedAuditEntries: 4
+    });
+  });
+});
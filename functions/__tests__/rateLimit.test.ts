@@ -0,0 +1,114 @@
+export {};
+
+// In-memory stand-in for the Firestore buckets
+const mockBuckets = new Map<string, { tokens: number, updatedAt: number }>();
+const mockStore = { down: false };
+
+jest.mock("../src/firebase", () => ({
+  admin: {
+    firestore: { Timestamp: { fromMillis: (ms: number) => ({ ms }) } }
+  },
+  db: {
+    collection: () => ({ doc: (id: string) => ({ id }) }),
+    runTransaction: async (update: (transaction: object) => Promise<unknown>) => {
+      if (mockStore.down) {
+        throw new Error("Firestore unavailable");
+      }
+      return update({
+        get: async (ref: { id: string }) => ({
+          exists: mockBuckets.has(ref.id),
+          data: () => mockBuckets.get(ref.id)
+        }),
+        set: (ref: { id: string }, data: { tokens: number, updatedAt: number }) => {
+          mockBuckets.set(ref.id, data);
+        }
+      });
+    }
+  }
+}));
+
+const { consumeRateLimit, rateLimit } = require("../src/rateLimit");
+
+const consumeTimes = async (policy: string, key: string, times: number) => {
+  const results = [];
+  for (let i = 0; i < times; i++) {
+    results.push(await consumeRateLimit(policy, key));
+  }
+  return results;
+};
+
+describe("rate limiting", () => {
+  beforeEach(() => {
+    mockBuckets.clear();
+    mockStore.down = false;
+    jest.useFakeTimers({ now: new Date("2026-01-01T00:00:00Z") });
+    jest.spyOn(console, "warn").mockImplementation(() => undefined);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it("allows the policy's points plus burst, then rejects", async () => {
+    // emailCapture: 5 a minute with a burst of 3
+    const results = await consumeTimes("emailCapture", "203.0.113.7", 9);
+
+    expect(results.slice(0, 8).every((result: { allowed: boolean }) => result.allowed)).toBe(true);
+    expect(results[7].remaining).toBe(0);
+    expect(results[8].allowed).toBe(false);
+    expect(results[8].msBeforeNext).toBeGreaterThan(0);
+    expect(results[8].msBeforeNext).toBeLessThanOrEqual(12000);
+  });
+
+  it("refills the bucket over time", async () => {
+    await consumeTimes("redeem", "203.0.113.7", 10);
+    expect((await consumeRateLimit("redeem", "203.0.113.7")).allowed).toBe(false);
+
+    // redeem: 10 a minute, so one token every 6 seconds
+    jest.setSystemTime(Date.now() + 6000);
+    expect((await consumeRateLimit("redeem", "203.0.113.7")).allowed).toBe(true);
+    expect((await consumeRateLimit("redeem", "203.0.113.7")).allowed).toBe(false);
+  });
+
+  it("keeps separate buckets per key and never stores the raw key", async () => {
+    await consumeTimes("redeem", "203.0.113.7", 10);
+
+    expect((await consumeRateLimit("redeem", "198.51.100.1")).allowed).toBe(true);
+    expect(mockBuckets.size).toBe(2);
+    mockBuckets.forEach((_bucket, id) => {
+      expect(id).toMatch(/^redeem_[0-9a-f]{32}$/);
+    });
+  });
+
+  it("falls back to a per-instance limiter when the store is down", async () => {
+    mockStore.down = true;
+    const results = await consumeTimes("redeem", "203.0.113.7", 11);
+
+    expect(results.every((result: { fallback?: boolean }) => result.fallback)).toBe(true);
+    expect(results[9].allowed).toBe(true);
+    expect(results[10].allowed).toBe(false);
+  });
+
+  it("throws for an unknown policy", () => {
+    expect(() => rateLimit("nope")).toThrow("Unknown rate limit policy: nope");
+  });
+
+  it("answers 429 with Retry-After once the limit is reached", async () => {
+    const middleware = rateLimit("redeem");
+    const res = {
+      set: jest.fn(),
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+    const next = jest.fn();
+
+    for (let i = 0; i < 11; i++) {
+      await middleware({ ip: "203.0.113.7" }, res, next);
+    }
+
+    expect(next).toHaveBeenCalledTimes(10);
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.set).toHaveBeenCalledWith("Retry-After", 6);
+  });
+});
@@ -0,0 +1,214 @@
+export {};
+
+// Just enough Firestore for rescoreLead and updateScoringConfig: documents
+// keyed by path
+type MockRef = { id: string, path: string };
+const mockDocs = new Map<string, Record<string, unknown>>();
+
+jest.mock("../src/firebase", () => {
+  const snapshot = (ref: MockRef) => ({
+    id: ref.id,
+    ref,
+    exists: mockDocs.has(ref.path),
+    data: () => mockDocs.get(ref.path)
+  });
+  const docRef = (collection: string, id: string) => {
+    const ref: MockRef = { id, path: `${collection}/${id}` };
+    return {
+      ...ref,
+      get: async () => snapshot(ref),
+      set: async (data: Record<string, unknown>, { merge = false } = {}) => {
+        mockDocs.set(ref.path, merge ? { ...mockDocs.get(ref.path), ...data } : data);
+      }
+    };
+  };
+  const db = {
+    collection: (collection: string) => ({ doc: (id: string) => docRef(collection, id) }),
+    runTransaction: async (work: (transaction: object) => Promise<unknown>) => work({
+      get: async (ref: MockRef) => snapshot(ref),
+      getAll: async (...refs: MockRef[]) => refs.map(snapshot),
+      set: (ref: MockRef, data: Record<string, unknown>) => {
+        mockDocs.set(ref.path, data);
+      },
+      update: (ref: MockRef, fields: Record<string, unknown>) => {
+        mockDocs.set(ref.path, { ...mockDocs.get(ref.path), ...fields });
+      }
+    })
+  };
+  const admin = {
+    firestore: { FieldValue: { serverTimestamp: () => "SERVER_TIMESTAMP" } }
+  };
+  return { admin, db };
+});
+
+const { db } = require("../src/firebase");
+const {
+  DEFAULT_SCORING_CONFIG,
+  computeLeadScore,
+  rescoreLead,
+  updateScoringConfig
+} = require("../src/scoring");
+
+describe("computeLeadScore", () => {
+  it("scores a plain active lead on status alone", () => {
+    const result = computeLeadScore({ status: "active" });
+
+    expect(result.score).toBe(15);
+    expect(result.tier).toBe("cold");
+    expect(result.breakdown).toEqual({
+      source: 0,
+      campaign: 0,
+      utm: 0,
+      referred: 0,
+      referrals: 0,
+      status: 15,
+      repeatSignups: 0,
+      engagement: 0
+    });
+  });
+
+  it("treats a lead without a status as active", () => {
+    expect(computeLeadScore({}).breakdown.status).toBe(15);
+  });
+
+  it("adds source, campaign and UTM medium points from the last touch", () => {
+    const { breakdown } = computeLeadScore({
+      status: "confirmed",
+      source: "Website",
+      lastTouch: { source: "newsletter", medium: "Email", campaign: "launch" }
+    });
+
+    expect(breakdown).toMatchObject({ source: 5, campaign: 5, utm: 10, status: 20 });
+  });
+
+  it("adds points for signing up through a referral code", () => {
+    expect(computeLeadScore({ referredBy: "lead-2" }).breakdown.referred).toBe(15);
+    expect(computeLeadScore({ referredBy: null }).breakdown.referred).toBe(0);
+  });
+
+  it("reads UTM tags from the signup URL when there is no last touch", () => {
+    const { breakdown } = computeLeadScore({
+      metadata: { url: "https://example.com/?utm_medium=social&utm_campaign=spring" }
+    });
+
+    expect(breakdown).toMatchObject({ campaign: 5, utm: 5 });
+  });
+
+  it("ignores a signup URL that can't be parsed", () => {
+    const { breakdown } = computeLeadScore({ metadata: { url: "not a url" } });
+
+    expect(breakdown).toMatchObject({ campaign: 0, utm: 0 });
+  });
+
+  it("caps referral, repeat signup and engagement points", () => {
+    const { breakdown } = computeLeadScore({
+      referralCount: 12,
+      subscriptionCount: 10,
+      engagement: { status_view: 40, unknown_event: 100 }
+    });
+
+    expect(breakdown).toMatchObject({ referrals: 50, repeatSignups: 15, engagement: 20 });
+  });
+
+  it("counts engagement events by their weights", () => {
+    expect(computeLeadScore({ engagement: { status_view: 3 } }).breakdown.engagement).toBe(6);
+  });
+
+  it("assigns the highest tier the score reaches", () => {
+    expect(computeLeadScore({ status: "invited", referralCount: 1 }).tier).toBe("warm");
+    expect(computeLeadScore({ status: "invited", referralCount: 4 }).tier).toBe("hot");
+    expect(computeLeadScore({ status: "blocked", referralCount: 5 }).tier).toBe("cold");
+  });
+
+  it("uses the weights it is given", () => {
+    const config = {
+      ...DEFAULT_SCORING_CONFIG,
+      campaigns: { launch: 30 },
+      statuses: { active: 1 },
+      tiers: { top: 30 }
+    };
+    const result = computeLeadScore({ campaign: "launch" }, config);
+
+    expect(result.score).toBe(31);
+    expect(result.tier).toBe("top");
+  });
+});
+
+describe("rescoreLead", () => {
+  const leadRef = db.collection("email_leads").doc("lead-1");
+
+  beforeEach(() => {
+    mockDocs.clear();
+  });
+
+  it("scores a lead with its recorded engagement", async () => {
+    mockDocs.set("email_leads/lead-1", { status: "active", engagement: { status_view: 1 } });
+    mockDocs.set("lead_engagement/lead-1", { counts: { status_view: 2 } });
+
+    await expect(rescoreLead(leadRef, { config: DEFAULT_SCORING_CONFIG })).resolves.toBe(true);
+
+    const lead = mockDocs.get("email_leads/lead-1") as Record<string, unknown>;
+    expect(lead.score).toBe(21);
+    expect(lead.scoreBreakdown).toMatchObject({ engagement: 6 });
+    expect(lead.scoreVersion).toBe(DEFAULT_SCORING_CONFIG.version);
+    // The counts stay where they were
+    expect(lead.engagement).toEqual({ status_view: 1 });
+  });
+
+  it("doesn't write a score that hasn't changed", async () => {
+    mockDocs.set("email_leads/lead-1", { status: "active" });
+    await rescoreLead(leadRef, { config: DEFAULT_SCORING_CONFIG });
+
+    await expect(rescoreLead(leadRef, { config: DEFAULT_SCORING_CONFIG })).resolves.toBe(false);
+  });
+
+  it("does nothing for a missing lead", async () => {
+    await expect(rescoreLead(leadRef, { config: DEFAULT_SCORING_CONFIG })).resolves.toBe(false);
+    expect(mockDocs.has("email_leads/lead-1")).toBe(false);
+  });
+
+  it("reloads the weights when the lead was scored with newer ones", async () => {
+    mockDocs.set("email_leads/lead-1", { status: "active", score: 99, scoreVersion: 3 });
+    mockDocs.set("admin/lead_scoring", { version: 3, statuses: { active: 40 } });
+
+    await expect(rescoreLead(leadRef)).resolves.toBe(true);
+
+    const lead = mockDocs.get("email_leads/lead-1") as Record<string, unknown>;
+    expect(lead.score).toBe(40);
+    expect(lead.scoreVersion).toBe(3);
+  });
+
+  it("leaves the lead alone if the given weights are older", async () => {
+    mockDocs.set("email_leads/lead-1", { status: "active", score: 99, scoreVersion: 3 });
+
+    await expect(rescoreLead(leadRef, { config: DEFAULT_SCORING_CONFIG })).resolves.toBe(false);
+    expect(mockDocs.get("email_leads/lead-1")?.score).toBe(99);
+  });
+});
+
+describe("updateScoringConfig", () => {
+  beforeEach(() => {
+    mockDocs.clear();
+  });
+
+  it("bumps the stored version and restarts the backfill", async () => {
+    mockDocs.set("admin/lead_scoring", { version: 4, anyCampaign: 8 });
+    mockDocs.set("admin/lead_scoring_backfill", { cursor: "lead-9" });
+
+    const config = await updateScoringConfig({ referred: 20 }, "admin-1");
+
+    expect(config).toMatchObject({ version: 5, referred: 20, anyCampaign: 8 });
+    expect(mockDocs.get("admin/lead_scoring")).toMatchObject({
+      version: 5,
+      referred: 20,
+      updatedBy: "admin-1"
+    });
+    expect(mockDocs.get("admin/lead_scoring_backfill")).toEqual({ cursor: null });
+  });
+
+  it("starts from the defaults before any update", async () => {
+    const config = await updateScoringConfig({ anyCampaign: 1 }, "admin-1");
+
+    expect(config).toMatchObject({ version: 2, anyCampaign: 1, referred: 15 });
+  });
+});
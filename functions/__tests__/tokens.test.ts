@@ -0,0 +1,81 @@
+export {};
+
+process.env.TOKEN_SIGNING_SECRET = "test-signing-secret";
+
+const { createToken, verifyToken, createNonce } = require("../src/tokens");
+
+describe("tokens", () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("verifies a token for its own purpose and returns the claims", () => {
+    const token = createToken("confirm", { lid: "lead-1" }, 3600);
+    const result = verifyToken(token, "confirm");
+
+    expect(result.valid).toBe(true);
+    expect(result.claims).toMatchObject({ lid: "lead-1", purpose: "confirm" });
+    expect(result.claims.exp - result.claims.iat).toBe(3600);
+  });
+
+  it("rejects a token issued for another purpose", () => {
+    const token = createToken("unsubscribe", { lid: "lead-1" });
+
+    expect(verifyToken(token, "confirm")).toEqual({ valid: false, reason: "invalid" });
+  });
+
+  it("rejects tampered claims", () => {
+    const token = createToken("confirm", { lid: "lead-1" }, 3600);
+    const [, signature] = token.split(".");
+    const forged = Buffer.from(JSON.stringify({ lid: "lead-2", purpose: "confirm" }))
+      .toString("base64url");
+
+    expect(verifyToken(`${forged}.${signature}`, "confirm").valid).toBe(false);
+  });
+
+  it("rejects a token signed with another secret", () => {
+    const token = createToken("confirm", { lid: "lead-1" });
+    process.env.TOKEN_SIGNING_SECRET = "rotated-secret";
+    try {
+      expect(verifyToken(token, "confirm").valid).toBe(false);
+    } finally {
+      process.env.TOKEN_SIGNING_SECRET = "test-signing-secret";
+    }
+  });
+
+  it("reports an expired token along with its claims", () => {
+    jest.useFakeTimers({ now: new Date("2026-01-01T00:00:00Z") });
+    const token = createToken("privacy_request", { rid: "request-1" }, 60);
+
+    jest.setSystemTime(new Date("2026-01-01T00:02:00Z"));
+    const result = verifyToken(token, "privacy_request");
+
+    expect(result.valid).toBe(false);
+    expect(result.reason).toBe("expired");
+    expect(result.claims.rid).toBe("request-1");
+  });
+
+  it("never expires a token created without a lifetime", () => {
+    jest.useFakeTimers({ now: new Date("2026-01-01T00:00:00Z") });
+    const token = createToken("unsubscribe", { lid: "lead-1" });
+
+    jest.setSystemTime(new Date("2030-01-01T00:00:00Z"));
+    expect(verifyToken(token, "unsubscribe").valid).toBe(true);
+  });
+
+  it.each([
+    ["a non-string", 42],
+    ["an empty string", ""],
+    ["a value without a signature", "abc"],
+    ["an oversized value", "a".repeat(3000)]
+  ])("rejects %s", (_label, token) => {
+    expect(verifyToken(token, "confirm")).toEqual({ valid: false, reason: "invalid" });
+  });
+
+  it("creates distinct URL-safe nonces", () => {
+    const nonces = new Set(Array.from({ length: 50 }, () => createNonce()));
+
+    expect(nonces.size).toBe(50);
+    nonces.forEach(nonce => expect(nonce).toMatch(/^[A-Za-z0-9_-]{16}$/));
+  });
+});
@@ -0,0 +1,84 @@
+export {};
+
+process.env.TOKEN_SIGNING_SECRET = "test-signing-secret";
+
+// In-memory stand-in for the Firestore rate limit buckets
+const mockBuckets = new Map<string, unknown>();
+
+jest.mock("../src/firebase", () => ({
+  admin: {
+    firestore: { Timestamp: { fromMillis: (ms: number) => ({ ms }) } }
+  },
+  db: {
+    collection: () => ({ doc: (id: string) => ({ id }) }),
+    runTransaction: async (update: (transaction: object) => Promise<unknown>) => update({
+      get: async (ref: { id: string }) => ({
+        exists: mockBuckets.has(ref.id),
+        data: () => mockBuckets.get(ref.id)
+      }),
+      set: (ref: { id: string }, data: unknown) => {
+        mockBuckets.set(ref.id, data);
+      }
+    })
+  }
+}));
+
+const express = require("express");
+const { router } = require("../src/unsubscribe");
+const { createToken } = require("../src/tokens");
+
+describe("unsubscribe rate limits", () => {
+  let server: { close: () => void, address: () => { port: number } };
+
+  const getPage = async (token: string) => {
+    const url = `http://127.0.0.1:${server.address().port}/unsubscribe` +
+      `?token=${encodeURIComponent(token)}`;
+    return (await fetch(url)).status;
+  };
+
+  const getPages = async (tokenFor: (index: number) => string, times: number) => {
+    const statuses = [];
+    for (let i = 0; i < times; i++) {
+      statuses.push(await getPage(tokenFor(i)));
+    }
+    return statuses;
+  };
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(router);
+    await new Promise<void>(resolve => {
+      server = app.listen(0, "127.0.0.1", () => resolve());
+    });
+  });
+
+  afterAll(() => {
+    server.close();
+  });
+
+  beforeEach(() => {
+    mockBuckets.clear();
+  });
+
+  it("lets many links through from one shared IP", async () => {
+    const tokenFor = (index: number) => createToken("unsubscribe", { lid: `lead-${index}` });
+    const statuses = await getPages(tokenFor, 25);
+
+    expect(statuses.every(status => status === 200)).toBe(true);
+  });
+
+  it("limits repeated requests for one lead", async () => {
+    const token = createToken("unsubscribe", { lid: "lead-1" });
+    const statuses = await getPages(() => token, 31);
+
+    expect(statuses.slice(0, 30).every(status => status === 200)).toBe(true);
+    expect(statuses[30]).toBe(429);
+  });
+
+  it("keeps the per-IP limit for invalid links", async () => {
+    const statuses = await getPages(index => `not-a-token-${index}`, 11);
+
+    expect(statuses.slice(0, 10).every(status => status === 400)).toBe(true);
+    expect(statuses[10]).toBe(429);
+  });
+});
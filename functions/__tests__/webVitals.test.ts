@@ -0,0 +1,94 @@
+export {};
+
+jest.mock("../src/firebase", () => ({ admin: {}, db: {} }));
+
+const { bucketOf, percentiles, reportRow } = require("../src/webVitals");
+
+type Histogram = Record<string, number>;
+
+const histogramOf = (metric: string, values: number[]) =>
+  values.reduce((histogram: Histogram, value) => {
+    const bucket = bucketOf(metric, value);
+    histogram[bucket] = (histogram[bucket] || 0) + 1;
+    return histogram;
+  }, {});
+
+const range = (from: number, to: number) =>
+  Array.from({ length: to - from + 1 }, (_, index) => from + index);
+
+describe("web vitals percentiles", () => {
+  it("puts nearby values in the same bucket and far ones apart", () => {
+    expect(bucketOf("lcp", 1000)).toBe(bucketOf("lcp", 1010));
+    expect(bucketOf("lcp", 1000)).toBeLessThan(bucketOf("lcp", 1200));
+    expect(bucketOf("lcp", 0)).toBe(0);
+  });
+
+  it("scales CLS so small scores still get their own buckets", () => {
+    expect(bucketOf("cls", 0.05)).toBeLessThan(bucketOf("cls", 0.1));
+    expect(bucketOf("cls", 0.1)).toBeLessThan(bucketOf("cls", 0.25));
+  });
+
+  it("estimates percentiles to within the bucket width", () => {
+    const result = percentiles("lcp", histogramOf("lcp", range(1, 4000)));
+
+    expect(result.samples).toBe(4000);
+    expect(Math.abs(result.p50 - 2000) / 2000).toBeLessThan(0.03);
+    expect(Math.abs(result.p75 - 3000) / 3000).toBeLessThan(0.03);
+    expect(Math.abs(result.p95 - 3800) / 3800).toBeLessThan(0.03);
+  });
+
+  it("reports CLS percentiles in its own units", () => {
+    const values = range(1, 100).map(value => value / 1000);
+    const result = percentiles("cls", histogramOf("cls", values));
+
+    expect(Math.abs(result.p75 - 0.075) / 0.075).toBeLessThan(0.03);
+  });
+
+  it("uses the one sample for every percentile", () => {
+    const result = percentiles("ttfb", histogramOf("ttfb", [500]));
+
+    expect(result.samples).toBe(1);
+    expect(result.p50).toBe(result.p95);
+    expect(Math.abs(result.p50 - 500) / 500).toBeLessThan(0.03);
+  });
+
+  it("has no percentiles for an empty histogram", () => {
+    expect(percentiles("lcp", {})).toEqual({ samples: 0, p50: null, p75: null, p95: null });
+  });
+
+  it("adds histograms by summing bucket counts", () => {
+    const first = histogramOf("fcp", range(1, 1000));
+    const second = histogramOf("fcp", range(1001, 2000));
+    const combined = { ...first };
+    Object.entries(second).forEach(([bucket, count]) => {
+      combined[bucket] = (combined[bucket] || 0) + count;
+    });
+
+    expect(percentiles("fcp", combined))
+      .toEqual(percentiles("fcp", histogramOf("fcp", range(1, 2000))));
+  });
+});
+
+describe("web vitals report rows", () => {
+  const group = (histogram: Histogram) =>
+    ({ page: "/", deviceClass: "mobile", connectionType: "4g", histogram });
+
+  it("flags a group whose p75 is over the threshold", () => {
+    const row = reportRow("lcp", group(histogramOf("lcp", range(3000, 6000))));
+
+    expect(row).toMatchObject({ page: "/", deviceClass: "mobile", connectionType: "4g" });
+    expect(row.threshold).toBe(4000);
+    expect(row.breached).toBe(true);
+  });
+
+  it("doesn't flag a group under the threshold", () => {
+    expect(reportRow("lcp", group(histogramOf("lcp", range(1000, 2000)))).breached).toBe(false);
+  });
+
+  it("doesn't flag a group with too few samples", () => {
+    const row = reportRow("lcp", group(histogramOf("lcp", [9000, 9000, 9000])));
+
+    expect(row.p75).toBeGreaterThan(4000);
+    expect(row.breached).toBe(false);
+  });
+});
@@ -1,15 +1,40 @@
 const functions = require('firebase-functions');
-const admin = require('firebase-admin');
 const cors = require('cors');
 const express = require('express');
 const helmet = require('helmet');
-const validator = require('validator');
 const Joi = require('joi');
-const { RateLimiterMemory } = require('rate-limiter-flexible');
-
-// Initialize Firebase Admin
-admin.initializeApp();
-const db = admin.firestore();
+const { admin, db } = require('./src/firebase');
+const { SECRETS, INVITES, LEAD_IMPORTS, STATS } = require('./src/config');
+const { logAnalyticsEvent, rotateSalts } = require('./src/analytics');
+const { rateLimit, consumeRateLimit, sendRateLimited } = require('./src/rateLimit');
+const { emailSchema, sanitizeEmail, validateEmailDomain } = require('./src/validation');
+const { isSuppressed } = require('./src/suppression');
+const {
+  CONSENT_POLICIES, CURRENT_POLICY_VERSION, consentSummary
+} = require('./src/consent');
+const { upsertLead, migrateLeadIds } = require('./src/leads');
+const { assertAdmin, ADMIN_ROLES } = require('./src/adminAuth');
+const domains = require('./src/domains');
+const EmailSuggest = require('./src/emailSuggest');
+const confirmation = require('./src/confirmation');
+const unsubscribe = require('./src/unsubscribe');
+const botDefense = require('./src/botDefense');
+const privacy = require('./src/privacy');
+const referrals = require('./src/referrals');
+const waitlist = require('./src/waitlist');
+const invites = require('./src/invites');
+const scoring = require('./src/scoring');
+const attribution = require('./src/attribution');
+const adminLeads = require('./src/adminLeads');
+const leadExports = require('./src/leadExports');
+const leadImport = require('./src/leadImport');
+const adminRoles = require('./src/adminRoles');
+const audit = require('./src/audit');
+const stats = require('./src/stats');
+const telemetry = require('./src/telemetry');
+const webVitals = require('./src/webVitals');
+const funnel = require('./src/funnel');
+const analyticsCleanup = require('./src/analyticsCleanup');
 
 // Initialize Express app
 const app = express();
@@ -29,109 +54,31 @@ const corsOptions = {
     /^https:\/\/highleveragehumans-.*\.web\.app$/,
     /^https:\/\/highleveragehumans-.*\.firebaseapp\.com$/
   ],
-  methods: ['GET', 'POST', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PATCH', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
   credentials: true,
   maxAge: 86400 // 24 hours
 };
 
 app.use(cors(corsOptions));
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Rate limiting configuration
-const rateLimiter = new RateLimiterMemory({
-  keyGenerator: (req) => req.ip || req.connection.remoteAddress,
-  points: 10, // Number of requests
-  duration: 60, // Per 60 seconds by IP
-});
-
-const rateLimiterMiddleware = async (req, res, next) => {
-  try {
-    await rateLimiter.consume(req.ip || req.connection.remoteAddress);
-    next();
-  } catch (rejRes) {
-    const msBeforeNext = rejRes.msBeforeNext || 1000;
-    res.set('Retry-After', Math.round(msBeforeNext / 1000) || 1);
-    res.status(429).json({
-      success: false,
-      error: 'Too many requests. Please try again later.',
-      retryAfter: Math.round(msBeforeNext / 1000) || 1
-    });
+// Requests proxied through the Hosting rewrite arrive with an /api prefix
+app.use((req, res, next) => {
+  if (req.url === '/api' || req.url.startsWith('/api/')) {
+    req.url = req.url.slice(4) || '/';
   }
-};
-
-// Email validation schema
-const emailSchema = Joi.object({
-  email: Joi.string()
-    .email({ tlds: { allow: true } })
-    .max(254)
-    .required()
-    .messages({
-      'string.email': 'Please provide a valid email address',
-      'string.max': 'Email address is too long',
-      'any.required': 'Email address is required'
-    }),
-  source: Joi.string()
-    .max(100)
-    .default('website')
-    .optional(),
-  campaign: Joi.string()
-    .max(100)
-    .optional(),
-  metadata: Joi.object()
-    .max(10)
-    .optional()
+  next();
 });
 
-// Utility functions
-const sanitizeEmail = (email) => {
-  return validator.normalizeEmail(email, {
-    gmail_lowercase: true,
-    gmail_remove_dots: false,
-    gmail_remove_subaddress: false,
-    outlookdotcom_lowercase: true,
-    outlookdotcom_remove_subaddress: false,
-    yahoo_lowercase: true,
-    yahoo_remove_subaddress: false,
-    icloud_lowercase: true,
-    icloud_remove_subaddress: false
-  });
-};
-
-const validateEmailDomain = (email) => {
-  const domain = email.split('@')[1];
-  if (!domain) return false;
-  
-  // Block common disposable email domains
-  const disposableDomains = [
-    '10minutemail.com',
-    'guerrillamail.com',
-    'mailinator.com',
-    'temp-mail.org',
-    'throwaway.email',
-    'yopmail.com'
-  ];
-  
-  return !disposableDomains.includes(domain.toLowerCase());
-};
+// Performance monitor events and metrics from the site. Mounted ahead of the
+// body parsers below: it parses its own, with a much smaller size limit.
+app.use(telemetry.router);
 
-const logAnalyticsEvent = async (eventName, parameters) => {
-  try {
-    // Log to Firestore for analytics
-    await db.collection('analytics_events').add({
-      event: eventName,
-      parameters,
-      timestamp: admin.firestore.FieldValue.serverTimestamp(),
-      source: 'cloud_function'
-    });
-  } catch (error) {
-    console.error('Analytics logging error:', error);
-  }
-};
+app.use(express.json({ limit: '10mb' }));
+app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Email capture endpoint
-app.post('/email-capture', rateLimiterMiddleware, async (req, res) => {
+app.post('/email-capture', rateLimit('emailCapture'), async (req, res) => {
   const startTime = Date.now();
   
   try {
@@ -149,7 +96,39 @@ app.post('/email-capture', rateLimiterMiddleware, async (req, res) => {
       });
     }
 
-    const { email, source, campaign, metadata } = value;
+    // Honeypot, submit timing and proof-of-work checks
+    const botCheck = await botDefense.verifyBotDefense(value);
+    if (!botCheck.ok) {
+      await logAnalyticsEvent('email_capture_bot_blocked', {
+        reason: botCheck.reason,
+        ip: req.ip
+      });
+
+      // Don't tell a bot it was caught
+      if (botCheck.silent) {
+        return res.status(201).json({
+          success: true,
+          message: 'Please check your email to confirm your subscription',
+          isNew: true,
+          status: 'pending'
+        });
+      }
+
+      return res.status(400).json({
+        success: false,
+        error: botCheck.reason === 'too_fast'
+          ? 'Please wait a moment and try again'
+          : 'Verification failed. Please refresh the page and try again.'
+      });
+    }
+
+    const {
+      email, name, policyVersion, source, campaign, metadata, ignoreSuggestion, ref
+    } = value;
+    const touches = attribution.buildAttribution(value.attribution, {
+      pageUrl: metadata?.url,
+      referrer: metadata?.referrer
+    });
 
     // Sanitize and validate email
     const sanitizedEmail = sanitizeEmail(email);
@@ -161,7 +140,7 @@ app.post('/email-capture', rateLimiterMiddleware, async (req, res) => {
     }
 
     // Validate email domain
-    if (!validateEmailDomain(sanitizedEmail)) {
+    if (!(await validateEmailDomain(sanitizedEmail))) {
       await logAnalyticsEvent('email_capture_blocked_domain', {
         email: sanitizedEmail,
         ip: req.ip
@@ -173,77 +152,101 @@ app.post('/email-capture', rateLimiterMiddleware, async (req, res) => {
       });
     }
 
-    // Check if email already exists
-    const existingEmailQuery = await db
-      .collection('email_leads')
-      .where('email', '==', sanitizedEmail)
-      .limit(1)
-      .get();
+    // Likely domain typo (gmial.com) - ask first, or tag the lead if they kept it
+    const suggestion = EmailSuggest.suggest(sanitizedEmail);
+    if (suggestion && !ignoreSuggestion) {
+      await logAnalyticsEvent('email_capture_typo_suggested', {
+        email: sanitizedEmail,
+        suggestedDomain: suggestion.domain
+      });
 
-    let leadData = {
+      return res.status(400).json({
+        success: false,
+        error: `Did you mean ${suggestion.full}?`,
+        suggestion: suggestion.full
+      });
+    }
+
+    // Per-address limit, so one email can't be hammered from many IPs
+    const emailLimit = await consumeRateLimit('emailCaptureByEmail', sanitizedEmail);
+    if (!emailLimit.allowed) {
+      await logAnalyticsEvent('email_capture_rate_limited', {
+        email: sanitizedEmail,
+        ip: req.ip
+      });
+      return sendRateLimited(res, emailLimit.msBeforeNext);
+    }
+
+    // Unsubscribed addresses must re-confirm before they are reactivated
+    const suppressed = await isSuppressed(sanitizedEmail);
+
+    const consentEntry = {
+      action: 'accept',
+      channel: 'email_capture',
+      policyVersion,
+      ip: req.ip,
+      userAgent: req.get('User-Agent') || ''
+    };
+
+    const leadData = {
       email: sanitizedEmail,
+      name: name || null,
       source: source || 'website',
       campaign: campaign || null,
       metadata: metadata || {},
       ip: req.ip,
       userAgent: req.get('User-Agent') || '',
-      referrer: req.get('Referer') || '',
+      firstTouch: touches.firstTouch,
+      lastTouch: touches.lastTouch,
       timestamp: admin.firestore.FieldValue.serverTimestamp(),
-      status: 'active'
+      status: suppressed ? 'unsubscribed' : 'pending',
+      consent: consentSummary('granted', policyVersion),
+      likelyTypo: suggestion ? { suggestion: suggestion.full } : null
     };
 
-    if (existingEmailQuery.empty) {
-      // New email - create record
-      leadData.isNew = true;
-      leadData.subscriptionCount = 1;
-      
-      const docRef = await db.collection('email_leads').add(leadData);
-      
-      await logAnalyticsEvent('email_capture_success', {
-        email: sanitizedEmail,
-        source,
-        campaign,
-        isNew: true,
-        leadId: docRef.id
-      });
+    // Create-or-increment in one transaction, keyed by the email hash
+    const { leadRef, isNew, lead } = await upsertLead(leadData, consentEntry, {
+      referralCode: ref
+    });
 
-      res.status(201).json({
-        success: true,
-        message: 'Successfully subscribed to updates',
-        isNew: true,
-        leadId: docRef.id,
-        processingTime: Date.now() - startTime
-      });
-    } else {
-      // Existing email - update record
-      const existingDoc = existingEmailQuery.docs[0];
-      const existingData = existingDoc.data();
-      
-      await existingDoc.ref.update({
-        lastSubscription: admin.firestore.FieldValue.serverTimestamp(),
-        subscriptionCount: admin.firestore.FieldValue.increment(1),
-        source: source || existingData.source,
-        campaign: campaign || existingData.campaign,
-        metadata: { ...existingData.metadata, ...metadata },
-        status: 'active'
-      });
+    // New, unconfirmed or unsubscribed - send a fresh link (subject to the resend cooldown)
+    let status = lead.status;
+    const needsConfirmation = isNew || suppressed ||
+      confirmation.CONFIRMABLE_STATUSES.includes(status);
+    if (needsConfirmation) {
+      await confirmation.sendConfirmation(leadRef);
+      if (status !== 'unsubscribed') {
+        status = 'pending';
+      }
+    }
 
-      await logAnalyticsEvent('email_capture_duplicate', {
-        email: sanitizedEmail,
-        source,
-        campaign,
-        isNew: false,
-        leadId: existingDoc.id
-      });
+    await logAnalyticsEvent(isNew ? 'email_capture_success' : 'email_capture_duplicate', {
+      email: sanitizedEmail,
+      source,
+      campaign,
+      channel: touches.lastTouch.channel,
+      isNew,
+      suppressed,
+      leadId: leadRef.id,
+      referredBy: lead.referredBy || null
+    });
 
-      res.status(200).json({
-        success: true,
-        message: 'Email updated successfully',
-        isNew: false,
-        leadId: existingDoc.id,
-        processingTime: Date.now() - startTime
-      });
-    }
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      message: needsConfirmation
+        ? 'Please check your email to confirm your subscription'
+        : 'Email updated successfully',
+      isNew,
+      status,
+      leadId: leadRef.id,
+      waitlistNumber: lead.waitlistNumber || null,
+      referral: {
+        code: lead.referralCode,
+        shareUrl: referrals.buildShareUrl(lead.referralCode),
+        count: lead.referralCount || 0
+      },
+      processingTime: Date.now() - startTime
+    });
 
   } catch (error) {
     console.error('Email capture error:', error);
@@ -272,25 +275,43 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Analytics endpoint for retrieving basic stats
-app.get('/stats', rateLimiterMiddleware, async (req, res) => {
+// Public stats, served from the counters and daily rollups in public_stats.
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD (UTC days, default the last 30 through yesterday,
+// the last day with a rollup)
+// and an optional breakdown: ?by=source|campaign|channel
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+const statsQuerySchema = Joi.object({
+  from: Joi.string().pattern(DATE_KEY),
+  to: Joi.string().pattern(DATE_KEY),
+  by: Joi.string().valid(...Object.keys(stats.BREAKDOWNS))
+});
+
+app.get('/stats', rateLimit('stats'), async (req, res) => {
+  const { error, value } = statsQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, error: error.details[0].message });
+  }
+
+  const to = value.to || stats.addDays(stats.toDateKey(new Date()), -1);
+  const from = value.from || stats.addDays(to, 1 - STATS.defaultRangeDays);
+  if (!stats.isDateKey(from) || !stats.isDateKey(to) || from > to) {
+    return res.status(400).json({ success: false, error: 'Invalid date range' });
+  }
+  if (stats.addDays(from, STATS.maxRangeDays) <= to) {
+    return res.status(400).json({
+      success: false,
+      error: `Date range cannot exceed ${STATS.maxRangeDays} days`
+    });
+  }
+
   try {
-    const leadsSnapshot = await db.collection('email_leads').get();
-    const totalLeads = leadsSnapshot.size;
-    
-    const activeLeadsSnapshot = await db
-      .collection('email_leads')
-      .where('status', '==', 'active')
-      .get();
-    const activeLeads = activeLeadsSnapshot.size;
+    const result = await stats.getStats({ from, to, by: value.by });
 
+    res.set('Cache-Control', 'public, max-age=300, s-maxage=300');
     res.status(200).json({
       success: true,
-      stats: {
-        totalLeads,
-        activeLeads,
-        timestamp: new Date().toISOString()
-      }
+      stats: result
     });
   } catch (error) {
     console.error('Stats error:', error);
@@ -301,6 +322,39 @@ app.get('/stats', rateLimiterMiddleware, async (req, res) => {
   }
 });
 
+// Form token and proof-of-work challenge for the waitlist form
+app.use(botDefense.router);
+
+// Double opt-in confirmation routes
+app.use(confirmation.router);
+
+// Unsubscribe landing page and one-click unsubscribe
+app.use(unsubscribe.router);
+
+// Data subject (GDPR) export and erasure requests
+app.use(privacy.router);
+
+// Public referral leaderboard
+app.use(referrals.router);
+
+// Waitlist position lookup (signed link from the confirmation email)
+app.use(waitlist.router);
+
+// Invite code redemption
+app.use(invites.router);
+
+// Admin leads API (Firebase ID token with the admin claim)
+app.use(adminLeads.router);
+
+// Admin audit log query (owners only)
+app.use(audit.router);
+
+// Core Web Vitals percentile report (admins)
+app.use(webVitals.router);
+
+// Waitlist conversion funnel report (admins)
+app.use(funnel.router);
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   console.error('Unhandled error:', error);
@@ -322,88 +376,828 @@ app.use((req, res) => {
 exports.emailCapture = functions
   .runWith({
     timeoutSeconds: 60,
-    memory: '256MB'
+    memory: '256MB',
+    secrets: SECRETS
   })
   .https
   .onRequest(app);
 
 // Scheduled function to clean up old analytics events (runs daily)
 exports.cleanupAnalytics = functions
+  .runWith({
+    timeoutSeconds: 540,
+    memory: '512MB'
+  })
   .pubsub
   .schedule('0 2 * * *')
   .timeZone('UTC')
   .onRun(async (context) => {
-    const thirtyDaysAgo = admin.firestore.Timestamp.fromDate(
-      new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)
+    // Stop well before the timeout; the next run carries on with what's left
+    const result = await analyticsCleanup.cleanupAnalytics({ deadline: Date.now() + 480 * 1000 });
+
+    if (result.archived === 0) {
+      console.log('No old analytics events to delete');
+      return null;
+    }
+
+    console.log(`Archived and deleted ${result.archived} old analytics events ` +
+      `in ${result.files} files, ${result.done ? 'all done' : 'resuming next run'}:`,
+      result.bySource);
+    return null;
+  });
+
+// Scheduled function to expire unconfirmed leads (runs hourly)
+exports.expirePendingLeads = functions
+  .pubsub
+  .schedule('15 * * * *')
+  .timeZone('UTC')
+  .onRun(async (context) => {
+    const expiredCount = await confirmation.expirePendingLeads();
+    console.log(`Expired ${expiredCount} unconfirmed leads`);
+
+    return null;
+  });
+
+// Scheduled function to rotate the analytics PII salt (runs monthly)
+exports.rotateAnalyticsSalt = functions
+  .pubsub
+  .schedule('5 0 1 * *')
+  .timeZone('UTC')
+  .onRun(async (context) => {
+    const result = await rotateSalts();
+    console.log(`Analytics salt period ${result.currentPeriod} active, ` +
+      `deleted ${result.deletedPeriods.length} expired salts`);
+
+    return null;
+  });
+
+// Keep the public stats counters current as leads are written
+exports.updateLeadCounters = functions
+  .firestore
+  .document('email_leads/{leadId}')
+  .onWrite(async (change) => {
+    await stats.updateLeadCounters(
+      change.before.exists ? change.before.data() : null,
+      change.after.exists ? change.after.data() : null
     );
+    return null;
+  });
+
+// Build the daily public stats rollups and reconcile the counters (runs daily)
+exports.buildDailyStats = functions
+  .runWith({
+    timeoutSeconds: 540,
+    memory: '512MB'
+  })
+  .pubsub
+  .schedule('10 0 * * *')
+  .timeZone('UTC')
+  .onRun(async (context) => {
+    const result = await stats.buildDailyStats({ deadline: Date.now() + 480 * 1000 });
+    console.log('Daily stats built:', result);
 
-    const oldEventsQuery = db
-      .collection('analytics_events')
-      .where('timestamp', '<', thirtyDaysAgo)
-      .limit(500);
+    return null;
+  });
 
-    const snapshot = await oldEventsQuery.get();
-    
-    if (snapshot.empty) {
-      console.log('No old analytics events to delete');
+// Core Web Vitals percentiles from yesterday's client metrics (runs daily)
+exports.buildWebVitals = functions
+  .runWith({
+    timeoutSeconds: 540,
+    memory: '512MB'
+  })
+  .pubsub
+  .schedule('20 0 * * *')
+  .timeZone('UTC')
+  .onRun(async (context) => {
+    const result = await webVitals.buildWebVitals({ deadline: Date.now() + 480 * 1000 });
+    console.log('Web vitals built:', result);
+
+    return null;
+  });
+
+// Waitlist conversion funnel from yesterday's funnel step events (runs daily)
+exports.buildDailyFunnel = functions
+  .runWith({
+    timeoutSeconds: 540,
+    memory: '512MB'
+  })
+  .pubsub
+  .schedule('25 0 * * *')
+  .timeZone('UTC')
+  .onRun(async (context) => {
+    const result = await funnel.buildDailyFunnel({ deadline: Date.now() + 480 * 1000 });
+    console.log('Daily funnel built:', result);
+
+    return null;
+  });
+
+// Keep each lead's score current as it changes
+exports.scoreLead = functions
+  .firestore
+  .document('email_leads/{leadId}')
+  .onWrite(async (change) => {
+    if (!change.after.exists) {
+      return null;
+    }
+
+    await scoring.rescoreLead(change.after.ref);
+    return null;
+  });
+
+// Scheduled rescoring of all leads, so weight changes reach everyone (runs daily)
+exports.backfillLeadScores = functions
+  .runWith({
+    timeoutSeconds: 540,
+    memory: '512MB'
+  })
+  .pubsub
+  .schedule('30 2 * * *')
+  .timeZone('UTC')
+  .onRun(async (context) => {
+    // Stop well before the timeout; the next run resumes from the saved cursor
+    const result = await scoring.backfillLeadScores({ deadline: Date.now() + 480 * 1000 });
+    console.log(`Rescored ${result.processed} leads (${result.updated} changed), ` +
+      `${result.done ? 'pass complete' : 'resuming next run'}`);
+
+    return null;
+  });
+
+// Erasure job for verified data subject requests
+exports.processErasureRequest = functions
+  .runWith({
+    timeoutSeconds: 540,
+    memory: '512MB'
+  })
+  .firestore
+  .document('privacy_requests/{requestId}')
+  .onUpdate(async (change, context) => {
+    const before = change.before.data();
+    const after = change.after.data();
+
+    if (after.type !== 'erasure' || before.status === after.status || after.status !== 'verified') {
       return null;
     }
 
-    const batch = db.batch();
-    snapshot.docs.forEach(doc => {
-      batch.delete(doc.ref);
+    const result = await privacy.processErasureRequest(change.after.ref, after);
+    await audit.recordAudit({
+      actor: audit.systemActor('data_subject'),
+      action: 'leads.erase',
+      target: { type: 'privacy_request', id: context.params.requestId },
+      metadata: result,
+      requestId: context.eventId
     });
+    console.log(`Erasure ${context.params.requestId} completed:`, result);
 
-    await batch.commit();
-    console.log(`Deleted ${snapshot.size} old analytics events`);
-    
     return null;
   });
 
-// Function to export leads data (admin only)
-exports.exportLeads = functions
+// One-off migration: rekey leads by email hash and merge duplicates (admin only)
+exports.migrateLeadIds = functions
   .runWith({
     timeoutSeconds: 540,
-    memory: '1GB'
+    memory: '512MB'
   })
   .https
   .onCall(async (data, context) => {
-    // Verify authentication (you should implement proper admin auth)
-    if (!context.auth || !context.auth.token.admin) {
+    await assertAdmin(context, 'Only administrators can run migrations.', 'owner');
+
+    try {
+      // Stop well before the function timeout; callers resume from the cursor
+      const result = await migrateLeadIds({
+        startAfter: data?.cursor || null,
+        deadline: Date.now() + 480 * 1000
+      });
+      await audit.recordCallableAudit(context, {
+        action: 'leads.migrate_ids',
+        target: { type: 'migration', id: 'lead_ids' },
+        metadata: { startAfter: data?.cursor || null, ...result }
+      });
+
+      return {
+        success: true,
+        ...result
+      };
+    } catch (error) {
+      console.error('Migrate lead IDs error:', error);
       throw new functions.https.HttpsError(
-        'permission-denied',
-        'Only administrators can export leads data.'
+        'internal',
+        'Failed to migrate lead IDs.'
       );
     }
+  });
+
+// One-off backfill of waitlist numbers for leads created before they existed
+exports.backfillWaitlist = functions
+  .runWith({
+    timeoutSeconds: 540,
+    memory: '512MB'
+  })
+  .https
+  .onCall(async (data, context) => {
+    await assertAdmin(context, 'Only administrators can run migrations.', 'owner');
 
     try {
-      const leadsSnapshot = await db.collection('email_leads').get();
-      const leads = [];
-
-      leadsSnapshot.forEach(doc => {
-        const leadData = doc.data();
-        leads.push({
-          id: doc.id,
-          email: leadData.email,
-          source: leadData.source,
-          campaign: leadData.campaign,
-          timestamp: leadData.timestamp?.toDate?.()?.toISOString() || null,
-          subscriptionCount: leadData.subscriptionCount || 1,
-          status: leadData.status || 'active'
-        });
+      // Stop well before the function timeout; callers resume from the cursor
+      const result = await waitlist.backfillWaitlist({
+        startAfter: data?.cursor || null,
+        deadline: Date.now() + 480 * 1000
+      });
+      await audit.recordCallableAudit(context, {
+        action: 'waitlist.backfill',
+        target: { type: 'migration', id: 'waitlist' },
+        metadata: { startAfter: data?.cursor || null, ...result }
       });
 
       return {
         success: true,
-        leads,
-        totalCount: leads.length,
-        exportedAt: new Date().toISOString()
+        ...result
       };
+    } catch (error) {
+      console.error('Backfill waitlist error:', error);
+      throw new functions.https.HttpsError(
+        'internal',
+        'Failed to backfill waitlist numbers.'
+      );
+    }
+  });
+
+// Email domain list management (admin only)
+const domainUpdateSchema = Joi.object({
+  list: Joi.string().valid(...domains.DOMAIN_LISTS).required(),
+  add: Joi.array().items(Joi.string().max(253)).max(1000).default([]),
+  remove: Joi.array().items(Joi.string().max(253)).max(1000).default([])
+});
+
+const domainImportSchema = Joi.object({
+  list: Joi.string().valid(...domains.DOMAIN_LISTS).default('blocked'),
+  mode: Joi.string().valid('merge', 'replace').default('merge'),
+  content: Joi.string().max(2 * 1024 * 1024),
+  storagePath: Joi.string().pattern(/^admin\//).max(1024)
+}).xor('content', 'storagePath');
+
+exports.listEmailDomains = functions
+  .https
+  .onCall(async (data, context) => {
+    await assertAdmin(context, 'Only administrators can view domain lists.', 'viewer');
+
+    const lists = await domains.loadDomainLists({ force: true });
+    return {
+      success: true,
+      blocked: Array.from(lists.blocked).sort(),
+      allowed: Array.from(lists.allowed).sort()
+    };
+  });
+
+exports.updateEmailDomains = functions
+  .https
+  .onCall(async (data, context) => {
+    await assertAdmin(context, 'Only administrators can edit domain lists.', 'editor');
+
+    const { error, value } = domainUpdateSchema.validate(data || {});
+    if (error) {
+      throw new functions.https.HttpsError('invalid-argument', error.details[0].message);
+    }
+
+    try {
+      const result = await domains.updateDomainList(
+        value.list,
+        { add: value.add, remove: value.remove },
+        context.auth.uid
+      );
+      await audit.recordCallableAudit(context, {
+        action: 'email_domains.update',
+        target: { type: 'email_domains', id: value.list },
+        metadata: { add: value.add, remove: value.remove, ...result }
+      });
+      return { success: true, ...result };
+    } catch (error) {
+      console.error('Update email domains error:', error);
+      throw new functions.https.HttpsError('internal', 'Failed to update domain list.');
+    }
+  });
+
+// Bulk import of a standard disposable-domain list, passed inline or
+// uploaded to the admin/ Storage path
+exports.importEmailDomains = functions
+  .runWith({
+    timeoutSeconds: 120,
+    memory: '512MB'
+  })
+  .https
+  .onCall(async (data, context) => {
+    await assertAdmin(context, 'Only administrators can import domain lists.', 'editor');
+
+    const { error, value } = domainImportSchema.validate(data || {});
+    if (error) {
+      throw new functions.https.HttpsError('invalid-argument', error.details[0].message);
+    }
+
+    try {
+      let content = value.content;
+      if (value.storagePath) {
+        const [file] = await admin.storage().bucket().file(value.storagePath).download();
+        content = file.toString('utf8');
+      }
+
+      const result = await domains.importDomainList(value.list, content, {
+        mode: value.mode,
+        actorUid: context.auth.uid
+      });
+      await audit.recordCallableAudit(context, {
+        action: 'email_domains.import',
+        target: { type: 'email_domains', id: value.list },
+        metadata: {
+          mode: value.mode,
+          storagePath: value.storagePath || null,
+          ...result
+        }
+      });
+      return { success: true, ...result };
+    } catch (error) {
+      console.error('Import email domains error:', error);
+      throw new functions.https.HttpsError('internal', 'Failed to import domain list.');
+    }
+  });
+
+// Invite waves: admit the next batch of confirmed leads (admin only)
+const inviteWaveSchema = Joi.object({
+  size: Joi.number().integer().min(1).max(INVITES.maxWaveSize).required(),
+  order: Joi.string().valid(...Object.keys(invites.INVITE_ORDERS)).default('position'),
+  sources: Joi.array().items(Joi.string().max(100)).max(10).default([]),
+  expiresInDays: Joi.number().integer().min(1).max(90).default(INVITES.codeTtlDays)
+});
+
+exports.createInviteWave = functions
+  .runWith({
+    secrets: SECRETS,
+    timeoutSeconds: 540,
+    memory: '512MB'
+  })
+  .https
+  .onCall(async (data, context) => {
+    await assertAdmin(context, 'Only administrators can send invite waves.', 'editor');
+
+    const { error, value } = inviteWaveSchema.validate(data || {});
+    if (error) {
+      throw new functions.https.HttpsError('invalid-argument', error.details[0].message);
+    }
+
+    try {
+      const result = await invites.createInviteWave({
+        ...value,
+        actorUid: context.auth.uid
+      });
+
+      await logAnalyticsEvent('invite_wave_sent', {
+        waveId: result.waveId,
+        invited: result.invited,
+        order: value.order
+      });
+      await audit.recordCallableAudit(context, {
+        action: 'invites.send_wave',
+        target: { type: 'invite_wave', id: result.waveId },
+        metadata: { ...value, invited: result.invited, skipped: result.skipped }
+      });
+
+      return { success: true, ...result };
+    } catch (error) {
+      console.error('Create invite wave error:', error);
+      throw new functions.https.HttpsError('internal', 'Failed to send invite wave.');
+    }
+  });
+
+// Lead scoring weights (admin only). Omitted settings keep their current
+// value; a weights map that is passed replaces the stored one whole.
+const weightsSchema = Joi.object()
+  .pattern(Joi.string().max(100), Joi.number().min(-1000).max(1000));
+
+const scoringConfigSchema = Joi.object({
+  sources: weightsSchema,
+  campaigns: weightsSchema,
+  anyCampaign: Joi.number().min(-1000).max(1000),
+  utmMediums: weightsSchema,
+  utmSources: weightsSchema,
+  referred: Joi.number().min(-1000).max(1000),
+  perReferral: Joi.number().min(0).max(1000),
+  maxReferralPoints: Joi.number().min(0).max(10000),
+  statuses: weightsSchema,
+  perRepeatSignup: Joi.number().min(0).max(1000),
+  maxRepeatSignupPoints: Joi.number().min(0).max(10000),
+  engagement: weightsSchema,
+  maxEngagementPoints: Joi.number().min(0).max(10000),
+  tiers: weightsSchema
+}).min(1);
+
+exports.updateLeadScoring = functions
+  .https
+  .onCall(async (data, context) => {
+    await assertAdmin(context, 'Only administrators can change lead scoring.', 'editor');
+
+    const { error, value } = scoringConfigSchema.validate(data || {});
+    if (error) {
+      throw new functions.https.HttpsError('invalid-argument', error.details[0].message);
+    }
+
+    try {
+      const before = await scoring.loadScoringConfig({ force: true });
+      const config = await scoring.updateScoringConfig(value, context.auth.uid);
+      await audit.recordCallableAudit(context, {
+        action: 'lead_scoring.update',
+        target: { type: 'lead_scoring', id: 'config' },
+        before,
+        after: config
+      });
+      return { success: true, config };
+    } catch (error) {
+      console.error('Update lead scoring error:', error);
+      throw new functions.https.HttpsError('internal', 'Failed to update lead scoring.');
+    }
+  });
+
+// Lead exports (admin only). exportLeads queues a job; runLeadExport streams
+// the file to Storage (re-queueing itself when it runs out of time) and
+// getLeadExport reports progress and the download link.
+const exportLeadsSchema = Joi.object({
+  format: Joi.string().valid(...Object.keys(leadExports.EXPORT_FORMATS)).default('csv'),
+  from: Joi.date().iso(),
+  to: Joi.date().iso().when('from', {
+    is: Joi.exist(),
+    then: Joi.date().min(Joi.ref('from'))
+  }),
+  status: Joi.string().max(50),
+  source: Joi.string().max(100),
+  campaign: Joi.string().max(100),
+  minScore: Joi.number().integer(),
+  maxScore: Joi.number().integer().when('minScore', {
+    is: Joi.exist(),
+    then: Joi.number().min(Joi.ref('minScore'))
+  })
+});
+
+exports.exportLeads = functions
+  .https
+  .onCall(async (data, context) => {
+    await assertAdmin(context, 'Only administrators can export leads data.', 'editor');
+
+    const { error, value } = exportLeadsSchema.validate(data || {});
+    if (error) {
+      throw new functions.https.HttpsError('invalid-argument', error.details[0].message);
+    }
+
+    try {
+      const { format, ...filters } = value;
+      const jobId = await leadExports.createExportJob({
+        format,
+        // Stored as plain JSON (dates become ISO strings)
+        filters: JSON.parse(JSON.stringify(filters))
+      }, context.auth.uid);
+      await audit.recordCallableAudit(context, {
+        action: 'leads.export',
+        target: { type: 'lead_export', id: jobId },
+        metadata: value
+      });
+
+      return { success: true, jobId, status: 'queued' };
     } catch (error) {
       console.error('Export leads error:', error);
       throw new functions.https.HttpsError(
         'internal',
-        'Failed to export leads data.'
+        'Failed to start the leads export.'
+      );
+    }
+  });
+
+exports.runLeadExport = functions
+  .runWith({
+    timeoutSeconds: 540,
+    memory: '1GB'
+  })
+  .firestore
+  .document('admin/exports/jobs/{jobId}')
+  .onWrite(async (change) => {
+    if (!change.after.exists || change.after.data().status !== 'queued') {
+      return null;
+    }
+
+    try {
+      const result = await leadExports.runExportJob(change.after.ref, {
+        deadline: Date.now() + 480 * 1000
+      });
+      console.log('Lead export run:', change.after.id, result);
+    } catch (error) {
+      console.error('Lead export failed:', change.after.id, error);
+    }
+    return null;
+  });
+
+exports.getLeadExport = functions
+  .https
+  .onCall(async (data, context) => {
+    await assertAdmin(context, 'Only administrators can download leads data.', 'editor');
+
+    const { error, value } = Joi.object({
+      jobId: Joi.string().max(100).required()
+    }).validate(data || {});
+    if (error) {
+      throw new functions.https.HttpsError('invalid-argument', error.details[0].message);
+    }
+
+    let job;
+    try {
+      job = await leadExports.getExportJob(value.jobId);
+    } catch (error) {
+      console.error('Get lead export error:', error);
+      throw new functions.https.HttpsError('internal', 'Failed to load the leads export.');
+    }
+
+    if (!job) {
+      throw new functions.https.HttpsError('not-found', 'Export job not found.');
+    }
+    if (job.downloadUrl) {
+      await audit.recordCallableAudit(context, {
+        action: 'leads.export_download',
+        target: { type: 'lead_export', id: value.jobId },
+        metadata: { rowCount: job.rowCount }
+      });
+    }
+    return { success: true, ...job };
+  });
+
+// Bulk lead import from a CSV under the admin/imports/ Storage path (admin only).
+// importLeads queues a job; runLeadImport works through it (re-queueing itself
+// when it runs out of time) and getLeadImport reports progress and the report.
+const importLeadsSchema = Joi.object({
+  storagePath: Joi.string().pattern(/^admin\/imports\//).max(1024).required(),
+  // Defaults for rows that leave these columns blank
+  source: Joi.string().max(100).default('import'),
+  campaign: Joi.string().max(100),
+  policyVersion: Joi.string()
+    .valid(...Object.keys(CONSENT_POLICIES))
+    .default(CURRENT_POLICY_VERSION),
+  // Confirms every row was collected with consent; otherwise rows need a consent column
+  consent: Joi.boolean().default(false),
+  sendConfirmations: Joi.boolean().default(true)
+});
+
+exports.importLeads = functions
+  .https
+  .onCall(async (data, context) => {
+    await assertAdmin(context, 'Only administrators can import leads.', 'editor');
+
+    const { error, value } = importLeadsSchema.validate(data || {});
+    if (error) {
+      throw new functions.https.HttpsError('invalid-argument', error.details[0].message);
+    }
+
+    let file;
+    try {
+      file = await leadImport.describeImportFile(value.storagePath);
+    } catch (error) {
+      console.error('Import leads error:', error);
+      throw new functions.https.HttpsError('internal', 'Failed to read the import file.');
+    }
+    if (!file) {
+      throw new functions.https.HttpsError('not-found', 'Import file not found.');
+    }
+    if (file.size > LEAD_IMPORTS.maxFileBytes) {
+      throw new functions.https.HttpsError('invalid-argument', 'Import file is too large.');
+    }
+
+    try {
+      const jobId = await leadImport.createImportJob(value, context.auth.uid);
+      await audit.recordCallableAudit(context, {
+        action: 'leads.import',
+        target: { type: 'lead_import', id: jobId },
+        metadata: value
+      });
+      return { success: true, jobId, status: 'queued' };
+    } catch (error) {
+      console.error('Import leads error:', error);
+      throw new functions.https.HttpsError('internal', 'Failed to start the leads import.');
+    }
+  });
+
+exports.runLeadImport = functions
+  .runWith({
+    secrets: SECRETS,
+    timeoutSeconds: 540,
+    memory: '1GB'
+  })
+  .firestore
+  .document('admin/imports/jobs/{jobId}')
+  .onWrite(async (change) => {
+    if (!change.after.exists || change.after.data().status !== 'queued') {
+      return null;
+    }
+
+    try {
+      const result = await leadImport.runImportJob(change.after.ref, {
+        deadline: Date.now() + 480 * 1000
+      });
+      console.log('Lead import run:', change.after.id, result);
+    } catch (error) {
+      console.error('Lead import failed:', change.after.id, error);
+    }
+    return null;
+  });
+
+exports.getLeadImport = functions
+  .https
+  .onCall(async (data, context) => {
+    await assertAdmin(context, 'Only administrators can view lead imports.', 'viewer');
+
+    const { error, value } = Joi.object({
+      jobId: Joi.string().max(100).required()
+    }).validate(data || {});
+    if (error) {
+      throw new functions.https.HttpsError('invalid-argument', error.details[0].message);
+    }
+
+    let job;
+    try {
+      job = await leadImport.getImportJob(value.jobId);
+    } catch (error) {
+      console.error('Get lead import error:', error);
+      throw new functions.https.HttpsError('internal', 'Failed to load the leads import.');
+    }
+
+    if (!job) {
+      throw new functions.https.HttpsError('not-found', 'Import job not found.');
+    }
+    if (job.reportUrl) {
+      await audit.recordCallableAudit(context, {
+        action: 'leads.import_report_download',
+        target: { type: 'lead_import', id: value.jobId }
+      });
+    }
+    return { success: true, ...job };
+  });
+
+// Admin access management (owners only), plus the one-time bootstrap of the
+// first owner from an allowlisted, verified address
+const adminUserSchema = Joi.object({
+  uid: Joi.string().max(128),
+  email: Joi.string().email().max(254)
+}).xor('uid', 'email');
+
+const resolveAdminTarget = async (value, context) => {
+  const user = await adminRoles.findUser(value);
+  if (!user) {
+    throw new functions.https.HttpsError('not-found', 'No user with that uid or email.');
+  }
+  if (user.uid === context.auth.uid) {
+    throw new functions.https.HttpsError(
+      'failed-precondition',
+      'Ask another owner to change your own access.'
+    );
+  }
+  return user;
+};
+
+exports.setAdminRole = functions
+  .https
+  .onCall(async (data, context) => {
+    await assertAdmin(context, 'Only owners can manage administrators.', 'owner');
+
+    const { error, value } = adminUserSchema.keys({
+      role: Joi.string().valid(...ADMIN_ROLES).required()
+    }).validate(data || {});
+    if (error) {
+      throw new functions.https.HttpsError('invalid-argument', error.details[0].message);
+    }
+
+    const { role, ...target } = value;
+    const user = await resolveAdminTarget(target, context);
+
+    try {
+      const result = await adminRoles.setAdminRole(user, role, context.auth.uid);
+      await audit.recordCallableAudit(context, {
+        action: 'admin.set_role',
+        target: { type: 'user', id: user.uid },
+        before: { role: result.previousRole },
+        after: { role },
+        metadata: { email: result.email }
+      });
+      return { success: true, ...result };
+    } catch (error) {
+      console.error('Set admin role error:', error);
+      throw new functions.https.HttpsError('internal', 'Failed to update admin access.');
+    }
+  });
+
+exports.revokeAdminRole = functions
+  .https
+  .onCall(async (data, context) => {
+    await assertAdmin(context, 'Only owners can manage administrators.', 'owner');
+
+    const { error, value } = adminUserSchema.validate(data || {});
+    if (error) {
+      throw new functions.https.HttpsError('invalid-argument', error.details[0].message);
+    }
+
+    const user = await resolveAdminTarget(value, context);
+
+    try {
+      const result = await adminRoles.revokeAdminRole(user, context.auth.uid);
+      await audit.recordCallableAudit(context, {
+        action: 'admin.revoke_role',
+        target: { type: 'user', id: user.uid },
+        before: { role: result.previousRole },
+        after: { role: null },
+        metadata: { email: result.email }
+      });
+      return { success: true, ...result };
+    } catch (error) {
+      console.error('Revoke admin role error:', error);
+      throw new functions.https.HttpsError('internal', 'Failed to revoke admin access.');
+    }
+  });
+
+exports.listAdmins = functions
+  .https
+  .onCall(async (data, context) => {
+    await assertAdmin(context, 'Only owners can manage administrators.', 'owner');
+
+    try {
+      return { success: true, admins: await adminRoles.listAdmins() };
+    } catch (error) {
+      console.error('List admins error:', error);
+      throw new functions.https.HttpsError('internal', 'Failed to list administrators.');
+    }
+  });
+
+exports.bootstrapAdmin = functions
+  .https
+  .onCall(async (data, context) => {
+    if (!context.auth) {
+      throw new functions.https.HttpsError('unauthenticated', 'Please sign in first.');
+    }
+
+    let result;
+    try {
+      result = await adminRoles.bootstrapAdmin(context.auth);
+    } catch (error) {
+      console.error('Bootstrap admin error:', error);
+      throw new functions.https.HttpsError('internal', 'Failed to set up the first admin.');
+    }
+
+    if (!result.granted) {
+      throw new functions.https.HttpsError(
+        result.reason === 'not_allowed' ? 'permission-denied' : 'failed-precondition',
+        result.reason === 'not_allowed'
+          ? 'This account is not allowed to set up the first admin.'
+          : 'An owner already exists; ask them for access.'
       );
     }
+
+    await audit.recordCallableAudit(context, {
+      action: 'admin.bootstrap',
+      target: { type: 'user', id: context.auth.uid },
+      before: { role: null },
+      after: { role: 'owner' },
+      metadata: { email: context.auth.token.email || null }
+    });
+    console.log('Admin bootstrapped:', context.auth.uid);
+    return { success: true, role: 'owner' };
+  });
+
+// Site content (public_content) edits go through here so each one is audited
+const publicContentSchema = Joi.object({
+  contentId: Joi.string().pattern(/^[A-Za-z0-9_-]{1,100}$/).required(),
+  content: Joi.object().max(50),
+  delete: Joi.boolean().valid(true)
+}).xor('content', 'delete');
+
+exports.updatePublicContent = functions
+  .https
+  .onCall(async (data, context) => {
+    await assertAdmin(context, 'Only administrators can edit site content.', 'editor');
+
+    const { error, value } = publicContentSchema.validate(data || {});
+    if (error) {
+      throw new functions.https.HttpsError('invalid-argument', error.details[0].message);
+    }
+
+    try {
+      const contentRef = db.collection('public_content').doc(value.contentId);
+      const beforeDoc = await contentRef.get();
+      const before = beforeDoc.exists ? beforeDoc.data() : {};
+
+      if (value.delete) {
+        await contentRef.delete();
+      } else {
+        await contentRef.set(value.content);
+      }
+
+      await audit.recordCallableAudit(context, {
+        action: value.delete ? 'public_content.delete' : 'public_content.update',
+        target: { type: 'public_content', id: value.contentId },
+        before,
+        after: value.delete ? {} : value.content
+      });
+      return { success: true, contentId: value.contentId, deleted: Boolean(value.delete) };
+    } catch (error) {
+      console.error('Update public content error:', error);
+      throw new functions.https.HttpsError('internal', 'Failed to update site content.');
+    }
   });
\ No newline at end of file
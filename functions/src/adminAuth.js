@@ -0,0 +1,97 @@
+const functions = require("firebase-functions");
+const { admin } = require("./firebase");
+
+/**
+ * Admin access. Admins carry the `admin` custom claim plus an `adminRole`,
+ * least to most privileged:
+ * - viewer: read leads, domain lists and job status
+ * - editor: also change leads and settings, send invites, import and export
+ * - owner: also run migrations and manage other admins (see adminRoles.js)
+ */
+const ADMIN_ROLES = ["viewer", "editor", "owner"];
+
+// Admins granted before roles existed only carry `admin: true` and keep full access
+const adminRoleOf = (token) => {
+  if (!token || !token.admin) {
+    return null;
+  }
+  if (token.adminRole === undefined) {
+    return "owner";
+  }
+  return ADMIN_ROLES.includes(token.adminRole) ? token.adminRole : null;
+};
+
+const hasAdminRole = (token, role) => {
+  const current = adminRoleOf(token);
+  return current !== null && ADMIN_ROLES.indexOf(current) >= ADMIN_ROLES.indexOf(role);
+};
+
+/**
+ * Callable guard: only admins with at least `role` may proceed.
+ * Callables get the caller's ID token without a revocation check, so the user
+ * record is read too: its claims must still grant the role, and the token must
+ * have been issued after any revocation (revoking or lowering a role revokes
+ * the user's tokens), so removing access takes effect at once here as well.
+ */
+const assertAdmin = async (context, message, role = "owner") => {
+  if (!context.auth || !hasAdminRole(context.auth.token, role)) {
+    throw new functions.https.HttpsError("permission-denied", message);
+  }
+
+  let user;
+  try {
+    user = await admin.auth().getUser(context.auth.uid);
+  } catch (error) {
+    throw new functions.https.HttpsError("permission-denied", message);
+  }
+
+  const validAfter = user.tokensValidAfterTime ? Date.parse(user.tokensValidAfterTime) : 0;
+  if (user.disabled || context.auth.token.auth_time * 1000 < validAfter ||
+    !hasAdminRole(user.customClaims, role)) {
+    throw new functions.https.HttpsError("permission-denied", message);
+  }
+};
+
+/**
+ * Express guard for admin REST routes: requires a Firebase ID token
+ * (`Authorization: Bearer <token>`) whose user holds at least `role`.
+ * Revoked tokens are rejected, so removing a user's access takes effect at once.
+ * The verified user is available as `req.adminUser`.
+ */
+const requireAdmin = (role = "viewer") => async (req, res, next) => {
+  const match = /^Bearer (.+)$/.exec(req.get("Authorization") || "");
+  if (!match) {
+    return res.status(401).json({ success: false, error: "Authentication required" });
+  }
+
+  let decoded;
+  try {
+    decoded = await admin.auth().verifyIdToken(match[1], true);
+  } catch (error) {
+    return res.status(401).json({ success: false, error: "Invalid or expired token" });
+  }
+
+  if (!hasAdminRole(decoded, role)) {
+    return res.status(403).json({ success: false, error: "Administrator access required" });
+  }
+
+  req.adminUser = { uid: decoded.uid, email: decoded.email || null, role: adminRoleOf(decoded) };
+  next();
+};
+
+// Route-level guard after requireAdmin, for actions that need a higher role
+const requireRole = (role) => (req, res, next) => {
+  if (!req.adminUser || ADMIN_ROLES.indexOf(req.adminUser.role) < ADMIN_ROLES.indexOf(role)) {
+    return res.status(403).json({ success: false, error: `The ${role} role is required` });
+  }
+  next();
+};
+
+module.exports = {
+  ADMIN_ROLES,
+  adminRoleOf,
+  hasAdminRole,
+  assertAdmin,
+  requireAdmin,
+  requireRole
+};
@@ -0,0 +1,260 @@
+const express = require("express");
+const Joi = require("joi");
+const { admin, db } = require("./firebase");
+const { rateLimit } = require("./rateLimit");
+const { requireAdmin, requireRole } = require("./adminAuth");
+const { consentLedger } = require("./consent");
+const { unsubscribeLead } = require("./unsubscribe");
+const { serializeValue } = require("./serialize");
+const { recordAudit, actorFromRequest, requestIdFor } = require("./audit");
+
+/**
+ * Admin REST API for browsing and curating leads (Firebase ID token + admin claim).
+ * Viewers can read; changing a lead needs the editor role.
+ * GET   /admin/leads          list, newest first; ?q= searches by email prefix
+ * GET   /admin/leads/:leadId  full lead with its consent ledger
+ * PATCH /admin/leads/:leadId  add/remove tags, move the lead to an admin status,
+ *                             or unblock it (back to its status before the block)
+ */
+
+// Statuses an admin may set directly. Unsubscribing goes through the normal
+// unsubscribe flow so the consent ledger and suppression list stay in step.
+const ADMIN_STATUSES = ["blocked", "expired", "unsubscribed"];
+
+const TAG_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const MAX_PAGE_SIZE = 100;
+
+const listQuerySchema = Joi.object({
+  q: Joi.string().trim().lowercase().max(254),
+  status: Joi.string().max(50),
+  source: Joi.string().max(100),
+  campaign: Joi.string().max(100),
+  tag: Joi.string().pattern(TAG_PATTERN),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  limit: Joi.number().integer().min(1).max(MAX_PAGE_SIZE).default(25),
+  cursor: Joi.string().max(200)
+}).custom((value, helpers) => {
+  // Firestore allows range filters on one field only
+  if (value.q && (value.from || value.to)) {
+    return helpers.message("Email search cannot be combined with a date range");
+  }
+  return value;
+});
+
+const tagsSchema = Joi.array()
+  .items(Joi.string().trim().lowercase().pattern(TAG_PATTERN))
+  .max(20);
+
+const updateSchema = Joi.object({
+  status: Joi.string().valid(...ADMIN_STATUSES),
+  unblock: Joi.boolean().valid(true),
+  addTags: tagsSchema,
+  removeTags: tagsSchema
+}).or("status", "unblock", "addTags", "removeTags")
+  .oxor("status", "unblock")
+  .messages({ "object.oxor": "Send either a status or unblock, not both" });
+
+// List view of a lead - enough to scan and filter, without raw IPs or user agents
+const summarizeLead = (doc) => {
+  const lead = doc.data();
+  return serializeValue({
+    id: doc.id,
+    email: lead.email,
+    name: lead.name || null,
+    status: lead.status || "active",
+    source: lead.source || null,
+    campaign: lead.campaign || null,
+    tags: lead.tags || [],
+    score: lead.score ?? null,
+    scoreTier: lead.scoreTier || null,
+    waitlistNumber: lead.waitlistNumber || null,
+    referralCount: lead.referralCount || 0,
+    firstTouchChannel: lead.firstTouch?.channel || null,
+    subscriptionCount: lead.subscriptionCount || 1,
+    timestamp: lead.timestamp || null
+  });
+};
+
+const sendValidationError = (res, error) => {
+  res.status(400).json({ success: false, error: error.details[0].message });
+};
+
+const router = express.Router();
+router.use("/admin/leads", rateLimit("admin"), requireAdmin("viewer"));
+
+router.get("/admin/leads", async (req, res) => {
+  const { error, value } = listQuerySchema.validate(req.query);
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  try {
+    // firestore.indexes.json declares a composite index for every combination
+    // of these filters, sorted by timestamp and by email
+    let query = db.collection("email_leads");
+    ["status", "source", "campaign"].forEach(field => {
+      if (value[field]) {
+        query = query.where(field, "==", value[field]);
+      }
+    });
+    if (value.tag) {
+      query = query.where("tags", "array-contains", value.tag);
+    }
+
+    if (value.q) {
+      // Emails are stored lowercased, so a prefix is a simple range
+      query = query
+        .where("email", ">=", value.q)
+        .where("email", "<", `${value.q}\uf8ff`)
+        .orderBy("email");
+    } else {
+      if (value.from) {
+        query = query.where("timestamp", ">=", admin.firestore.Timestamp.fromDate(value.from));
+      }
+      if (value.to) {
+        query = query.where("timestamp", "<=", admin.firestore.Timestamp.fromDate(value.to));
+      }
+      query = query.orderBy("timestamp", "desc");
+    }
+
+    if (value.cursor) {
+      const cursorDoc = await db.collection("email_leads").doc(value.cursor).get();
+      if (!cursorDoc.exists) {
+        return res.status(400).json({ success: false, error: "Invalid cursor" });
+      }
+      query = query.startAfter(cursorDoc);
+    }
+
+    const snapshot = await query.limit(value.limit).get();
+    const leads = snapshot.docs.map(summarizeLead);
+
+    res.status(200).json({
+      success: true,
+      leads,
+      nextCursor: snapshot.size === value.limit ? snapshot.docs[snapshot.size - 1].id : null
+    });
+  } catch (error) {
+    console.error("Admin list leads error:", error);
+    res.status(500).json({ success: false, error: "Unable to list leads" });
+  }
+});
+
+router.get("/admin/leads/:leadId", async (req, res) => {
+  try {
+    const leadDoc = await db.collection("email_leads").doc(req.params.leadId).get();
+    if (!leadDoc.exists) {
+      return res.status(404).json({ success: false, error: "Lead not found" });
+    }
+
+    const ledgerSnapshot = await consentLedger(leadDoc.ref).orderBy("timestamp").get();
+    await recordAudit({
+      actor: actorFromRequest(req),
+      action: "lead.view",
+      target: { type: "lead", id: leadDoc.id },
+      requestId: requestIdFor(req)
+    });
+
+    res.status(200).json({
+      success: true,
+      lead: {
+        id: leadDoc.id,
+        ...serializeValue(leadDoc.data()),
+        consentLedger: ledgerSnapshot.docs.map(entry => serializeValue(entry.data()))
+      }
+    });
+  } catch (error) {
+    console.error("Admin get lead error:", error);
+    res.status(500).json({ success: false, error: "Unable to fetch lead" });
+  }
+});
+
+router.patch("/admin/leads/:leadId", requireRole("editor"), async (req, res) => {
+  const { error, value } = updateSchema.validate(req.body || {});
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  try {
+    const leadRef = db.collection("email_leads").doc(req.params.leadId);
+    const beforeDoc = await leadRef.get();
+    if (!beforeDoc.exists) {
+      return res.status(404).json({ success: false, error: "Lead not found" });
+    }
+    const before = {
+      status: beforeDoc.data().status || "active",
+      tags: beforeDoc.data().tags || []
+    };
+
+    if (value.status === "unsubscribed") {
+      const found = await unsubscribeLead(leadRef.id, "admin", { ip: req.ip });
+      if (!found) {
+        return res.status(404).json({ success: false, error: "Lead not found" });
+      }
+    }
+
+    const updated = await db.runTransaction(async (transaction) => {
+      const leadDoc = await transaction.get(leadRef);
+      if (!leadDoc.exists) {
+        return null;
+      }
+
+      const lead = leadDoc.data();
+      const update = {};
+      if (value.status && value.status !== "unsubscribed" && value.status !== lead.status) {
+        if (lead.status === "unsubscribed") {
+          // Only the subscriber can undo an unsubscribe, by confirming again
+          return { conflict: "Unsubscribed leads cannot be moved to another status" };
+        }
+        update.status = value.status;
+        update.previousStatus = lead.status || null;
+      }
+      if (value.unblock) {
+        if (lead.status !== "blocked") {
+          return { conflict: "Only blocked leads can be unblocked" };
+        }
+        update.status = lead.previousStatus || "active";
+        update.previousStatus = "blocked";
+      }
+
+      const tags = new Set(lead.tags || []);
+      (value.addTags || []).forEach(tag => tags.add(tag));
+      (value.removeTags || []).forEach(tag => tags.delete(tag));
+      update.tags = [...tags].sort();
+
+      transaction.update(leadRef, {
+        ...update,
+        adminUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        adminUpdatedBy: req.adminUser.uid
+      });
+      return { lead: { ...lead, ...update } };
+    });
+
+    if (!updated) {
+      return res.status(404).json({ success: false, error: "Lead not found" });
+    }
+    if (updated.conflict) {
+      return res.status(409).json({ success: false, error: updated.conflict });
+    }
+
+    const after = { status: updated.lead.status || "active", tags: updated.lead.tags };
+    await recordAudit({
+      actor: actorFromRequest(req),
+      action: "lead.update",
+      target: { type: "lead", id: leadRef.id },
+      before,
+      after,
+      requestId: requestIdFor(req)
+    });
+
+    res.status(200).json({
+      success: true,
+      lead: { id: leadRef.id, ...after }
+    });
+  } catch (error) {
+    console.error("Admin update lead error:", error);
+    res.status(500).json({ success: false, error: "Unable to update lead" });
+  }
+});
+
+module.exports = { router, ADMIN_STATUSES };
@@ -0,0 +1,189 @@
+const { admin, db } = require("./firebase");
+const { ADMIN_ROLES, adminRoleOf } = require("./adminAuth");
+const { ADMIN_BOOTSTRAP_EMAILS } = require("./config");
+
+/**
+ * Granting and revoking admin access.
+ * Roles live in the user's custom claims (`admin: true`, `adminRole`), which is
+ * what the guards and security rules check. `admin_users/{uid}` mirrors them so
+ * owners can see who has access, and who granted it.
+ *
+ * The first owner is created by bootstrapAdmin, for a verified address on the
+ * ADMIN_BOOTSTRAP_EMAILS allowlist, and only while no owner exists, counting
+ * admins from before roles, who only carry `admin: true`. Owners cannot change
+ * their own role, so there is always at least one owner after.
+ */
+
+const adminUsersCollection = () => db.collection("admin_users");
+
+/**
+ * Look up a Firebase Auth user by uid or email.
+ *
+ * @returns {Promise<object|null>} The user record, or null if there is none
+ */
+const findUser = async ({ uid, email }) => {
+  try {
+    return uid ? await admin.auth().getUser(uid) : await admin.auth().getUserByEmail(email);
+  } catch (error) {
+    if (error.code === "auth/user-not-found") {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Custom claims replace the whole set, so keep any unrelated claims the user has
+const withoutAdminClaims = (claims = {}) => Object.fromEntries(
+  Object.entries(claims).filter(([key]) => key !== "admin" && key !== "adminRole")
+);
+
+/**
+ * Give a user an admin role, or change it. Lowering an existing role revokes
+ * the user's sessions so it applies straight away; a new or higher role
+ * applies the next time their ID token refreshes.
+ *
+ * @returns {Promise<{ uid: string, email: string|null, role: string, previousRole: string|null }>}
+ */
+const setAdminRole = async (user, role, actorUid) => {
+  const claims = user.customClaims || {};
+  const previousRole = claims.admin ? claims.adminRole || "owner" : null;
+
+  await admin.auth().setCustomUserClaims(user.uid, {
+    ...withoutAdminClaims(claims),
+    admin: true,
+    adminRole: role
+  });
+  if (previousRole && ADMIN_ROLES.indexOf(role) < ADMIN_ROLES.indexOf(previousRole)) {
+    await admin.auth().revokeRefreshTokens(user.uid);
+  }
+
+  await adminUsersCollection().doc(user.uid).set({
+    email: user.email || null,
+    role,
+    grantedBy: actorUid,
+    grantedAt: admin.firestore.FieldValue.serverTimestamp(),
+    revokedBy: null,
+    revokedAt: null
+  }, { merge: true });
+
+  return { uid: user.uid, email: user.email || null, role, previousRole };
+};
+
+/**
+ * Remove a user's admin access and sign them out everywhere.
+ *
+ * @returns {Promise<{ uid: string, email: string|null, previousRole: string|null }>}
+ */
+const revokeAdminRole = async (user, actorUid) => {
+  const claims = user.customClaims || {};
+  const previousRole = claims.admin ? claims.adminRole || "owner" : null;
+
+  await admin.auth().setCustomUserClaims(user.uid, withoutAdminClaims(claims));
+  await admin.auth().revokeRefreshTokens(user.uid);
+
+  await adminUsersCollection().doc(user.uid).set({
+    email: user.email || null,
+    role: null,
+    revokedBy: actorUid,
+    revokedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+
+  return { uid: user.uid, email: user.email || null, previousRole };
+};
+
+/**
+ * Current admins, as recorded in admin_users.
+ */
+const listAdmins = async () => {
+  const snapshot = await adminUsersCollection().where("role", "in", ADMIN_ROLES).get();
+  return snapshot.docs.map(doc => {
+    const data = doc.data();
+    return {
+      uid: doc.id,
+      email: data.email,
+      role: data.role,
+      grantedBy: data.grantedBy || null,
+      grantedAt: data.grantedAt?.toDate?.()?.toISOString() || null
+    };
+  });
+};
+
+// Owners known only from custom claims, such as admins granted before roles
+// and admin_users existed
+const hasClaimsOwner = async () => {
+  let pageToken;
+  do {
+    const page = await admin.auth().listUsers(1000, pageToken);
+    if (page.users.some(user => adminRoleOf(user.customClaims) === "owner")) {
+      return true;
+    }
+    pageToken = page.pageToken;
+  } while (pageToken);
+  return false;
+};
+
+/**
+ * Make the calling user the first owner.
+ *
+ * @param {object} auth - Callable context.auth
+ * @returns {Promise<{ granted: boolean, reason?: string }>}
+ */
+const bootstrapAdmin = async (auth) => {
+  const email = (auth.token.email || "").toLowerCase();
+  if (!auth.token.email_verified || !ADMIN_BOOTSTRAP_EMAILS.includes(email)) {
+    return { granted: false, reason: "not_allowed" };
+  }
+
+  if (await hasClaimsOwner()) {
+    return { granted: false, reason: "already_bootstrapped" };
+  }
+
+  const userRef = adminUsersCollection().doc(auth.uid);
+
+  // Claim the bootstrap in a transaction, so two allowlisted users racing
+  // can't both become the first owner
+  const claimed = await db.runTransaction(async (transaction) => {
+    const owners = await transaction.get(
+      adminUsersCollection().where("role", "==", "owner").limit(1)
+    );
+    if (!owners.empty) {
+      return false;
+    }
+
+    transaction.set(userRef, {
+      email,
+      role: "owner",
+      grantedBy: auth.uid,
+      grantedAt: admin.firestore.FieldValue.serverTimestamp(),
+      bootstrap: true
+    });
+    return true;
+  });
+
+  if (!claimed) {
+    return { granted: false, reason: "already_bootstrapped" };
+  }
+
+  try {
+    const user = await admin.auth().getUser(auth.uid);
+    await admin.auth().setCustomUserClaims(auth.uid, {
+      ...withoutAdminClaims(user.customClaims),
+      admin: true,
+      adminRole: "owner"
+    });
+  } catch (error) {
+    // Reopen the bootstrap if the claim could not be set
+    await userRef.delete();
+    throw error;
+  }
+
+  return { granted: true };
+};
+
+module.exports = {
+  findUser,
+  setAdminRole,
+  revokeAdminRole,
+  listAdmins,
+  bootstrapAdmin
+};
@@ -0,0 +1,166 @@
+const crypto = require("crypto");
+const { admin, db } = require("./firebase");
+
+/**
+ * PII policy for analytics_events.
+ * Raw emails and IPs never reach Firestore: emails become a stable pseudonymous
+ * subject ID (keyed hash, so per-lead analysis still works), and IPs are truncated
+ * to their network prefix plus a hash salted per rotation period. Once a period's
+ * salt is deleted its IP hashes can no longer be linked to anything.
+ */
+
+const SALT_ROTATION_MONTHS = 1;
+const SALT_RETENTION_PERIODS = 2;
+
+let cachedSalt = null;
+
+const getPseudonymSecret = () => {
+  const secret = process.env.ANALYTICS_PSEUDONYM_SECRET;
+  if (!secret) {
+    throw new Error("ANALYTICS_PSEUDONYM_SECRET is not configured");
+  }
+  return secret;
+};
+
+// Salt periods are calendar months (UTC), e.g. "2024-05"
+const getSaltPeriod = (date = new Date()) => {
+  const monthIndex = date.getUTCFullYear() * 12 + date.getUTCMonth();
+  const periodStart = monthIndex - (monthIndex % SALT_ROTATION_MONTHS);
+  const year = Math.floor(periodStart / 12);
+  const month = String((periodStart % 12) + 1).padStart(2, "0");
+  return `${year}-${month}`;
+};
+
+/**
+ * Salt for the current period, created on first use so a missed rotation run
+ * never leaves events unhashed.
+ */
+const getCurrentSalt = async () => {
+  const period = getSaltPeriod();
+  if (cachedSalt && cachedSalt.period === period) {
+    return cachedSalt.salt;
+  }
+
+  const saltRef = db.collection("pii_salts").doc(period);
+  const salt = await db.runTransaction(async (transaction) => {
+    const saltDoc = await transaction.get(saltRef);
+    if (saltDoc.exists) {
+      return saltDoc.data().salt;
+    }
+
+    const newSalt = crypto.randomBytes(32).toString("hex");
+    transaction.set(saltRef, {
+      salt: newSalt,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return newSalt;
+  });
+
+  cachedSalt = { period, salt };
+  return salt;
+};
+
+/**
+ * Make sure the current period's salt exists and delete salts past retention.
+ * Called by the scheduled rotateAnalyticsSalt function.
+ */
+const rotateSalts = async () => {
+  await getCurrentSalt();
+  const currentPeriod = getSaltPeriod();
+
+  const snapshot = await db.collection("pii_salts").get();
+  const expired = snapshot.docs
+    .map(doc => doc.id)
+    .filter(period => period !== currentPeriod)
+    .sort()
+    .reverse()
+    .slice(SALT_RETENTION_PERIODS - 1);
+
+  const batch = db.batch();
+  expired.forEach(period => batch.delete(db.collection("pii_salts").doc(period)));
+  await batch.commit();
+
+  return { currentPeriod, deletedPeriods: expired };
+};
+
+// Stable pseudonymous ID for an email address - the same across salt rotations
+const pseudonymizeEmail = (email) => {
+  return crypto
+    .createHmac("sha256", getPseudonymSecret())
+    .update(String(email).trim().toLowerCase())
+    .digest("hex")
+    .slice(0, 32);
+};
+
+// Keep the /24 (IPv4) or /48 (IPv6) network only
+const truncateIp = (ip) => {
+  const address = String(ip).replace(/^::ffff:/, "");
+  if (address.includes(":")) {
+    return `${address.split(":").slice(0, 3).join(":")}::/48`;
+  }
+  return `${address.split(".").slice(0, 3).join(".")}.0/24`;
+};
+
+const hashWithSalt = (value, salt) => {
+  return crypto.createHash("sha256").update(`${salt}:${value}`).digest("hex").slice(0, 32);
+};
+
+// How each known PII parameter is stored; anything not listed passes through
+const PII_POLICY = {
+  email: (email) => ({
+    subjectId: pseudonymizeEmail(email),
+    emailDomain: String(email).split("@")[1] || null
+  }),
+  ip: (ip, salt) => ({
+    ipPrefix: truncateIp(ip),
+    ipHash: hashWithSalt(ip, salt)
+  }),
+  userAgent: () => ({})
+};
+
+const applyPiiPolicy = async (parameters = {}) => {
+  const sanitized = {};
+  let salt = null;
+
+  for (const [key, value] of Object.entries(parameters)) {
+    if (value === undefined) {
+      continue;
+    }
+    if (!PII_POLICY[key]) {
+      sanitized[key] = value;
+      continue;
+    }
+    if (value === null || value === "") {
+      continue;
+    }
+    if (key === "ip" && !salt) {
+      salt = await getCurrentSalt();
+    }
+    Object.assign(sanitized, PII_POLICY[key](value, salt));
+  }
+
+  return sanitized;
+};
+
+const logAnalyticsEvent = async (eventName, parameters) => {
+  try {
+    // Log to Firestore for analytics, with PII pseudonymized first
+    await db.collection("analytics_events").add({
+      event: eventName,
+      parameters: await applyPiiPolicy(parameters),
+      piiPolicyVersion: 1,
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+      source: "cloud_function"
+    });
+  } catch (error) {
+    console.error("Analytics logging error:", error);
+  }
+};
+
+module.exports = {
+  logAnalyticsEvent,
+  applyPiiPolicy,
+  pseudonymizeEmail,
+  truncateIp,
+  rotateSalts
+};
@@ -0,0 +1,189 @@
+const zlib = require("zlib");
+const { promisify } = require("util");
+const { admin, db } = require("./firebase");
+const { serializeValue } = require("./serialize");
+const { toDateKey } = require("./stats");
+const { ANALYTICS_RETENTION } = require("./config");
+
+/**
+ * Retention for analytics data: server events (analytics_events) and the
+ * client telemetry partitions (client_events, client_metrics).
+ *
+ * Each event name can have its own retention (ANALYTICS_RETENTION), so errors
+ * outlive clicks. Expired events are archived to Storage as gzipped NDJSON,
+ * one line per document with its path, under
+ * archive/analytics/{source}/{YYYY-MM-DD}/, and only deleted once the file
+ * holding them is saved. A run that reaches its deadline stops and the next
+ * run picks up where it left off.
+ */
+
+const gzip = promisify(zlib.gzip);
+
+// Where events live, and the field holding each one's name
+const SOURCES = [
+  {
+    name: "analytics_events",
+    nameField: "event",
+    collection: () => db.collection("analytics_events")
+  },
+  {
+    name: "client_events",
+    nameField: "name",
+    collection: () => db.collectionGroup("client_events")
+  },
+  {
+    name: "client_metrics",
+    nameField: "name",
+    collection: () => db.collectionGroup("client_metrics")
+  }
+];
+
+const ARCHIVE_PREFIX = "archive/analytics";
+const PAGE_SIZE = 500;
+// Documents per archive file
+const ARCHIVE_CHUNK_SIZE = 5000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const retentionDaysFor = (eventName) =>
+  ANALYTICS_RETENTION.byEvent[eventName] || ANALYTICS_RETENTION.defaultDays;
+
+const cutoffFor = (days, now) => admin.firestore.Timestamp.fromMillis(now - days * DAY_MS);
+
+// Resolves once Storage has the whole file
+const writeArchive = async (path, docs) => {
+  const lines = docs.map(doc =>
+    JSON.stringify({ path: doc.ref.path, ...serializeValue(doc.data()) }));
+  const content = await gzip(`${lines.join("\n")}\n`);
+  await admin.storage().bucket().file(path).save(content, {
+    contentType: "application/gzip",
+    resumable: false
+  });
+};
+
+const deleteDocs = async (docs) => {
+  for (let start = 0; start < docs.length; start += PAGE_SIZE) {
+    const batch = db.batch();
+    docs.slice(start, start + PAGE_SIZE).forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+  }
+};
+
+/**
+ * Archive and delete every expired document a query finds, oldest first.
+ *
+ * @returns {Promise<{ archived: number, done: boolean }>}
+ */
+const cleanUpQuery = async ({ query, archive, deadline }) => {
+  let lastDoc = null;
+  let pending = [];
+  let archived = 0;
+
+  const flush = async () => {
+    if (!pending.length) {
+      return;
+    }
+    archive.files += 1;
+    const fileNumber = String(archive.files).padStart(4, "0");
+    await writeArchive(`${archive.prefix}-${fileNumber}.ndjson.gz`, pending);
+    await deleteDocs(pending);
+    archived += pending.length;
+    pending = [];
+  };
+
+  for (;;) {
+    let page = query.orderBy("timestamp").limit(PAGE_SIZE);
+    if (lastDoc) {
+      page = page.startAfter(lastDoc);
+    }
+
+    const snapshot = await page.get();
+    pending.push(...snapshot.docs);
+    if (pending.length >= ARCHIVE_CHUNK_SIZE) {
+      await flush();
+    }
+
+    if (snapshot.size < PAGE_SIZE) {
+      await flush();
+      return { archived, done: true };
+    }
+    lastDoc = snapshot.docs[snapshot.size - 1];
+
+    if (deadline && Date.now() > deadline) {
+      await flush();
+      return { archived, done: false };
+    }
+  }
+};
+
+/**
+ * Cleanup passes for one source: one per event with its own retention, then
+ * everything else on the default retention. The default pass leaves out the
+ * listed events in the query itself, so it never pages through events that are
+ * kept longer. Firestore's `not-in` takes at most 10 values, which caps how
+ * many events ANALYTICS_RETENTION can list.
+ */
+const passesFor = (source, now) => {
+  const listed = Object.keys(ANALYTICS_RETENTION.byEvent);
+  const passes = listed.map(eventName => ({
+    rule: eventName,
+    query: source.collection()
+      .where(source.nameField, "==", eventName)
+      .where("timestamp", "<", cutoffFor(retentionDaysFor(eventName), now))
+  }));
+  let defaultQuery = source.collection()
+    .where("timestamp", "<", cutoffFor(ANALYTICS_RETENTION.defaultDays, now));
+  if (listed.length) {
+    defaultQuery = defaultQuery.where(source.nameField, "not-in", listed);
+  }
+  passes.push({ rule: "default", query: defaultQuery });
+  return passes;
+};
+
+/**
+ * Scheduled job: archive and delete expired analytics events, paging until
+ * nothing expired is left or the deadline passes.
+ *
+ * @returns {Promise<{ archived: number, files: number, bySource: object, done: boolean }>}
+ */
+const cleanupAnalytics = async ({ deadline } = {}) => {
+  const now = Date.now();
+  const result = { archived: 0, files: 0, bySource: {}, done: true };
+
+  for (const source of SOURCES) {
+    const archive = {
+      prefix: `${ARCHIVE_PREFIX}/${source.name}/${toDateKey(new Date(now))}/${now}`,
+      files: 0
+    };
+    const archivedByRule = {};
+
+    for (const pass of passesFor(source, now)) {
+      if (deadline && Date.now() > deadline) {
+        result.done = false;
+        break;
+      }
+
+      const outcome = await cleanUpQuery({ ...pass, archive, deadline });
+      if (outcome.archived) {
+        archivedByRule[pass.rule] = outcome.archived;
+        result.archived += outcome.archived;
+      }
+      if (!outcome.done) {
+        result.done = false;
+        break;
+      }
+    }
+
+    result.files += archive.files;
+    result.bySource[source.name] = archivedByRule;
+    if (!result.done) {
+      break;
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  retentionDaysFor,
+  cleanupAnalytics
+};
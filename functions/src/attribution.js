@@ -0,0 +1,164 @@
+const Joi = require("joi");
+const { admin } = require("./firebase");
+const { SITE_URL } = require("./config");
+
+/**
+ * Marketing attribution for leads.
+ * The site records a "touch" (UTM tags, ad click IDs, landing page, external
+ * referrer) when a visitor arrives, keeping the first one and the latest one
+ * in first-party storage. Signups send both; leads store them as structured
+ * `firstTouch` (never overwritten) and `lastTouch` (updated on every signup).
+ */
+
+const UTM_FIELDS = ["source", "medium", "campaign", "term", "content"];
+
+// Attribution is best effort: an invalid field is dropped (null) rather than
+// failing the signup, and unknown fields are stripped
+const text = (max) => Joi.string().trim().max(max).failover(null);
+const url = () => Joi.string().uri({ scheme: ["http", "https"] }).max(2000).failover(null);
+
+const touchSchema = Joi.object({
+  utm_source: text(200),
+  utm_medium: text(200),
+  utm_campaign: text(200),
+  utm_term: text(200),
+  utm_content: text(200),
+  gclid: text(500),
+  fbclid: text(500),
+  landingPage: url(),
+  referrer: url(),
+  timestamp: Joi.date().iso().failover(null)
+});
+
+const attributionSchema = Joi.object({
+  firstTouch: touchSchema,
+  lastTouch: touchSchema
+}).options({ stripUnknown: true });
+
+const SEARCH_ENGINES = /(^|\.)(google|bing|duckduckgo|yahoo|ecosia|baidu|yandex)\./;
+const SOCIAL_NETWORKS =
+  /(^|\.)(facebook|instagram|linkedin|twitter|x|t|reddit|youtube|tiktok)\.(com|co)$/;
+const PAID_MEDIUMS = ["cpc", "ppc", "paid", "paidsearch", "paid_search", "display", "cpm"];
+const CLICK_PARAMS = [...UTM_FIELDS.map(field => `utm_${field}`), "gclid", "fbclid"];
+
+// Our own host (without www.), so internal navigation never counts as a referrer
+const SITE_HOST = new URL(SITE_URL).hostname.replace(/^www\./, "");
+
+const hostnameOf = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Bucket a touch into a marketing channel, so campaigns with inconsistent
+ * tagging can still be compared.
+ */
+const classifyChannel = (touch) => {
+  const medium = (touch.medium || "").toLowerCase();
+  const referrerDomain = touch.referrerDomain || "";
+
+  if (touch.fbclid || medium === "paid_social") {
+    return "paid_social";
+  }
+  if (touch.gclid || PAID_MEDIUMS.includes(medium)) {
+    return "paid_search";
+  }
+  if (medium === "email" || medium === "newsletter") {
+    return "email";
+  }
+  if (medium === "social" || SOCIAL_NETWORKS.test(referrerDomain)) {
+    return "social";
+  }
+  if (medium === "referral" || medium === "affiliate") {
+    return "referral";
+  }
+  if (SEARCH_ENGINES.test(referrerDomain)) {
+    return "organic_search";
+  }
+  if (touch.source || medium) {
+    return "other_campaign";
+  }
+  return referrerDomain ? "referral" : "direct";
+};
+
+/**
+ * Turn a client touch into the stored shape.
+ *
+ * @param {object} raw - Validated touch from the client (utm_* keys etc.)
+ */
+const normalizeTouch = (raw) => {
+  if (!raw) {
+    return null;
+  }
+
+  const touch = {};
+  UTM_FIELDS.forEach(field => {
+    touch[field] = raw[`utm_${field}`] ? raw[`utm_${field}`].toLowerCase() : null;
+  });
+  touch.gclid = raw.gclid || null;
+  touch.fbclid = raw.fbclid || null;
+  touch.landingPage = raw.landingPage || null;
+
+  const referrerDomain = hostnameOf(raw.referrer);
+  const isExternal = referrerDomain && referrerDomain !== SITE_HOST &&
+    !referrerDomain.endsWith(`.${SITE_HOST}`);
+  touch.referrer = isExternal ? raw.referrer : null;
+  touch.referrerDomain = isExternal ? referrerDomain : null;
+
+  touch.channel = classifyChannel(touch);
+  touch.at = raw.timestamp
+    ? admin.firestore.Timestamp.fromDate(new Date(raw.timestamp))
+    : admin.firestore.Timestamp.now();
+
+  return touch;
+};
+
+/**
+ * Build the lead's attribution from the client's touches. A client that sent
+ * nothing (no storage, old page) falls back to the page URL it submitted from.
+ *
+ * @returns {{ firstTouch: object, lastTouch: object }}
+ */
+const buildAttribution = (attribution, { pageUrl, referrer } = {}) => {
+  const fallback = {};
+  if (typeof pageUrl === "string" && hostnameOf(pageUrl)) {
+    fallback.landingPage = pageUrl.slice(0, 2000);
+    const params = new URL(pageUrl).searchParams;
+    CLICK_PARAMS.forEach(key => {
+      if (params.get(key)) {
+        fallback[key] = params.get(key).slice(0, 200);
+      }
+    });
+  }
+  if (typeof referrer === "string" && hostnameOf(referrer)) {
+    fallback.referrer = referrer.slice(0, 2000);
+  }
+
+  const lastTouch = normalizeTouch(attribution?.lastTouch || fallback);
+  const firstTouch = attribution?.firstTouch
+    ? normalizeTouch(attribution.firstTouch)
+    : lastTouch;
+
+  return { firstTouch, lastTouch };
+};
+
+// Flat columns for exports
+const flattenTouch = (prefix, touch) => ({
+  [`${prefix}Channel`]: touch?.channel || null,
+  [`${prefix}Source`]: touch?.source || null,
+  [`${prefix}Medium`]: touch?.medium || null,
+  [`${prefix}Campaign`]: touch?.campaign || null,
+  [`${prefix}ReferrerDomain`]: touch?.referrerDomain || null,
+  [`${prefix}LandingPage`]: touch?.landingPage || null
+});
+
+module.exports = {
+  attributionSchema,
+  classifyChannel,
+  normalizeTouch,
+  buildAttribution,
+  flattenTouch
+};
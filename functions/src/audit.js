@@ -0,0 +1,221 @@
+const crypto = require("crypto");
+const express = require("express");
+const Joi = require("joi");
+const { admin, db } = require("./firebase");
+const { rateLimit } = require("./rateLimit");
+const { requireAdmin, adminRoleOf } = require("./adminAuth");
+const { serializeValue } = require("./serialize");
+const { AUDIT } = require("./config");
+
+/**
+ * Audit log of administrative actions, in admin/audit/entries.
+ * Entries are append-only: security rules block all client writes under
+ * admin/audit, and code only creates entries, apart from erasure requests
+ * redacting the subject's address from them. Each records who acted,
+ * what they did and to what, a field-level before/after diff where there is
+ * one, and the request ID. Old entries are removed by a TTL policy on
+ * `expiresAt` (AUDIT.retentionDays).
+ *
+ * GET /admin/audit (owners only) lists entries, newest first, with filters.
+ */
+
+const auditEntriesCollection = () => db.collection("admin").doc("audit").collection("entries");
+
+// Actor for actions that no person started directly (scheduled jobs, data subject requests)
+const systemActor = (type = "system") => ({ type, uid: null, email: null, role: null });
+
+// Actor for a callable
+const actorFromContext = (context) => ({
+  type: "admin",
+  uid: context.auth?.uid || null,
+  email: context.auth?.token?.email || null,
+  role: adminRoleOf(context.auth?.token)
+});
+
+// Actor for an admin REST route (after requireAdmin)
+const actorFromRequest = (req) => ({
+  type: "admin",
+  uid: req.adminUser?.uid || null,
+  email: req.adminUser?.email || null,
+  role: req.adminUser?.role || null
+});
+
+/**
+ * ID tying an entry to its request: a well-formed X-Request-Id from the
+ * caller, else the Cloud Trace ID Google's front end adds, else a random one.
+ */
+const requestIdFor = (req) => {
+  const supplied = req?.get?.("X-Request-Id");
+  if (supplied && /^[\w.:-]{1,100}$/.test(supplied)) {
+    return supplied;
+  }
+  const trace = req?.get?.("X-Cloud-Trace-Context");
+  if (trace) {
+    return trace.split("/")[0];
+  }
+  return crypto.randomUUID();
+};
+
+// JSON with sorted keys - Firestore does not keep map keys in insertion order
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * Top-level fields that differ between two snapshots.
+ *
+ * @returns {object|null} { field: { before, after } }, or null without snapshots
+ */
+const diffValues = (before, after) => {
+  if (before === undefined && after === undefined) {
+    return null;
+  }
+
+  const a = serializeValue(before || {});
+  const b = serializeValue(after || {});
+  const diff = {};
+  new Set([...Object.keys(a), ...Object.keys(b)]).forEach(field => {
+    if (stableStringify(a[field]) !== stableStringify(b[field])) {
+      diff[field] = { before: a[field] ?? null, after: b[field] ?? null };
+    }
+  });
+  return diff;
+};
+
+/**
+ * Append an audit entry. Never throws: the action it records has already
+ * happened, so a failed write is logged loudly instead of failing the request.
+ *
+ * @param {object} entry - { actor, action, target: { type, id }, before, after,
+ *   metadata, requestId }
+ */
+const recordAudit = async ({ actor, action, target, before, after, metadata, requestId }) => {
+  try {
+    await auditEntriesCollection().add({
+      action,
+      actor,
+      target: { type: target?.type || null, id: target?.id || null },
+      diff: diffValues(before, after),
+      metadata: metadata ? serializeValue(metadata) : null,
+      requestId: requestId || crypto.randomUUID(),
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      expiresAt: admin.firestore.Timestamp.fromMillis(
+        Date.now() + AUDIT.retentionDays * 24 * 60 * 60 * 1000
+      )
+    });
+  } catch (error) {
+    console.error("Audit log write failed:", action, target, error);
+  }
+};
+
+/**
+ * Audit entry for a callable, with actor and request ID taken from its context.
+ */
+const recordCallableAudit = (context, entry) => recordAudit({
+  actor: actorFromContext(context),
+  requestId: requestIdFor(context.rawRequest),
+  ...entry
+});
+
+/**
+ * Blank an email address wherever entries hold it in their metadata (admin
+ * role changes record the admin's address), for an erasure request.
+ *
+ * @returns {Promise<number>} How many entries were redacted
+ */
+const redactAuditEmail = async (email) => {
+  const snapshot = await auditEntriesCollection().where("metadata.email", "==", email).get();
+  for (let start = 0; start < snapshot.size; start += 500) {
+    const batch = db.batch();
+    snapshot.docs.slice(start, start + 500).forEach(doc => {
+      batch.update(doc.ref, { "metadata.email": null });
+    });
+    await batch.commit();
+  }
+  return snapshot.size;
+};
+
+const MAX_PAGE_SIZE = 100;
+
+const querySchema = Joi.object({
+  action: Joi.string().max(100),
+  actorUid: Joi.string().max(128),
+  targetType: Joi.string().max(50),
+  targetId: Joi.string().max(200),
+  requestId: Joi.string().max(100),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  limit: Joi.number().integer().min(1).max(MAX_PAGE_SIZE).default(50),
+  cursor: Joi.string().max(200)
+});
+
+const QUERY_FILTERS = {
+  action: "action",
+  actorUid: "actor.uid",
+  targetType: "target.type",
+  targetId: "target.id",
+  requestId: "requestId"
+};
+
+const router = express.Router();
+
+router.get("/admin/audit", rateLimit("admin"), requireAdmin("owner"), async (req, res) => {
+  const { error, value } = querySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, error: error.details[0].message });
+  }
+
+  try {
+    let query = auditEntriesCollection();
+    Object.entries(QUERY_FILTERS).forEach(([param, field]) => {
+      if (value[param]) {
+        query = query.where(field, "==", value[param]);
+      }
+    });
+    if (value.from) {
+      query = query.where("createdAt", ">=", admin.firestore.Timestamp.fromDate(value.from));
+    }
+    if (value.to) {
+      query = query.where("createdAt", "<=", admin.firestore.Timestamp.fromDate(value.to));
+    }
+    query = query.orderBy("createdAt", "desc");
+
+    if (value.cursor) {
+      const cursorDoc = await auditEntriesCollection().doc(value.cursor).get();
+      if (!cursorDoc.exists) {
+        return res.status(400).json({ success: false, error: "Invalid cursor" });
+      }
+      query = query.startAfter(cursorDoc);
+    }
+
+    const snapshot = await query.limit(value.limit).get();
+    res.status(200).json({
+      success: true,
+      entries: snapshot.docs.map(doc => ({ id: doc.id, ...serializeValue(doc.data()) })),
+      nextCursor: snapshot.size === value.limit ? snapshot.docs[snapshot.size - 1].id : null
+    });
+  } catch (error) {
+    console.error("Audit log query error:", error);
+    res.status(500).json({ success: false, error: "Unable to query the audit log" });
+  }
+});
+
+module.exports = {
+  router,
+  systemActor,
+  actorFromContext,
+  actorFromRequest,
+  requestIdFor,
+  diffValues,
+  recordAudit,
+  recordCallableAudit,
+  redactAuditEmail
+};
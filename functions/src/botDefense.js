@@ -0,0 +1,121 @@
+const crypto = require("crypto");
+const express = require("express");
+const { admin, db } = require("./firebase");
+const { rateLimit } = require("./rateLimit");
+const { createToken, verifyToken, createNonce } = require("./tokens");
+const { BOT_DEFENSE } = require("./config");
+
+/**
+ * Bot defense for the waitlist form, without any third-party captcha.
+ * - Honeypot: a hidden field humans never fill in.
+ * - Form token: a signed timestamp fetched from /challenge when the form is
+ *   shown; submissions that arrive too soon after it are rejected.
+ * - Proof of work (optional): the client must find a value whose SHA-256 with
+ *   the token has `powDifficulty` leading zero bits. Each token is single-use.
+ */
+
+const FORM_TOKEN_PURPOSE = "form_render";
+const HONEYPOT_FIELD = "homepage";
+
+const leadingZeroBits = (hex) => {
+  let bits = 0;
+  for (const char of hex) {
+    const nibble = parseInt(char, 16);
+    if (nibble === 0) {
+      bits += 4;
+      continue;
+    }
+    return bits + Math.clz32(nibble) - 28;
+  }
+  return bits;
+};
+
+const verifyProofOfWork = (formToken, solution, difficulty) => {
+  if (typeof solution !== "string" || solution.length === 0) {
+    return false;
+  }
+  const hash = crypto.createHash("sha256").update(`${formToken}:${solution}`).digest("hex");
+  return leadingZeroBits(hash) >= difficulty;
+};
+
+// Record the token nonce so a solved challenge can't be replayed
+const markTokenUsed = async (nonce) => {
+  const usedRef = db.collection("form_challenges").doc(nonce);
+  try {
+    await usedRef.create({
+      usedAt: admin.firestore.FieldValue.serverTimestamp(),
+      expiresAt: admin.firestore.Timestamp.fromMillis(
+        Date.now() + BOT_DEFENSE.tokenTtlSeconds * 1000
+      )
+    });
+    return true;
+  } catch (error) {
+    // ALREADY_EXISTS - the token was submitted before
+    if (error.code === 6) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Check a form submission. Returns { ok: true } or { ok: false, reason, silent }.
+ * `silent` rejections (honeypot) should look like a success to the client.
+ */
+const verifyBotDefense = async ({ formToken, powSolution, [HONEYPOT_FIELD]: honeypot }) => {
+  if (honeypot) {
+    return { ok: false, reason: "honeypot", silent: true };
+  }
+
+  const result = verifyToken(formToken, FORM_TOKEN_PURPOSE);
+  if (!result.valid) {
+    return { ok: false, reason: `token_${result.reason}` };
+  }
+
+  const { iat, n: nonce, d: difficulty } = result.claims;
+  if (Date.now() / 1000 - iat < BOT_DEFENSE.minSubmitSeconds) {
+    return { ok: false, reason: "too_fast" };
+  }
+
+  if (difficulty && !verifyProofOfWork(formToken, powSolution, difficulty)) {
+    return { ok: false, reason: "proof_of_work" };
+  }
+
+  if (!(await markTokenUsed(nonce))) {
+    return { ok: false, reason: "token_reused" };
+  }
+
+  return { ok: true };
+};
+
+const router = express.Router();
+
+// Issue a signed form token (and proof-of-work challenge) for the waitlist form
+router.get("/challenge", rateLimit("challenge"), (req, res) => {
+  try {
+    const claims = { n: createNonce() };
+    if (BOT_DEFENSE.powEnabled) {
+      claims.d = BOT_DEFENSE.powDifficulty;
+    }
+
+    const formToken = createToken(FORM_TOKEN_PURPOSE, claims, BOT_DEFENSE.tokenTtlSeconds);
+
+    res.set("Cache-Control", "no-store");
+    res.status(200).json({
+      success: true,
+      formToken,
+      proofOfWork: BOT_DEFENSE.powEnabled
+        ? { algorithm: "sha256", difficulty: BOT_DEFENSE.powDifficulty }
+        : null,
+      expiresIn: BOT_DEFENSE.tokenTtlSeconds
+    });
+  } catch (error) {
+    console.error("Challenge error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Unable to create challenge"
+    });
+  }
+});
+
+module.exports = { router, verifyBotDefense, HONEYPOT_FIELD };
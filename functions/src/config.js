@@ -0,0 +1,164 @@
+// Public URLs used when building links that go out in emails
+const SITE_URL = process.env.SITE_URL || "https://highleveragehumans.com";
+const API_BASE_URL = process.env.API_BASE_URL || `${SITE_URL}/api`;
+
+// Secrets for functions that sign tokens or pseudonymize analytics data
+const SECRETS = ["TOKEN_SIGNING_SECRET", "ANALYTICS_PSEUDONYM_SECRET"];
+
+// Verified addresses allowed to make themselves the first admin owner (comma-separated).
+// Only used while no owner exists; see adminRoles.js
+const ADMIN_BOOTSTRAP_EMAILS = (process.env.ADMIN_BOOTSTRAP_EMAILS || "")
+  .split(",")
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
+
+// Double opt-in settings
+const CONFIRMATION_TTL_HOURS = 48;
+const CONFIRMATION_RESEND_COOLDOWN_SECONDS = 5 * 60;
+// At most CONFIRMATION_MAX_SENDS confirmation emails per lead in any send window
+const CONFIRMATION_MAX_SENDS = 5;
+const CONFIRMATION_SEND_WINDOW_HOURS = 24;
+
+// Data subject (GDPR) request settings
+const PRIVACY_REQUEST_TTL_HOURS = 24;
+
+// Rate limit policies (token bucket): `points` requests per `duration` seconds,
+// plus a `burst` allowance on top for short spikes
+const RATE_LIMIT_POLICIES = {
+  default: { points: 10, duration: 60, burst: 0 },
+  challenge: { points: 20, duration: 60, burst: 10 },
+  emailCapture: { points: 5, duration: 60, burst: 3 },
+  emailCaptureByEmail: { points: 3, duration: 60 * 60, burst: 0 },
+  confirmResendByEmail: { points: 3, duration: 60 * 60, burst: 0 },
+  stats: { points: 30, duration: 60, burst: 15 },
+  leaderboard: { points: 30, duration: 60, burst: 15 },
+  waitlistStatus: { points: 20, duration: 60, burst: 5 },
+  redeem: { points: 10, duration: 60, burst: 0 },
+  // Keyed by lead: one-click POSTs come from mailbox providers' shared IPs
+  unsubscribeByLead: { points: 20, duration: 60, burst: 10 },
+  admin: { points: 120, duration: 60, burst: 30 },
+  telemetry: { points: 60, duration: 60, burst: 30 }
+};
+
+// Waitlist form bot defense: minimum time between fetching a form token and
+// submitting, token lifetime, and the optional proof-of-work difficulty (leading zero bits)
+const BOT_DEFENSE = {
+  minSubmitSeconds: 2,
+  tokenTtlSeconds: 60 * 60,
+  powEnabled: true,
+  powDifficulty: 14
+};
+
+// Referral program: how far each confirmed referral moves the referrer up the
+// queue (in hours of signups), and the public leaderboard size
+const REFERRALS = {
+  boostHours: 72,
+  leaderboardSize: 10,
+  maxLeaderboardSize: 50
+};
+
+// Invite waves: default code lifetime and the largest wave one call may send
+const INVITES = {
+  codeTtlDays: 14,
+  maxWaveSize: 500
+};
+
+// Lead exports: lifetime of the signed download link handed to admins
+const LEAD_EXPORTS = {
+  downloadUrlTtlMinutes: 15
+};
+
+// Public stats rollups: breakdown values kept per day (the rest become 'other'),
+// days rebuilt on each run to pick up late writes, and the /stats date range limits
+const STATS = {
+  maxBreakdownValues: 50,
+  rebuildDays: 2,
+  defaultRangeDays: 30,
+  maxRangeDays: 366
+};
+
+// Audit log: how long entries are kept before the TTL policy removes them
+const AUDIT = {
+  retentionDays: 400
+};
+
+// Lead imports: largest CSV accepted, by size and by data rows
+const LEAD_IMPORTS = {
+  maxFileBytes: 5 * 1024 * 1024,
+  maxRows: 10000
+};
+
+// Client telemetry (/events, /metrics): request body size, records per batch,
+// and the caps that keep event data small and low-cardinality
+const TELEMETRY = {
+  maxBodyBytes: 64 * 1024,
+  maxEventsPerBatch: 50,
+  maxMetricsPerBatch: 100,
+  maxDataKeys: 20,
+  maxStringLength: 500
+};
+
+// Core Web Vitals report. Thresholds mirror performanceThresholds in
+// public/assets/js/performance.js and are checked against the 75th percentile.
+// Pages past maxPages a day are folded into 'other'; groups with fewer than
+// minSamples are reported but never flagged.
+const WEB_VITALS = {
+  thresholds: { fcp: 2500, lcp: 4000, fid: 100, cls: 0.1, ttfb: 800 },
+  percentiles: [50, 75, 95],
+  breachPercentile: 75,
+  windows: { "1d": 1, "7d": 7, "28d": 28 },
+  maxPages: 20,
+  minSamples: 20
+};
+
+// Waitlist funnel: segment values kept per day (the rest become 'other') and
+// the /admin/funnel date range limits
+const FUNNEL = {
+  maxSegmentValues: 20,
+  defaultRangeDays: 30,
+  maxRangeDays: 366
+};
+
+// Analytics retention, in days, before cleanupAnalytics archives events to
+// Storage and deletes them. Keyed by event name (server `event`, or client
+// event / metric `name`); everything else is kept for defaultDays. At most 10
+// names, the most a Firestore `not-in` filter takes.
+const ANALYTICS_RETENTION = {
+  defaultDays: 30,
+  byEvent: {
+    error: 180,
+    email_capture_error: 180,
+    email_capture_validation_error: 90,
+    user_interaction: 14,
+    scroll_depth: 14,
+    resource_load: 14
+  }
+};
+
+// How long to wait on the shared store before falling back to per-instance limits
+const RATE_LIMIT_STORE_TIMEOUT_MS = 1500;
+
+module.exports = {
+  SITE_URL,
+  API_BASE_URL,
+  SECRETS,
+  ADMIN_BOOTSTRAP_EMAILS,
+  CONFIRMATION_TTL_HOURS,
+  CONFIRMATION_RESEND_COOLDOWN_SECONDS,
+  CONFIRMATION_MAX_SENDS,
+  CONFIRMATION_SEND_WINDOW_HOURS,
+  PRIVACY_REQUEST_TTL_HOURS,
+  BOT_DEFENSE,
+  REFERRALS,
+  INVITES,
+  LEAD_EXPORTS,
+  LEAD_IMPORTS,
+  AUDIT,
+  STATS,
+  TELEMETRY,
+  WEB_VITALS,
+  FUNNEL,
+  ANALYTICS_RETENTION,
+  RATE_LIMIT_POLICIES,
+  RATE_LIMIT_STORE_TIMEOUT_MS
+};
@@ -0,0 +1,287 @@
+const express = require("express");
+const { admin, db } = require("./firebase");
+const { logAnalyticsEvent } = require("./analytics");
+const { rateLimiterMiddleware, consumeRateLimit, sendRateLimited } = require("./rateLimit");
+const { queueEmail } = require("./mailer");
+const { createToken, verifyToken, createNonce } = require("./tokens");
+const { sanitizeEmail } = require("./validation");
+const { removeSuppression } = require("./suppression");
+const { appendConsent, consentSummary } = require("./consent");
+const { leadRefForEmail, resolveLeadRef } = require("./leads");
+const { getUncreditedReferrer, creditReferral } = require("./referrals");
+const { buildStatusUrl, buildStatusToken } = require("./waitlist");
+const { buildUnsubscribeUrl, buildUnsubscribeHeaders } = require("./unsubscribe");
+const {
+  SITE_URL,
+  API_BASE_URL,
+  CONFIRMATION_TTL_HOURS,
+  CONFIRMATION_RESEND_COOLDOWN_SECONDS,
+  CONFIRMATION_MAX_SENDS,
+  CONFIRMATION_SEND_WINDOW_HOURS
+} = require("./config");
+
+const CONFIRM_PURPOSE = "confirm";
+
+// Lead statuses that still need the subscriber to click the confirmation link
+const UNCONFIRMED_STATUSES = ["pending", "expired"];
+
+// Unsubscribed leads can only rejoin by confirming again from their own inbox
+const CONFIRMABLE_STATUSES = [...UNCONFIRMED_STATUSES, "unsubscribed"];
+
+const buildConfirmationEmail = (confirmUrl, statusUrl, unsubscribeUrl) => {
+  const subject = "Confirm your High Leverage Humans early access";
+  const text = [
+    "Thanks for joining the High Leverage Humans waitlist.",
+    "",
+    "Please confirm your email address by opening the link below:",
+    confirmUrl,
+    "",
+    `This link expires in ${CONFIRMATION_TTL_HOURS} hours.`,
+    "If you did not sign up, you can ignore this email and you will not hear from us again.",
+    "",
+    "Check your place on the waitlist at any time:",
+    statusUrl,
+    "",
+    `Unsubscribe: ${unsubscribeUrl}`
+  ].join("\n");
+  const html = `
+    <p>Thanks for joining the High Leverage Humans waitlist.</p>
+    <p><a href="${confirmUrl}">Confirm your email address</a></p>
+    <p>This link expires in ${CONFIRMATION_TTL_HOURS} hours.
+    If you did not sign up, you can ignore this email and you will not hear from us again.</p>
+    <p><a href="${statusUrl}">Check your place on the waitlist</a></p>
+    <p><a href="${unsubscribeUrl}">Unsubscribe</a></p>
+  `;
+
+  return { subject, text, html };
+};
+
+/**
+ * Issue a fresh confirmation token for a lead and queue the email.
+ * Rotating the nonce invalidates any previously sent link. Unsubscribed leads
+ * keep their status (and suppression) until the new link is actually clicked.
+ * The cooldown check runs in a transaction so concurrent signups send one email.
+ * Sends are capped per window (CONFIRMATION_SEND_WINDOW_HOURS), which starts
+ * with the first send after the previous window has passed.
+ * Returns false when the resend cooldown or send cap prevents sending.
+ */
+const sendConfirmation = async (leadRef) => {
+  const nonce = createNonce();
+  const ttlSeconds = CONFIRMATION_TTL_HOURS * 60 * 60;
+
+  const lead = await db.runTransaction(async (transaction) => {
+    const leadDoc = await transaction.get(leadRef);
+    if (!leadDoc.exists) {
+      return null;
+    }
+
+    const current = leadDoc.data();
+    const confirmation = current.confirmation || {};
+    const windowStartedAt = confirmation.windowStartedAt?.toMillis?.() || 0;
+    const inWindow = Date.now() - windowStartedAt < CONFIRMATION_SEND_WINDOW_HOURS * 60 * 60 * 1000;
+    const sendCount = inWindow ? confirmation.sendCount || 0 : 0;
+    const lastSentAt = confirmation.sentAt?.toMillis?.() || 0;
+
+    if (sendCount >= CONFIRMATION_MAX_SENDS) {
+      return null;
+    }
+    if (Date.now() - lastSentAt < CONFIRMATION_RESEND_COOLDOWN_SECONDS * 1000) {
+      return null;
+    }
+
+    const update = {
+      confirmation: {
+        nonce,
+        sentAt: admin.firestore.FieldValue.serverTimestamp(),
+        expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + ttlSeconds * 1000),
+        sendCount: sendCount + 1,
+        windowStartedAt: inWindow
+          ? confirmation.windowStartedAt
+          : admin.firestore.FieldValue.serverTimestamp()
+      }
+    };
+    if (current.status !== "unsubscribed") {
+      update.status = "pending";
+    }
+    transaction.update(leadRef, update);
+
+    return current;
+  });
+
+  if (!lead) {
+    return false;
+  }
+
+  const token = createToken(CONFIRM_PURPOSE, { lid: leadRef.id, n: nonce }, ttlSeconds);
+  const confirmUrl = `${API_BASE_URL}/confirm?token=${encodeURIComponent(token)}`;
+
+  await queueEmail(lead.email, {
+    ...buildConfirmationEmail(
+      confirmUrl,
+      buildStatusUrl(leadRef.id),
+      buildUnsubscribeUrl(leadRef.id)
+    ),
+    headers: buildUnsubscribeHeaders(leadRef.id)
+  });
+
+  return true;
+};
+
+// Confirmed subscribers also get a status token so the page can show their position
+const redirectWithStatus = (res, status, leadId = null) => {
+  const waitlist = leadId ? `&waitlist=${encodeURIComponent(buildStatusToken(leadId))}` : "";
+  res.redirect(303, `${SITE_URL}/?subscription=${status}${waitlist}#early-access`);
+};
+
+const router = express.Router();
+
+// Confirmation link target from the double opt-in email
+router.get("/confirm", rateLimiterMiddleware, async (req, res) => {
+  try {
+    const result = verifyToken(req.query.token, CONFIRM_PURPOSE);
+    if (!result.valid) {
+      await logAnalyticsEvent("email_confirm_rejected", {
+        reason: result.reason,
+        leadId: result.claims?.lid || null
+      });
+      return redirectWithStatus(res, result.reason);
+    }
+
+    const { lid: leadId, n: nonce } = result.claims;
+    const leadRef = await resolveLeadRef(leadId);
+
+    const outcome = await db.runTransaction(async (transaction) => {
+      const leadDoc = await transaction.get(leadRef);
+      if (!leadDoc.exists) {
+        return "invalid";
+      }
+
+      const lead = leadDoc.data();
+      if (lead.status === "confirmed") {
+        return "confirmed";
+      }
+      if (!CONFIRMABLE_STATUSES.includes(lead.status) || lead.confirmation?.nonce !== nonce) {
+        return "invalid";
+      }
+
+      const referrerDoc = await getUncreditedReferrer(transaction, lead);
+
+      transaction.update(leadRef, {
+        status: "confirmed",
+        confirmedAt: admin.firestore.FieldValue.serverTimestamp(),
+        "confirmation.nonce": admin.firestore.FieldValue.delete(),
+        "confirmation.sendCount": 0,
+        confirmationIp: req.ip,
+        confirmationUserAgent: req.get("User-Agent") || "",
+        consent: consentSummary("granted", lead.consent?.policyVersion)
+      });
+      await appendConsent(transaction, leadRef, {
+        action: "confirm",
+        channel: "email_confirmation",
+        policyVersion: lead.consent?.policyVersion,
+        ip: req.ip,
+        userAgent: req.get("User-Agent") || ""
+      });
+      if (lead.status === "unsubscribed") {
+        removeSuppression(transaction, lead.email);
+      }
+      if (referrerDoc) {
+        creditReferral(transaction, referrerDoc, leadRef);
+      }
+      return "confirmed";
+    });
+
+    await logAnalyticsEvent(
+      outcome === "confirmed" ? "email_confirm_success" : "email_confirm_rejected",
+      { leadId, reason: outcome === "confirmed" ? null : "stale" }
+    );
+
+    redirectWithStatus(res, outcome, outcome === "confirmed" ? leadRef.id : null);
+  } catch (error) {
+    console.error("Email confirm error:", error);
+    redirectWithStatus(res, "error");
+  }
+});
+
+// Resend the confirmation email for a lead that has not confirmed yet
+router.post("/confirm/resend", rateLimiterMiddleware, async (req, res) => {
+  try {
+    const email = typeof req.body.email === "string" ? sanitizeEmail(req.body.email) : null;
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: "Please provide a valid email address"
+      });
+    }
+
+    const emailLimit = await consumeRateLimit("confirmResendByEmail", email);
+    if (!emailLimit.allowed) {
+      return sendRateLimited(res, emailLimit.msBeforeNext);
+    }
+
+    const leadDoc = await leadRefForEmail(email).get();
+
+    if (leadDoc.exists) {
+      const lead = leadDoc.data();
+      if (UNCONFIRMED_STATUSES.includes(lead.status)) {
+        const sent = await sendConfirmation(leadDoc.ref);
+        await logAnalyticsEvent("email_confirm_resend", { leadId: leadDoc.id, sent });
+      }
+    }
+
+    // Same response whether or not the address exists, to avoid leaking the list
+    res.status(200).json({
+      success: true,
+      message: "If that address is awaiting confirmation, a new link is on its way."
+    });
+  } catch (error) {
+    console.error("Confirmation resend error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error. Please try again."
+    });
+  }
+});
+
+/**
+ * Mark pending leads whose confirmation link has lapsed as expired.
+ * Expired leads can still confirm by signing up again, which sends a new link.
+ */
+const expirePendingLeads = async () => {
+  const now = admin.firestore.Timestamp.now();
+  let expiredCount = 0;
+
+  // Page through in batches so a large backlog is fully processed
+  for (;;) {
+    const snapshot = await db
+      .collection("email_leads")
+      .where("status", "==", "pending")
+      .where("confirmation.expiresAt", "<", now)
+      .limit(500)
+      .get();
+
+    if (snapshot.empty) {
+      break;
+    }
+
+    const batch = db.batch();
+    snapshot.docs.forEach(doc => {
+      batch.update(doc.ref, {
+        status: "expired",
+        expiredAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    });
+    await batch.commit();
+    expiredCount += snapshot.size;
+  }
+
+  return expiredCount;
+};
+
+module.exports = {
+  router,
+  sendConfirmation,
+  expirePendingLeads,
+  UNCONFIRMED_STATUSES,
+  CONFIRMABLE_STATUSES
+};
@@ -0,0 +1,81 @@
+const crypto = require("crypto");
+const { admin } = require("./firebase");
+
+/**
+ * Consent policies and the per-lead consent ledger.
+ * Each policy version maps to the exact wording shown next to the consent
+ * checkbox; the ledger stores a hash of that wording so we can later prove
+ * what a given address agreed to. Never edit a published version's text -
+ * add a new version instead.
+ */
+
+const CONSENT_POLICIES = {
+  "waitlist-v1": {
+    text: "I agree to receive emails from High Leverage Humans about early access, " +
+      "launches and related updates. I can unsubscribe at any time.",
+    publishedAt: "2026-10-19"
+  }
+};
+
+const CURRENT_POLICY_VERSION = "waitlist-v1";
+
+const hashPolicyText = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
+const getPolicy = (version) => {
+  const policy = CONSENT_POLICIES[version];
+  if (!policy) {
+    return null;
+  }
+  return { version, ...policy, textHash: hashPolicyText(policy.text) };
+};
+
+const consentLedger = (leadRef) => leadRef.collection("consent_ledger");
+
+/**
+ * Append an entry to a lead's consent ledger. Entries are only ever added,
+ * never updated or deleted (apart from full erasure of the lead).
+ * Pass a transaction or batch as `writer` to commit with the lead update.
+ *
+ * @param {object} writer - Firestore transaction/batch, or null to write directly
+ * @param {object} leadRef - Lead document reference
+ * @param {object} entry - { action, channel, policyVersion, ip, userAgent }
+ *   where action is 'accept', 'confirm' or 'withdraw'
+ */
+const appendConsent = async (writer, leadRef, entry) => {
+  const policy = getPolicy(entry.policyVersion) || getPolicy(CURRENT_POLICY_VERSION);
+  const entryRef = consentLedger(leadRef).doc();
+
+  const record = {
+    action: entry.action,
+    channel: entry.channel,
+    policyVersion: policy.version,
+    policyTextHash: policy.textHash,
+    ip: entry.ip || null,
+    userAgent: entry.userAgent || null,
+    timestamp: admin.firestore.FieldValue.serverTimestamp()
+  };
+
+  if (writer) {
+    writer.set(entryRef, record);
+  } else {
+    await entryRef.set(record);
+  }
+
+  return entryRef;
+};
+
+// Summary of the latest consent state, stored on the lead for easy querying
+const consentSummary = (status, policyVersion) => ({
+  status,
+  policyVersion: getPolicy(policyVersion) ? policyVersion : CURRENT_POLICY_VERSION,
+  updatedAt: admin.firestore.FieldValue.serverTimestamp()
+});
+
+module.exports = {
+  CONSENT_POLICIES,
+  CURRENT_POLICY_VERSION,
+  getPolicy,
+  consentLedger,
+  appendConsent,
+  consentSummary
+};
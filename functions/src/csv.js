@@ -0,0 +1,75 @@
+// Minimal RFC 4180 CSV support for admin imports and exports
+
+// Quote per RFC 4180, and defuse values a spreadsheet would run as a formula
+const csvCell = (value) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  let text = Array.isArray(value) ? value.join(";") : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+};
+
+const formatCsvRow = (columns, row) => {
+  return `${columns.map(column => csvCell(row[column])).join(",")}\r\n`;
+};
+
+/**
+ * Parse CSV text into an array of records (arrays of strings).
+ * Handles quoted fields with commas, escaped quotes and line breaks, CRLF or
+ * LF line endings and a leading byte order mark. Blank lines are skipped.
+ *
+ * @returns {string[][]}
+ */
+const parseCsv = (content) => {
+  const text = content.replace(/^\uFEFF/, "");
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+
+  const endRecord = () => {
+    record.push(field);
+    if (record.length > 1 || record[0].trim() !== "") {
+      records.push(record);
+    }
+    record = [];
+    field = "";
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === "\"" && text[i + 1] === "\"") {
+        field += "\"";
+        i += 1;
+      } else if (char === "\"") {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === "\"" && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i += 1;
+      }
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || record.length) {
+    endRecord();
+  }
+  return records;
+};
+
+module.exports = { csvCell, formatCsvRow, parseCsv };
@@ -0,0 +1,196 @@
+const validator = require("validator");
+const { admin, db } = require("./firebase");
+
+/**
+ * Admin-managed email domain lists, stored in `admin/email_domains`:
+ * - blocked: disposable/unwanted domains. "example.com" blocks the domain and
+ *   all its subdomains; "*.example.com" blocks subdomains only.
+ * - allowed: overrides any blocked match (same matching rules).
+ * Lists are cached per function instance for a few minutes.
+ */
+
+const DEFAULT_BLOCKED_DOMAINS = [
+  "10minutemail.com",
+  "guerrillamail.com",
+  "mailinator.com",
+  "temp-mail.org",
+  "throwaway.email",
+  "yopmail.com"
+];
+
+const DOMAIN_LISTS = ["blocked", "allowed"];
+const MAX_LIST_SIZE = 40000; // Keeps the document well under Firestore's 1 MiB limit
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+const domainListsRef = () => db.collection("admin").doc("email_domains");
+
+let cache = null;
+
+// Stored lists, with the defaults for any list that has never been saved
+const listsFrom = (doc) => ({
+  blocked: DEFAULT_BLOCKED_DOMAINS,
+  allowed: [],
+  ...(doc.exists ? doc.data() : {})
+});
+
+// Lowercase, strip whitespace/trailing dots and reject anything that isn't a hostname
+const normalizeDomainEntry = (entry) => {
+  if (typeof entry !== "string") {
+    return null;
+  }
+
+  const value = entry.trim().toLowerCase().replace(/\.$/, "");
+  const wildcard = value.startsWith("*.");
+  const domain = wildcard ? value.slice(2) : value;
+
+  if (!validator.isFQDN(domain, { require_tld: true, allow_underscores: false })) {
+    return null;
+  }
+  return wildcard ? `*.${domain}` : domain;
+};
+
+const loadDomainLists = async ({ force = false } = {}) => {
+  if (!force && cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+    return cache;
+  }
+
+  const data = listsFrom(await domainListsRef().get());
+
+  cache = {
+    blocked: new Set(data.blocked),
+    allowed: new Set(data.allowed),
+    loadedAt: Date.now()
+  };
+  return cache;
+};
+
+const invalidateDomainCache = () => {
+  cache = null;
+};
+
+// Walk up the domain's suffixes: exact/apex entries match the domain itself and
+// any subdomain, wildcard entries only match strict subdomains
+const matchesList = (domain, entries) => {
+  const labels = domain.split(".");
+  for (let i = 0; i < labels.length - 1; i++) {
+    const suffix = labels.slice(i).join(".");
+    if (entries.has(suffix)) {
+      return true;
+    }
+    if (i > 0 && entries.has(`*.${suffix}`)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+const isDomainBlocked = async (domain) => {
+  const normalized = String(domain).toLowerCase();
+  const lists = await loadDomainLists();
+
+  if (matchesList(normalized, lists.allowed)) {
+    return false;
+  }
+  return matchesList(normalized, lists.blocked);
+};
+
+/**
+ * Add and/or remove entries on one list. Returns the rejected (invalid) entries.
+ */
+const updateDomainList = async (list, { add = [], remove = [] }, actorUid) => {
+  const toAdd = add.map(normalizeDomainEntry);
+  const toRemove = remove.map(normalizeDomainEntry).filter(Boolean);
+  const invalid = add.filter((entry, i) => !toAdd[i]);
+
+  await db.runTransaction(async (transaction) => {
+    const data = listsFrom(await transaction.get(domainListsRef()));
+
+    const entries = new Set(data[list]);
+    toAdd.filter(Boolean).forEach(entry => entries.add(entry));
+    toRemove.forEach(entry => entries.delete(entry));
+
+    if (entries.size > MAX_LIST_SIZE) {
+      throw new Error(`The ${list} list cannot exceed ${MAX_LIST_SIZE} entries`);
+    }
+
+    transaction.set(domainListsRef(), {
+      ...data,
+      [list]: Array.from(entries).sort(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedBy: actorUid || null
+    });
+  });
+
+  invalidateDomainCache();
+  return { added: toAdd.filter(Boolean).length, removed: toRemove.length, invalid };
+};
+
+/**
+ * Parse a standard disposable-domain list file: one domain per line,
+ * blank lines and `#` / `//` comments ignored.
+ */
+const parseDomainListFile = (content) => {
+  const entries = new Set();
+  const invalid = [];
+
+  String(content).split(/\r?\n/).forEach(line => {
+    const value = line.replace(/(#|\/\/).*$/, "").trim();
+    if (!value) {
+      return;
+    }
+    const entry = normalizeDomainEntry(value);
+    if (entry) {
+      entries.add(entry);
+    } else {
+      invalid.push(value);
+    }
+  });
+
+  return { entries: Array.from(entries), invalid };
+};
+
+// Report a sample of unparseable lines rather than echoing a huge file back
+const summarizeInvalid = (invalid) => ({
+  invalid: invalid.slice(0, 100),
+  invalidCount: invalid.length
+});
+
+/**
+ * Bulk import a list file into one list, merging with or replacing its entries.
+ */
+const importDomainList = async (list, content, { mode = "merge", actorUid } = {}) => {
+  const { entries, invalid } = parseDomainListFile(content);
+
+  if (mode === "replace") {
+    if (entries.length > MAX_LIST_SIZE) {
+      throw new Error(`The ${list} list cannot exceed ${MAX_LIST_SIZE} entries`);
+    }
+
+    // The other list is saved too, so a first import doesn't drop its defaults
+    await db.runTransaction(async (transaction) => {
+      const data = listsFrom(await transaction.get(domainListsRef()));
+      transaction.set(domainListsRef(), {
+        ...data,
+        [list]: entries.sort(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedBy: actorUid || null
+      });
+    });
+
+    invalidateDomainCache();
+    return { imported: entries.length, ...summarizeInvalid(invalid) };
+  }
+
+  const result = await updateDomainList(list, { add: entries }, actorUid);
+  return { imported: result.added, ...summarizeInvalid(invalid) };
+};
+
+module.exports = {
+  DOMAIN_LISTS,
+  DEFAULT_BLOCKED_DOMAINS,
+  loadDomainLists,
+  isDomainBlocked,
+  updateDomainList,
+  importDomainList,
+  parseDomainListFile
+};
@@ -0,0 +1,19 @@
+/**
+ * The "did you mean" engine shared with the signup form
+ * (public/assets/js/email-suggest.js). A checkout loads the original, so the
+ * emulators work without a build; the deployed functions source has no
+ * public/ folder and uses the copy `npm run sync:shared` puts in generated/
+ * (run before every build, including the predeploy one).
+ */
+const loadEmailSuggest = () => {
+  try {
+    return require("../../public/assets/js/email-suggest");
+  } catch (error) {
+    if (error.code !== "MODULE_NOT_FOUND") {
+      throw error;
+    }
+    return require("../generated/email-suggest");
+  }
+};
+
+module.exports = loadEmailSuggest();
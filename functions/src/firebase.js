@@ -0,0 +1,10 @@
+const admin = require("firebase-admin");
+
+// Initialize Firebase Admin once and share it across modules
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+module.exports = { admin, db };
@@ -0,0 +1,315 @@
+const express = require("express");
+const Joi = require("joi");
+const { admin, db } = require("./firebase");
+const { rateLimit } = require("./rateLimit");
+const { requireAdmin } = require("./adminAuth");
+const { partitionRef } = require("./telemetry");
+const { retentionDaysFor } = require("./analyticsCleanup");
+const { toDateKey, isDateKey, addDays } = require("./stats");
+const { FUNNEL } = require("./config");
+
+/**
+ * Waitlist conversion funnel, from the `funnel_step` events the form controller
+ * (public/assets/js/forms.js) sends to /events. The steps, in order:
+ *   hero_view > early_access_view > email_focus > submit_attempt > submit_success
+ * and validation_failure, a branch off submit_attempt.
+ *
+ * buildDailyFunnel counts the sessions that started on a UTC day and the
+ * steps each reached, overall and per segment (traffic source, UTM medium and
+ * campaign, device class), in admin/funnels/days/{YYYY-MM-DD}. A session that
+ * runs past midnight belongs to the day of its first event, with its steps from
+ * the next day included, so each session is counted on one day only. Session
+ * counts add up across days, so GET /admin/funnel sums a date range and works
+ * out the rates.
+ */
+
+const FUNNEL_STEPS = [
+  "hero_view", "early_access_view", "email_focus", "submit_attempt", "submit_success"
+];
+const VALIDATION_FAILURE = "validation_failure";
+const ALL_STEPS = [...FUNNEL_STEPS, VALIDATION_FAILURE];
+
+// How a session is segmented; the values don't change within a session, so
+// any of its events will do
+const SEGMENTS = {
+  source: (record) => record.data.utmSource || record.data.referrerHost || "direct",
+  medium: (record) => record.data.utmMedium || "none",
+  campaign: (record) => record.data.utmCampaign || "none",
+  device: (record) => record.deviceClass || "unknown"
+};
+
+const PAGE_SIZE = 1000;
+// The first run can't go back further than raw funnel events are kept
+const BACKFILL_DAYS = retentionDaysFor("funnel_step");
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const funnelsRef = () => db.collection("admin").doc("funnels");
+const dayRef = (dateKey) => funnelsRef().collection("days").doc(dateKey);
+
+const emptyCounts = () => ({
+  sessions: 0,
+  ...Object.fromEntries(ALL_STEPS.map(step => [step, 0]))
+});
+
+const addCounts = (target, counts) => {
+  Object.keys(target).forEach(key => {
+    target[key] += counts[key] || 0;
+  });
+  return target;
+};
+
+/**
+ * Funnel events for one UTC day, grouped into sessions.
+ *
+ * @returns {Promise<Map<string, { record: object, steps: Set<string> }>>}
+ */
+const sessionsForDay = async (dateKey) => {
+  const sessions = new Map();
+  let lastDoc = null;
+
+  for (;;) {
+    let query = partitionRef(dateKey).collection("client_events")
+      .where("name", "==", "funnel_step")
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(PAGE_SIZE);
+    if (lastDoc) {
+      query = query.startAfter(lastDoc);
+    }
+
+    const snapshot = await query.get();
+    snapshot.docs.forEach(doc => {
+      const record = doc.data();
+      const step = record.data?.step;
+      if (!record.sessionId || !ALL_STEPS.includes(step)) {
+        return;
+      }
+      if (!sessions.has(record.sessionId)) {
+        sessions.set(record.sessionId, { record, steps: new Set() });
+      }
+      sessions.get(record.sessionId).steps.add(step);
+    });
+    if (snapshot.size < PAGE_SIZE) {
+      break;
+    }
+    lastDoc = snapshot.docs[snapshot.size - 1];
+  }
+
+  return sessions;
+};
+
+// Largest segment values first, with the long tail folded into 'other'
+const foldSegment = (countsByValue) => {
+  const entries = [...countsByValue.entries()].sort(([, a], [, b]) => b.sessions - a.sessions);
+  const kept = entries.slice(0, FUNNEL.maxSegmentValues)
+    .map(([value, counts]) => ({ value, counts }));
+
+  const rest = entries.slice(FUNNEL.maxSegmentValues);
+  if (rest.length) {
+    const other = kept.find(entry => entry.value === "other");
+    const counts = other ? other.counts : emptyCounts();
+    rest.forEach(([, restCounts]) => addCounts(counts, restCounts));
+    if (!other) {
+      kept.push({ value: "other", counts });
+    }
+  }
+  return kept;
+};
+
+/**
+ * Build the funnel for one UTC day. Each session counts once per step.
+ * Sessions already seen the day before are left to that day; sessions that
+ * carry on into the next day bring their steps from it.
+ */
+const buildDayFunnel = async (dateKey) => {
+  const [earlier, sessions, later] = await Promise.all([
+    sessionsForDay(addDays(dateKey, -1)),
+    sessionsForDay(dateKey),
+    sessionsForDay(addDays(dateKey, 1))
+  ]);
+
+  const overall = emptyCounts();
+  const bySegment = Object.fromEntries(Object.keys(SEGMENTS).map(by => [by, new Map()]));
+
+  sessions.forEach(({ record, steps: daySteps }, sessionId) => {
+    if (earlier.has(sessionId)) {
+      return;
+    }
+    const steps = new Set([...daySteps, ...(later.get(sessionId)?.steps || [])]);
+
+    const counts = emptyCounts();
+    counts.sessions = 1;
+    steps.forEach(step => {
+      counts[step] = 1;
+    });
+    addCounts(overall, counts);
+
+    Object.entries(SEGMENTS).forEach(([by, valueOf]) => {
+      const value = String(valueOf(record)).slice(0, 100);
+      const segment = bySegment[by];
+      segment.set(value, addCounts(segment.get(value) || emptyCounts(), counts));
+    });
+  });
+
+  // Segments are stored as lists: their values come from the client and
+  // can't safely be used as map keys
+  const day = {
+    date: dateKey,
+    overall,
+    segments: Object.fromEntries(
+      Object.entries(bySegment).map(([by, values]) => [by, foldSegment(values)])
+    ),
+    builtAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+  await dayRef(dateKey).set(day);
+  return day;
+};
+
+/**
+ * Scheduled job: build every day since the last run up to yesterday (the first
+ * run goes back as far as raw events are kept). The last day built is built
+ * again, now that the day after it is complete, to pick up sessions that ran
+ * past midnight. Stops at the deadline; the next run carries on from there.
+ */
+const buildDailyFunnel = async ({ deadline } = {}) => {
+  const yesterday = toDateKey(new Date(Date.now() - DAY_MS));
+  const stateDoc = await funnelsRef().get();
+  const lastBuiltDate = stateDoc.exists ? stateDoc.data().lastBuiltDate || null : null;
+
+  const earliest = addDays(yesterday, 1 - BACKFILL_DAYS);
+  let next = lastBuiltDate || earliest;
+  if (next < earliest) {
+    next = earliest;
+  }
+
+  const result = { built: 0, from: next, lastBuiltDate, done: false };
+  while (next <= yesterday) {
+    if (deadline && Date.now() > deadline) {
+      break;
+    }
+    await buildDayFunnel(next);
+    result.built += 1;
+    result.lastBuiltDate = next;
+    next = addDays(next, 1);
+  }
+  result.done = next > yesterday;
+
+  if (result.built) {
+    await funnelsRef().set({
+      lastBuiltDate: result.lastBuiltDate,
+      lastRunAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+  }
+  return result;
+};
+
+const rate = (count, total) => (total ? Number((count / total).toFixed(4)) : null);
+
+/**
+ * Step counts and conversion rates for summed counts. Visitors can skip steps
+ * (e.g. by landing on #early-access), so a step's rate can be over 1.
+ */
+const funnelReport = (counts) => ({
+  sessions: counts.sessions,
+  steps: FUNNEL_STEPS.map((step, index) => {
+    const previous = index === 0 ? null : counts[FUNNEL_STEPS[index - 1]];
+    return {
+      step,
+      sessions: counts[step],
+      conversionFromPrevious: index === 0 ? null : rate(counts[step], previous),
+      conversionFromStart: rate(counts[step], counts[FUNNEL_STEPS[0]])
+    };
+  }),
+  validationFailure: {
+    sessions: counts[VALIDATION_FAILURE],
+    rateOfAttempts: rate(counts[VALIDATION_FAILURE], counts.submit_attempt)
+  }
+});
+
+/**
+ * Funnel for a date range, from the daily builds, with an optional segment breakdown.
+ *
+ * @param {object} options - { from, to } as 'YYYY-MM-DD', optional `by`
+ */
+const getFunnel = async ({ from, to, by }) => {
+  const snapshot = await funnelsRef().collection("days")
+    .orderBy(admin.firestore.FieldPath.documentId())
+    .startAt(from)
+    .endAt(to)
+    .get();
+
+  const overall = emptyCounts();
+  const segmentCounts = new Map();
+  const series = [];
+
+  snapshot.docs.forEach(doc => {
+    const day = doc.data();
+    addCounts(overall, day.overall);
+    series.push({
+      date: day.date,
+      sessions: day.overall.sessions,
+      submitSuccess: day.overall.submit_success,
+      conversion: rate(day.overall.submit_success, day.overall.sessions)
+    });
+    if (by) {
+      (day.segments[by] || []).forEach(({ value, counts }) => {
+        segmentCounts.set(value, addCounts(segmentCounts.get(value) || emptyCounts(), counts));
+      });
+    }
+  });
+
+  const funnel = { from, to, ...funnelReport(overall), series };
+  if (by) {
+    funnel.segments = {
+      by,
+      values: [...segmentCounts.entries()]
+        .sort(([, a], [, b]) => b.sessions - a.sessions)
+        .map(([value, counts]) => ({ value, ...funnelReport(counts) }))
+    };
+  }
+  return funnel;
+};
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+const funnelQuerySchema = Joi.object({
+  from: Joi.string().pattern(DATE_KEY),
+  to: Joi.string().pattern(DATE_KEY),
+  by: Joi.string().valid(...Object.keys(SEGMENTS))
+});
+
+const router = express.Router();
+
+router.get("/admin/funnel", rateLimit("admin"), requireAdmin("viewer"), async (req, res) => {
+  const { error, value } = funnelQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, error: error.details[0].message });
+  }
+
+  const to = value.to || toDateKey(new Date(Date.now() - DAY_MS));
+  const from = value.from || addDays(to, 1 - FUNNEL.defaultRangeDays);
+  if (!isDateKey(from) || !isDateKey(to) || from > to) {
+    return res.status(400).json({ success: false, error: "Invalid date range" });
+  }
+  if (addDays(from, FUNNEL.maxRangeDays) <= to) {
+    return res.status(400).json({
+      success: false,
+      error: `Date range cannot exceed ${FUNNEL.maxRangeDays} days`
+    });
+  }
+
+  try {
+    const funnel = await getFunnel({ from, to, by: value.by });
+    res.status(200).json({ success: true, funnel });
+  } catch (error) {
+    console.error("Funnel report error:", error);
+    res.status(500).json({ success: false, error: "Unable to load the funnel report" });
+  }
+});
+
+module.exports = {
+  router,
+  FUNNEL_STEPS,
+  SEGMENTS,
+  buildDailyFunnel,
+  getFunnel
+};
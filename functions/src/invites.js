@@ -0,0 +1,373 @@
+const crypto = require("crypto");
+const express = require("express");
+const { admin, db } = require("./firebase");
+const { logAnalyticsEvent } = require("./analytics");
+const { rateLimit } = require("./rateLimit");
+const { queueEmail } = require("./mailer");
+const { renderPage } = require("./pages");
+const { buildUnsubscribeUrl, buildUnsubscribeHeaders } = require("./unsubscribe");
+const { API_BASE_URL } = require("./config");
+
+/**
+ * Invite waves: admit confirmed waitlist leads in batches.
+ * Each wave picks the next leads by an ordering rule, marks them `invited` and
+ * emails each a single-use, expiring invite code. Codes are stored only as a
+ * hash in invite_codes/{hash}; wave stats live in admin/invites/waves/{waveId}.
+ */
+
+// Only confirmed subscribers can be invited ('active' predates double opt-in)
+const ELIGIBLE_STATUSES = ["confirmed", "active"];
+
+// Ordering rules for picking the next leads: [field, direction]
+const INVITE_ORDERS = {
+  position: ["queueScore", "asc"],
+  score: ["score", "desc"]
+};
+
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_GROUPS = 3;
+const CODE_GROUP_LENGTH = 4;
+const PAGE_SIZE = 100;
+
+const generateInviteCode = () => {
+  const groups = [];
+  for (let g = 0; g < CODE_GROUPS; g++) {
+    let group = "";
+    for (let i = 0; i < CODE_GROUP_LENGTH; i++) {
+      group += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    groups.push(group);
+  }
+  return groups.join("-");
+};
+
+// Codes are matched case-insensitively and with or without the dashes
+const normalizeInviteCode = (code) => {
+  if (typeof code !== "string") {
+    return null;
+  }
+  const normalized = code.toUpperCase().replace(/[^A-Z0-9]/g, "");
+  return normalized.length === CODE_GROUPS * CODE_GROUP_LENGTH ? normalized : null;
+};
+
+const inviteCodeRef = (code) => {
+  const hash = crypto.createHash("sha256").update(code).digest("hex");
+  return db.collection("invite_codes").doc(hash);
+};
+
+const wavesCollection = () => db.collection("admin").doc("invites").collection("waves");
+
+const buildRedeemUrl = (code) => `${API_BASE_URL}/redeem?code=${encodeURIComponent(code)}`;
+
+const buildInviteEmail = (code, redeemUrl, unsubscribeUrl, expiresInDays) => {
+  const subject = "Your High Leverage Humans invite is here";
+  const text = [
+    "Good news - your spot on the High Leverage Humans waitlist has come up.",
+    "",
+    `Your invite code: ${code}`,
+    "",
+    "Redeem it here:",
+    redeemUrl,
+    "",
+    `The code can be used once and expires in ${expiresInDays} days.`,
+    "",
+    `Unsubscribe: ${unsubscribeUrl}`
+  ].join("\n");
+  const html = `
+    <p>Good news - your spot on the High Leverage Humans waitlist has come up.</p>
+    <p>Your invite code: <strong>${code}</strong></p>
+    <p><a href="${redeemUrl}">Redeem your invite</a></p>
+    <p>The code can be used once and expires in ${expiresInDays} days.</p>
+    <p><a href="${unsubscribeUrl}">Unsubscribe</a></p>
+  `;
+
+  return { subject, text, html };
+};
+
+const selectionQuery = (order, source) => {
+  const [field, direction] = INVITE_ORDERS[order];
+  let query = db.collection("email_leads").where("status", "in", ELIGIBLE_STATUSES);
+  if (source) {
+    query = query.where("source", "==", source);
+  }
+  return query.orderBy(field, direction);
+};
+
+/**
+ * Mark one lead invited and issue its code, unless it stopped being eligible
+ * since it was selected (e.g. unsubscribed, or picked by a concurrent wave).
+ *
+ * @returns {Promise<{ email: string, code: string }|null>}
+ */
+const inviteLead = async (leadRef, waveId, expiresAt) => {
+  return db.runTransaction(async (transaction) => {
+    const leadDoc = await transaction.get(leadRef);
+    if (!leadDoc.exists || !ELIGIBLE_STATUSES.includes(leadDoc.data().status)) {
+      return null;
+    }
+
+    const lead = leadDoc.data();
+    const code = generateInviteCode();
+
+    transaction.update(leadRef, {
+      status: "invited",
+      previousStatus: lead.status,
+      invitedAt: admin.firestore.FieldValue.serverTimestamp(),
+      invite: { waveId, expiresAt, redeemedAt: null }
+    });
+    transaction.create(inviteCodeRef(normalizeInviteCode(code)), {
+      leadId: leadRef.id,
+      waveId,
+      expiresAt,
+      redeemedAt: null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { email: lead.email, code };
+  });
+};
+
+/**
+ * Invite the next `size` eligible leads.
+ * With `sources`, leads are taken source by source in that priority order;
+ * within a source (or overall, without `sources`) they follow `order`.
+ *
+ * @returns {Promise<object>} Wave summary, as stored under admin/invites/waves
+ */
+const createInviteWave = async ({ size, order, sources = [], expiresInDays, actorUid }) => {
+  const waveRef = wavesCollection().doc();
+  const expiresAt = admin.firestore.Timestamp.fromMillis(
+    Date.now() + expiresInDays * 24 * 60 * 60 * 1000
+  );
+
+  await waveRef.set({
+    size,
+    order,
+    sources,
+    expiresAt,
+    status: "running",
+    invited: 0,
+    skipped: 0,
+    redeemed: 0,
+    createdBy: actorUid,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  let invited = 0;
+  let skipped = 0;
+
+  for (const source of sources.length ? sources : [null]) {
+    let lastDoc = null;
+
+    while (invited < size) {
+      let query = selectionQuery(order, source).limit(Math.min(PAGE_SIZE, size - invited));
+      if (lastDoc) {
+        query = query.startAfter(lastDoc);
+      }
+
+      const snapshot = await query.get();
+      if (snapshot.empty) {
+        break;
+      }
+
+      for (const doc of snapshot.docs) {
+        lastDoc = doc;
+        const invite = await inviteLead(doc.ref, waveRef.id, expiresAt);
+        if (!invite) {
+          skipped += 1;
+          continue;
+        }
+
+        // Only once the invite has committed: a transaction may run more than
+        // once, so mail queued inside it could go out twice, or for nothing
+        await queueEmail(invite.email, {
+          ...buildInviteEmail(
+            invite.code,
+            buildRedeemUrl(invite.code),
+            buildUnsubscribeUrl(doc.id),
+            expiresInDays
+          ),
+          headers: buildUnsubscribeHeaders(doc.id)
+        });
+        invited += 1;
+      }
+    }
+  }
+
+  const summary = { waveId: waveRef.id, size, order, sources, invited, skipped };
+  await waveRef.update({
+    invited,
+    skipped,
+    status: "completed",
+    completedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return summary;
+};
+
+// A code is only good while its lead is still invited: not unsubscribed,
+// blocked or erased since the wave went out
+const isStillInvited = (leadDoc) => leadDoc.exists && leadDoc.data().status === "invited";
+
+/**
+ * Check a code without using it up.
+ *
+ * @returns {Promise<{ valid: boolean, reason?: string }>}
+ */
+const checkInviteCode = async (code) => {
+  const normalized = normalizeInviteCode(code);
+  if (!normalized) {
+    return { valid: false, reason: "invalid" };
+  }
+
+  const codeDoc = await inviteCodeRef(normalized).get();
+  if (!codeDoc.exists) {
+    return { valid: false, reason: "invalid" };
+  }
+
+  const invite = codeDoc.data();
+  if (invite.redeemedAt) {
+    return { valid: false, reason: "redeemed" };
+  }
+  if (invite.expiresAt.toMillis() < Date.now()) {
+    return { valid: false, reason: "expired" };
+  }
+  const leadDoc = await db.collection("email_leads").doc(invite.leadId).get();
+  if (!isStillInvited(leadDoc)) {
+    return { valid: false, reason: "withdrawn" };
+  }
+  return { valid: true };
+};
+
+/**
+ * Use up an invite code, atomically, and record it against the lead and wave.
+ * The lead's status is checked in the same transaction, so a lead who
+ * unsubscribes while holding a code can't redeem it afterwards.
+ *
+ * @returns {Promise<{ valid: boolean, reason?: string, waveId?: string }>}
+ */
+const redeemInviteCode = async (code, { ip } = {}) => {
+  const normalized = normalizeInviteCode(code);
+  if (!normalized) {
+    return { valid: false, reason: "invalid" };
+  }
+
+  const codeRef = inviteCodeRef(normalized);
+
+  return db.runTransaction(async (transaction) => {
+    const codeDoc = await transaction.get(codeRef);
+    if (!codeDoc.exists) {
+      return { valid: false, reason: "invalid" };
+    }
+
+    const invite = codeDoc.data();
+    if (invite.redeemedAt) {
+      return { valid: false, reason: "redeemed" };
+    }
+    if (invite.expiresAt.toMillis() < Date.now()) {
+      return { valid: false, reason: "expired" };
+    }
+
+    const leadRef = db.collection("email_leads").doc(invite.leadId);
+    const leadDoc = await transaction.get(leadRef);
+    if (!isStillInvited(leadDoc)) {
+      return { valid: false, reason: "withdrawn" };
+    }
+    const redeemedAt = admin.firestore.FieldValue.serverTimestamp();
+
+    transaction.update(codeRef, { redeemedAt, redeemIp: ip || null });
+    transaction.set(wavesCollection().doc(invite.waveId), {
+      redeemed: admin.firestore.FieldValue.increment(1)
+    }, { merge: true });
+    transaction.update(leadRef, { "invite.redeemedAt": redeemedAt });
+
+    return { valid: true, waveId: invite.waveId, leadId: invite.leadId };
+  });
+};
+
+const INVALID_MESSAGES = {
+  invalid: "This invite code is not valid. Please check it and try again.",
+  redeemed: "This invite code has already been used.",
+  expired: "This invite code has expired.",
+  withdrawn: "This invite is no longer available."
+};
+
+const router = express.Router();
+
+// Landing page from the invite email. GET never uses up the code because
+// mail scanners prefetch links; the button below POSTs it.
+router.get("/redeem", rateLimit("redeem"), async (req, res) => {
+  try {
+    const check = await checkInviteCode(req.query.code);
+    if (!check.valid) {
+      return res.status(400).send(renderPage(
+        "Invite not available",
+        `<p>${INVALID_MESSAGES[check.reason]}</p>`
+      ));
+    }
+
+    const action = `${API_BASE_URL}/redeem?code=${encodeURIComponent(req.query.code)}`;
+    res.status(200).send(renderPage("Redeem your invite", `
+      <p>Your invite to High Leverage Humans is ready.</p>
+      <form method="POST" action="${action}">
+        <button type="submit">Redeem invite</button>
+      </form>
+    `));
+  } catch (error) {
+    console.error("Invite check error:", error);
+    res.status(500).send(renderPage(
+      "Something went wrong",
+      "<p>We could not check your invite. Please try again shortly.</p>"
+    ));
+  }
+});
+
+// Redeem a code, from the landing page form or as JSON ({ code })
+router.post("/redeem", rateLimit("redeem"), async (req, res) => {
+  const wantsJson = req.is("application/json");
+
+  try {
+    const result = await redeemInviteCode(req.body?.code || req.query.code, { ip: req.ip });
+
+    await logAnalyticsEvent(result.valid ? "invite_redeemed" : "invite_redeem_rejected", {
+      reason: result.reason || null,
+      waveId: result.waveId || null,
+      leadId: result.leadId || null,
+      ip: req.ip
+    });
+
+    if (!result.valid) {
+      const error = INVALID_MESSAGES[result.reason];
+      if (wantsJson) {
+        return res.status(400).json({ success: false, error, reason: result.reason });
+      }
+      return res.status(400).send(renderPage("Invite not available", `<p>${error}</p>`));
+    }
+
+    if (wantsJson) {
+      return res.status(200).json({ success: true, message: "Invite redeemed" });
+    }
+    res.status(200).send(renderPage(
+      "You're in",
+      "<p>Your invite has been redeemed. Welcome to High Leverage Humans.</p>"
+    ));
+  } catch (error) {
+    console.error("Invite redeem error:", error);
+    if (wantsJson) {
+      return res.status(500).json({ success: false, error: "Internal server error" });
+    }
+    res.status(500).send(renderPage(
+      "Something went wrong",
+      "<p>We could not redeem your invite. Please try again shortly.</p>"
+    ));
+  }
+});
+
+module.exports = {
+  router,
+  ELIGIBLE_STATUSES,
+  INVITE_ORDERS,
+  createInviteWave,
+  checkInviteCode,
+  redeemInviteCode
+};
@@ -0,0 +1,422 @@
+const { once } = require("events");
+const { finished } = require("stream/promises");
+const { admin, db } = require("./firebase");
+const { flattenTouch } = require("./attribution");
+const { formatCsvRow } = require("./csv");
+const { LEAD_EXPORTS } = require("./config");
+
+/**
+ * Background lead exports.
+ * exportLeads records a job in admin/exports/jobs/{jobId}; a Firestore trigger
+ * then pages through the matching leads and streams them as CSV or NDJSON to
+ * admin/exports/{jobId}.{csv|ndjson} in Storage. Admins poll the job and get a
+ * short-lived signed URL once it has completed.
+ *
+ * Each run writes one part file (admin/exports/{jobId}/part-NNNN) and, if it
+ * nears its time limit, saves its cursor and re-queues the job; the next run
+ * carries on from the cursor. The last run joins the parts into the export.
+ */
+
+const EXPORT_FORMATS = {
+  csv: { extension: "csv", contentType: "text/csv; charset=utf-8" },
+  ndjson: { extension: "ndjson", contentType: "application/x-ndjson; charset=utf-8" }
+};
+
+const EXPORT_COLUMNS = [
+  "id", "email", "name", "status", "source", "campaign", "timestamp", "subscriptionCount",
+  "score", "scoreTier", "waitlistNumber", "referralCount", "tags",
+  "firstTouchChannel", "firstTouchSource", "firstTouchMedium", "firstTouchCampaign",
+  "firstTouchReferrerDomain", "firstTouchLandingPage",
+  "lastTouchChannel", "lastTouchSource", "lastTouchMedium", "lastTouchCampaign",
+  "lastTouchReferrerDomain", "lastTouchLandingPage"
+];
+
+const PAGE_SIZE = 500;
+// Most objects Storage joins in one compose request
+const COMPOSE_LIMIT = 32;
+
+const exportJobsCollection = () => db.collection("admin").doc("exports").collection("jobs");
+
+const toIso = (timestamp) => timestamp?.toDate?.()?.toISOString() || null;
+
+const exportRow = (doc) => {
+  const lead = doc.data();
+  return {
+    id: doc.id,
+    email: lead.email,
+    name: lead.name || null,
+    status: lead.status || "active",
+    source: lead.source || null,
+    campaign: lead.campaign || null,
+    timestamp: toIso(lead.timestamp),
+    subscriptionCount: lead.subscriptionCount || 1,
+    score: lead.score ?? null,
+    scoreTier: lead.scoreTier || null,
+    waitlistNumber: lead.waitlistNumber || null,
+    referralCount: lead.referralCount || 0,
+    tags: lead.tags || [],
+    ...flattenTouch("firstTouch", lead.firstTouch),
+    ...flattenTouch("lastTouch", lead.lastTouch)
+  };
+};
+
+const formatRow = (format, row) => {
+  if (format === "ndjson") {
+    return `${JSON.stringify(row)}\n`;
+  }
+  return formatCsvRow(EXPORT_COLUMNS, row);
+};
+
+// Filters Firestore can't combine with the date range are applied while streaming
+const matchesScore = (lead, { minScore, maxScore }) => {
+  if (minScore === undefined && maxScore === undefined) {
+    return true;
+  }
+  if (typeof lead.score !== "number") {
+    return false;
+  }
+  return (minScore === undefined || lead.score >= minScore) &&
+    (maxScore === undefined || lead.score <= maxScore);
+};
+
+const buildExportQuery = (filters) => {
+  let query = db.collection("email_leads");
+  ["status", "source", "campaign"].forEach(field => {
+    if (filters[field]) {
+      query = query.where(field, "==", filters[field]);
+    }
+  });
+  // Filters are stored on the job as JSON, so dates come back as ISO strings
+  if (filters.from) {
+    query = query.where("timestamp", ">=", admin.firestore.Timestamp.fromDate(
+      new Date(filters.from)
+    ));
+  }
+  if (filters.to) {
+    query = query.where("timestamp", "<=", admin.firestore.Timestamp.fromDate(
+      new Date(filters.to)
+    ));
+  }
+  // Ordered by ID too, so a saved cursor can resume between equal timestamps.
+  // Served by the admin lead list's composites in firestore.indexes.json: one
+  // per combination of these filters on timestamp descending, whose implied
+  // last field is the document ID in the same direction
+  return query
+    .orderBy("timestamp", "desc")
+    .orderBy(admin.firestore.FieldPath.documentId(), "desc");
+};
+
+const partPath = (jobId, part, extension) =>
+  `admin/exports/${jobId}/part-${String(part).padStart(4, "0")}.${extension}`;
+
+/**
+ * Queue an export job. The work happens in runExportJob.
+ *
+ * @returns {Promise<string>} Job ID
+ */
+const createExportJob = async ({ format, filters }, actorUid) => {
+  const jobRef = exportJobsCollection().doc();
+  await jobRef.set({
+    status: "queued",
+    format,
+    filters,
+    requestedBy: actorUid,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  return jobRef.id;
+};
+
+/**
+ * Stream what `produce(write)` writes to a Storage file. An upload error fails
+ * the next write, or the final flush, instead of going unhandled.
+ */
+const writeStorageFile = async (file, contentType, produce) => {
+  const stream = file.createWriteStream({ contentType, resumable: false });
+  const done = finished(stream);
+  // Awaited below; this only keeps an early failure from going unhandled
+  done.catch(() => {});
+
+  let failure = null;
+  stream.on("error", error => {
+    failure = failure || error;
+  });
+
+  const write = async (chunk) => {
+    if (failure) {
+      throw failure;
+    }
+    if (!stream.write(chunk)) {
+      await Promise.race([once(stream, "drain"), done]);
+    }
+  };
+
+  try {
+    const result = await produce(write);
+    stream.end();
+    await done;
+    return result;
+  } catch (error) {
+    stream.destroy();
+    throw error;
+  }
+};
+
+// Join the part files into the export, in order, and remove them
+const combineParts = async (paths, storagePath, contentType) => {
+  const bucket = admin.storage().bucket();
+  const destination = bucket.file(storagePath);
+
+  let sources = paths.slice(0, COMPOSE_LIMIT);
+  let next = sources.length;
+  for (;;) {
+    await bucket.combine(sources.map(path => bucket.file(path)), destination);
+    if (next >= paths.length) {
+      break;
+    }
+    // Carry on from what has been joined so far
+    sources = [storagePath, ...paths.slice(next, next + COMPOSE_LIMIT - 1)];
+    next += COMPOSE_LIMIT - 1;
+  }
+
+  await destination.setMetadata({ contentType });
+  await Promise.all(paths.map(path => bucket.file(path).delete({ ignoreNotFound: true })));
+};
+
+// Move a queued job to running; false if another run already picked it up
+const claimExportJob = async (jobRef) => {
+  return db.runTransaction(async (transaction) => {
+    const jobDoc = await transaction.get(jobRef);
+    if (!jobDoc.exists || jobDoc.data().status !== "queued") {
+      return false;
+    }
+
+    const update = { status: "running", runs: admin.firestore.FieldValue.increment(1) };
+    if (!jobDoc.data().startedAt) {
+      update.startedAt = admin.firestore.FieldValue.serverTimestamp();
+    }
+    transaction.update(jobRef, update);
+    return true;
+  });
+};
+
+/**
+ * Stream the next part of an export job to Storage, from where the last run
+ * stopped. Stops at the deadline and re-queues the job, so the trigger picks
+ * it up again; the run that reaches the end joins the parts.
+ *
+ * @returns {Promise<object|null>} Progress, or null if the job wasn't queued
+ */
+const runExportJob = async (jobRef, { deadline } = {}) => {
+  if (!(await claimExportJob(jobRef))) {
+    return null;
+  }
+
+  const job = (await jobRef.get()).data();
+  const { extension, contentType } = EXPORT_FORMATS[job.format];
+  const storagePath = `admin/exports/${jobRef.id}.${extension}`;
+  const part = job.parts || 0;
+
+  let scanned = job.scanned || 0;
+  let rowCount = job.rowCount || 0;
+  let cursor = job.cursor || null;
+
+  try {
+    const done = await writeStorageFile(
+      admin.storage().bucket().file(partPath(jobRef.id, part, extension)),
+      contentType,
+      async (write) => {
+        if (job.format === "csv" && part === 0) {
+          await write(`${EXPORT_COLUMNS.join(",")}\r\n`);
+        }
+
+        for (;;) {
+          let query = buildExportQuery(job.filters).limit(PAGE_SIZE);
+          if (cursor) {
+            query = query.startAfter(cursor.timestamp, cursor.id);
+          }
+
+          const snapshot = await query.get();
+          for (const doc of snapshot.docs) {
+            if (matchesScore(doc.data(), job.filters)) {
+              await write(formatRow(job.format, exportRow(doc)));
+              rowCount += 1;
+            }
+          }
+          scanned += snapshot.size;
+
+          if (snapshot.size < PAGE_SIZE) {
+            return true;
+          }
+          const lastDoc = snapshot.docs[snapshot.size - 1];
+          cursor = { timestamp: lastDoc.get("timestamp"), id: lastDoc.id };
+
+          if (deadline && Date.now() > deadline) {
+            return false;
+          }
+          await jobRef.update({ scanned, rowCount });
+        }
+      }
+    );
+
+    if (!done) {
+      // The part is saved; the next run starts the one after it
+      await jobRef.update({ status: "queued", parts: part + 1, cursor, scanned, rowCount });
+      return { done: false, scanned, rowCount };
+    }
+
+    const parts = Array.from({ length: part + 1 }, (_, index) =>
+      partPath(jobRef.id, index, extension));
+    await combineParts(parts, storagePath, contentType);
+
+    await jobRef.update({
+      status: "completed",
+      parts: part + 1,
+      scanned,
+      rowCount,
+      storagePath,
+      completedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  } catch (error) {
+    await jobRef.update({
+      status: "failed",
+      scanned,
+      rowCount,
+      error: error.message,
+      completedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    throw error;
+  }
+
+  return { done: true, scanned, rowCount, storagePath };
+};
+
+/**
+ * Short-lived read link for a file under admin/ in Storage.
+ *
+ * @returns {Promise<{ url: string, expiresAt: string }>}
+ */
+const signedDownloadUrl = async (storagePath) => {
+  const expires = Date.now() + LEAD_EXPORTS.downloadUrlTtlMinutes * 60 * 1000;
+  const [url] = await admin.storage().bucket().file(storagePath).getSignedUrl({
+    version: "v4",
+    action: "read",
+    expires
+  });
+  return { url, expiresAt: new Date(expires).toISOString() };
+};
+
+/**
+ * Job status for the admin UI, with a fresh short-lived download link once
+ * the file is ready.
+ */
+const getExportJob = async (jobId) => {
+  const jobDoc = await exportJobsCollection().doc(jobId).get();
+  if (!jobDoc.exists) {
+    return null;
+  }
+
+  const job = jobDoc.data();
+  const result = {
+    jobId,
+    status: job.status,
+    format: job.format,
+    filters: job.filters,
+    scanned: job.scanned || 0,
+    rowCount: job.rowCount || 0,
+    error: job.error || null,
+    createdAt: toIso(job.createdAt),
+    completedAt: toIso(job.completedAt),
+    downloadUrl: null,
+    downloadUrlExpiresAt: null
+  };
+
+  if (job.status === "completed") {
+    const download = await signedDownloadUrl(job.storagePath);
+    result.downloadUrl = download.url;
+    result.downloadUrlExpiresAt = download.expiresAt;
+  }
+
+  return result;
+};
+
+// Whether an export job could have listed a lead. Status and score change
+// over time, so only what is fixed at signup (timestamp, source, campaign)
+// rules a lead out; a lead that absorbed duplicates may have been listed as
+// one of them, so only the signup time counts for it
+const exportMayInclude = (job, lead) => {
+  const signedUpAt = lead.timestamp?.toMillis?.();
+  if (signedUpAt && job.createdAt?.toMillis?.() < signedUpAt) {
+    return false;
+  }
+  if (lead.mergedLeadIds?.length) {
+    return true;
+  }
+
+  const filters = job.filters || {};
+  if ((filters.source && filters.source !== lead.source) ||
+    (filters.campaign && filters.campaign !== lead.campaign)) {
+    return false;
+  }
+  if (signedUpAt && ((filters.from && Date.parse(filters.from) > signedUpAt) ||
+    (filters.to && Date.parse(filters.to) < signedUpAt))) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Delete the export files that may list an erased subject's leads (given as
+ * lead data). Completed jobs are marked `purged`, so admins know to export
+ * again; a job still running fails once its parts are gone. Exports that
+ * can't include the leads are left alone.
+ *
+ * @returns {Promise<{ deletedExportFiles: number, purgedExports: number }>}
+ */
+const purgeSubjectExports = async (leads) => {
+  const result = { deletedExportFiles: 0, purgedExports: 0 };
+  if (!leads.length) {
+    return result;
+  }
+
+  const snapshot = await exportJobsCollection().get();
+  const jobDocs = snapshot.docs.filter(doc => doc.data().status !== "purged" &&
+    leads.some(lead => exportMayInclude(doc.data(), lead)));
+
+  const bucket = admin.storage().bucket();
+  for (const doc of jobDocs) {
+    const job = doc.data();
+    const [files] = await bucket.getFiles({ prefix: `admin/exports/${doc.id}/` });
+    if (job.status === "completed") {
+      files.push(bucket.file(job.storagePath));
+    }
+    await Promise.all(files.map(file => file.delete({ ignoreNotFound: true })));
+    result.deletedExportFiles += files.length;
+  }
+
+  const completed = jobDocs.filter(doc => doc.data().status === "completed");
+  for (let start = 0; start < completed.length; start += PAGE_SIZE) {
+    const batch = db.batch();
+    completed.slice(start, start + PAGE_SIZE).forEach(doc => {
+      batch.update(doc.ref, {
+        status: "purged",
+        error: "Removed for a data erasure request; run the export again",
+        purgedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    });
+    await batch.commit();
+  }
+  result.purgedExports = completed.length;
+
+  return result;
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  createExportJob,
+  runExportJob,
+  writeStorageFile,
+  signedDownloadUrl,
+  purgeSubjectExports,
+  getExportJob
+};
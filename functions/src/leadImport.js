@@ -0,0 +1,464 @@
+const { admin, db } = require("./firebase");
+const { logAnalyticsEvent } = require("./analytics");
+const { emailSchema, sanitizeEmail, validateEmailDomain } = require("./validation");
+const { isSuppressed } = require("./suppression");
+const { consentSummary } = require("./consent");
+const { leadRefForEmail, upsertLead } = require("./leads");
+const { sendConfirmation, UNCONFIRMED_STATUSES } = require("./confirmation");
+const { parseCsv, formatCsvRow } = require("./csv");
+const { signedDownloadUrl, writeStorageFile } = require("./leadExports");
+const EmailSuggest = require("./emailSuggest");
+const { LEAD_IMPORTS } = require("./config");
+
+/**
+ * Bulk lead import from a CSV uploaded to the admin/ Storage path (events,
+ * older lists). Every row goes through the same validation as a website
+ * signup and is merged into the existing lead for its address.
+ *
+ * importLeads records a job in admin/imports/jobs/{jobId}; a Firestore trigger
+ * works through the file, recording an outcome per row (accepted, merged,
+ * suppressed or rejected) under the job's `rows` subcollection. A run that nears its time
+ * limit re-queues the job, which resumes at the next row. The finished report
+ * is written to admin/imports/{jobId}-report.csv.
+ */
+
+// Recognised header names (lowercased, punctuation stripped) and their fields
+const HEADER_ALIASES = {
+  email: "email",
+  emailaddress: "email",
+  name: "name",
+  fullname: "name",
+  source: "source",
+  campaign: "campaign",
+  consent: "consent",
+  policyversion: "policyVersion"
+};
+
+const REPORT_COLUMNS = ["row", "email", "outcome", "leadId", "reason"];
+const BATCH_SIZE = 100;
+
+// Imported rows have no form, so the bot defense fields don't apply
+const importRowSchema = emailSchema
+  .fork(["formToken"], schema => schema.optional())
+  .fork(["consent"], schema => schema.truthy("yes", "y"));
+
+const importJobsCollection = () => db.collection("admin").doc("imports").collection("jobs");
+
+const rowId = (rowNumber) => String(rowNumber).padStart(6, "0");
+
+const toIso = (timestamp) => timestamp?.toDate?.()?.toISOString() || null;
+
+/**
+ * Size of an uploaded import file, or null when there is no such file.
+ */
+const describeImportFile = async (storagePath) => {
+  const file = admin.storage().bucket().file(storagePath);
+  const [exists] = await file.exists();
+  if (!exists) {
+    return null;
+  }
+  const [metadata] = await file.getMetadata();
+  return { size: Number(metadata.size) };
+};
+
+/**
+ * Queue an import job. The work happens in runImportJob.
+ *
+ * @returns {Promise<string>} Job ID
+ */
+const createImportJob = async (options, actorUid) => {
+  const jobRef = importJobsCollection().doc();
+  await jobRef.set({
+    status: "queued",
+    options,
+    nextRow: 1,
+    totalRows: null,
+    accepted: 0,
+    merged: 0,
+    suppressed: 0,
+    rejected: 0,
+    requestedBy: actorUid,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  return jobRef.id;
+};
+
+// Map the header row to field names; unknown columns are ignored
+const readHeader = (header) => header.map(name => {
+  const key = name.trim().toLowerCase().replace(/[^a-z]/g, "");
+  return HEADER_ALIASES[key] || null;
+});
+
+const rowValues = (record, columns) => {
+  const values = {};
+  columns.forEach((field, index) => {
+    const value = (record[index] || "").trim();
+    if (field && value !== "") {
+      values[field] = value;
+    }
+  });
+  return values;
+};
+
+// Sanitized address of a row, or null if it has none worth comparing
+const rowEmail = (values) => (values.email ? sanitizeEmail(values.email) || null : null);
+
+const rowRecord = (rowNumber, result) => ({
+  row: rowNumber,
+  email: result.email,
+  outcome: result.outcome,
+  leadId: result.leadId || null,
+  reason: result.reason || null
+});
+
+/**
+ * Validate one row and create or merge its lead. Suppressed addresses are
+ * reported, not imported: they asked not to be contacted. An existing lead
+ * keeps its source and consent; the row only fills in what the lead is
+ * missing, and its consent is recorded only if the row has a consent column
+ * or the job confirms consent for every row.
+ * The row's outcome commits in the same transaction as the lead, so a re-run
+ * after a crash never merges the same row twice.
+ *
+ * @returns {Promise<{ outcome: string, email: string|null, leadId?: string, reason?: string }>}
+ */
+const importRow = async (values, options, { jobId, rowRef, rowNumber }) => {
+  const { error, value } = importRowSchema.validate({
+    email: values.email,
+    name: values.name,
+    source: values.source || options.source,
+    campaign: values.campaign || options.campaign,
+    consent: values.consent ?? (options.consent ? true : undefined),
+    policyVersion: values.policyVersion || options.policyVersion
+  });
+  if (error) {
+    return { outcome: "rejected", email: values.email || null, reason: error.details[0].message };
+  }
+
+  const sanitizedEmail = sanitizeEmail(value.email);
+  if (!sanitizedEmail) {
+    return { outcome: "rejected", email: value.email, reason: "Invalid email format" };
+  }
+  if (!(await validateEmailDomain(sanitizedEmail))) {
+    return { outcome: "rejected", email: sanitizedEmail, reason: "Blocked email domain" };
+  }
+  if (await isSuppressed(sanitizedEmail)) {
+    return { outcome: "suppressed", email: sanitizedEmail, reason: "Address has unsubscribed" };
+  }
+
+  // No one to ask about a likely typo, so the lead is tagged instead
+  const suggestion = EmailSuggest.suggest(sanitizedEmail);
+
+  const consentEntry = {
+    action: "accept",
+    channel: "import",
+    policyVersion: value.policyVersion,
+    ip: null,
+    userAgent: null
+  };
+
+  const leadData = {
+    email: sanitizedEmail,
+    name: value.name || null,
+    source: value.source,
+    campaign: value.campaign || null,
+    metadata: { importJobId: jobId },
+    ip: null,
+    userAgent: "",
+    firstTouch: null,
+    lastTouch: null,
+    timestamp: admin.firestore.FieldValue.serverTimestamp(),
+    status: "pending",
+    consent: consentSummary("granted", value.policyVersion),
+    likelyTypo: suggestion ? { suggestion: suggestion.full } : null
+  };
+
+  const leadId = leadRefForEmail(sanitizedEmail).id;
+  let outcome = null;
+  const { leadRef, lead } = await upsertLead(leadData, consentEntry, {
+    fillEmpty: true,
+    updateConsent: values.consent !== undefined || options.consent,
+    onWrite: (transaction, { isNew }) => {
+      outcome = isNew ? "accepted" : "merged";
+      transaction.set(rowRef, rowRecord(rowNumber, { outcome, email: sanitizedEmail, leadId }));
+    }
+  });
+
+  // Only leads still waiting on a confirmation get one; an unsubscribed lead
+  // is never emailed by an import
+  if (options.sendConfirmations &&
+    (outcome === "accepted" || UNCONFIRMED_STATUSES.includes(lead.status))) {
+    await sendConfirmation(leadRef);
+  }
+
+  return { outcome, email: sanitizedEmail, leadId };
+};
+
+// Stream the per-row outcomes to a CSV report in Storage
+const writeReport = async (jobRef) => {
+  const reportPath = `admin/imports/${jobRef.id}-report.csv`;
+  const file = admin.storage().bucket().file(reportPath);
+
+  await writeStorageFile(file, "text/csv; charset=utf-8", async (write) => {
+    await write(`${REPORT_COLUMNS.join(",")}\r\n`);
+
+    let lastDoc = null;
+    for (;;) {
+      let query = jobRef.collection("rows")
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(500);
+      if (lastDoc) {
+        query = query.startAfter(lastDoc);
+      }
+
+      const snapshot = await query.get();
+      for (const doc of snapshot.docs) {
+        await write(formatCsvRow(REPORT_COLUMNS, doc.data()));
+      }
+      if (snapshot.size < 500) {
+        break;
+      }
+      lastDoc = snapshot.docs[snapshot.size - 1];
+    }
+  });
+
+  return reportPath;
+};
+
+// Outcomes already recorded for rows first..last, by row number
+const recordedRows = async (jobRef, first, last) => {
+  const snapshot = await jobRef.collection("rows")
+    .where(admin.firestore.FieldPath.documentId(), ">=", rowId(first))
+    .where(admin.firestore.FieldPath.documentId(), "<=", rowId(last))
+    .get();
+  return new Map(snapshot.docs.map(doc => [doc.data().row, doc.data()]));
+};
+
+// Move a queued job to running; false if another run already picked it up
+const claimImportJob = async (jobRef) => {
+  return db.runTransaction(async (transaction) => {
+    const jobDoc = await transaction.get(jobRef);
+    if (!jobDoc.exists || jobDoc.data().status !== "queued") {
+      return false;
+    }
+
+    const update = { status: "running", runs: admin.firestore.FieldValue.increment(1) };
+    if (!jobDoc.data().startedAt) {
+      update.startedAt = admin.firestore.FieldValue.serverTimestamp();
+    }
+    transaction.update(jobRef, update);
+    return true;
+  });
+};
+
+/**
+ * Work through an import job from its next unprocessed row. Stops at the
+ * deadline and re-queues the job, so the trigger picks it up again.
+ *
+ * @returns {Promise<object|null>} Progress, or null if the job wasn't queued
+ */
+const runImportJob = async (jobRef, { deadline } = {}) => {
+  if (!(await claimImportJob(jobRef))) {
+    return null;
+  }
+
+  const job = (await jobRef.get()).data();
+
+  try {
+    const [content] = await admin.storage().bucket().file(job.options.storagePath).download();
+    const records = parseCsv(content.toString("utf8"));
+    const columns = records.length ? readHeader(records[0]) : [];
+
+    if (!columns.includes("email")) {
+      throw new Error("The file needs a header row with an email column");
+    }
+    if (records.length - 1 > LEAD_IMPORTS.maxRows) {
+      throw new Error(`The file has more than ${LEAD_IMPORTS.maxRows} rows`);
+    }
+
+    // Row numbers match the spreadsheet, header included. Earlier rows are
+    // re-read (without any writes) so duplicates are caught across runs.
+    const firstRowByEmail = new Map();
+    for (let index = 1; index < job.nextRow; index++) {
+      const email = rowEmail(rowValues(records[index], columns));
+      if (email && !firstRowByEmail.has(email)) {
+        firstRowByEmail.set(email, index + 1);
+      }
+    }
+
+    let index = job.nextRow;
+    while (index < records.length) {
+      const batch = db.batch();
+      const counts = { accepted: 0, merged: 0, suppressed: 0, rejected: 0 };
+      const end = Math.min(index + BATCH_SIZE, records.length);
+      // Rows a crashed run already merged keep the outcome stored with their lead
+      const recorded = await recordedRows(jobRef, index + 1, end);
+
+      for (; index < end; index++) {
+        const rowNumber = index + 1;
+        const values = rowValues(records[index], columns);
+        const email = rowEmail(values);
+        const rowRef = jobRef.collection("rows").doc(rowId(rowNumber));
+
+        let result;
+        if (email && firstRowByEmail.has(email)) {
+          result = {
+            outcome: "rejected",
+            email,
+            reason: `Duplicate of row ${firstRowByEmail.get(email)}`
+          };
+        } else {
+          if (email) {
+            firstRowByEmail.set(email, rowNumber);
+          }
+          result = recorded.get(rowNumber) ||
+            await importRow(values, job.options, { jobId: jobRef.id, rowRef, rowNumber });
+        }
+
+        counts[result.outcome] += 1;
+        batch.set(rowRef, rowRecord(rowNumber, result));
+      }
+
+      batch.update(jobRef, {
+        nextRow: index,
+        totalRows: records.length - 1,
+        accepted: admin.firestore.FieldValue.increment(counts.accepted),
+        merged: admin.firestore.FieldValue.increment(counts.merged),
+        suppressed: admin.firestore.FieldValue.increment(counts.suppressed),
+        rejected: admin.firestore.FieldValue.increment(counts.rejected)
+      });
+      await batch.commit();
+
+      if (deadline && Date.now() > deadline && index < records.length) {
+        await jobRef.update({ status: "queued" });
+        return { done: false, nextRow: index };
+      }
+    }
+
+    const reportPath = await writeReport(jobRef);
+    await jobRef.update({
+      status: "completed",
+      totalRows: records.length - 1,
+      reportPath,
+      completedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    const summary = (await jobRef.get()).data();
+    await logAnalyticsEvent("lead_import_completed", {
+      jobId: jobRef.id,
+      totalRows: summary.totalRows,
+      accepted: summary.accepted,
+      merged: summary.merged,
+      suppressed: summary.suppressed,
+      rejected: summary.rejected
+    });
+
+    return { done: true, reportPath };
+  } catch (error) {
+    await jobRef.update({
+      status: "failed",
+      error: error.message,
+      completedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    throw error;
+  }
+};
+
+/**
+ * Import progress for the admin UI, with the rejected rows so far and, once
+ * finished, a short-lived link to the full report.
+ */
+const getImportJob = async (jobId) => {
+  const jobRef = importJobsCollection().doc(jobId);
+  const jobDoc = await jobRef.get();
+  if (!jobDoc.exists) {
+    return null;
+  }
+
+  const job = jobDoc.data();
+  const rejectedSnapshot = await jobRef.collection("rows")
+    .where("outcome", "==", "rejected")
+    .orderBy("row")
+    .limit(100)
+    .get();
+
+  const result = {
+    jobId,
+    status: job.status,
+    storagePath: job.options.storagePath,
+    totalRows: job.totalRows,
+    processedRows: job.nextRow - 1,
+    accepted: job.accepted,
+    merged: job.merged,
+    suppressed: job.suppressed || 0,
+    rejected: job.rejected,
+    rejectedRows: rejectedSnapshot.docs.map(doc => doc.data()),
+    error: job.error || null,
+    createdAt: toIso(job.createdAt),
+    completedAt: toIso(job.completedAt),
+    reportUrl: null,
+    reportUrlExpiresAt: null
+  };
+
+  if (job.status === "completed") {
+    const download = await signedDownloadUrl(job.reportPath);
+    result.reportUrl = download.url;
+    result.reportUrlExpiresAt = download.expiresAt;
+  }
+
+  return result;
+};
+
+/**
+ * Remove an address from import results, for an erasure request. Its row
+ * outcomes are kept, so a re-run batch still skips them, but lose the address
+ * and lead ID. Finished imports that listed it get their report rewritten and
+ * their uploaded file deleted.
+ *
+ * @returns {Promise<{ scrubbedRows: number, rewrittenReports: number, deletedUploads: number }>}
+ */
+const eraseImportRows = async (email) => {
+  const result = { scrubbedRows: 0, rewrittenReports: 0, deletedUploads: 0 };
+  const jobsSnapshot = await importJobsCollection().get();
+
+  for (const jobDoc of jobsSnapshot.docs) {
+    const rowsSnapshot = await jobDoc.ref.collection("rows").where("email", "==", email).get();
+    if (rowsSnapshot.empty) {
+      continue;
+    }
+
+    for (let start = 0; start < rowsSnapshot.size; start += 500) {
+      const batch = db.batch();
+      rowsSnapshot.docs.slice(start, start + 500).forEach(doc => {
+        batch.update(doc.ref, { email: null, leadId: null });
+      });
+      await batch.commit();
+    }
+    result.scrubbedRows += rowsSnapshot.size;
+
+    const job = jobDoc.data();
+    if (job.status !== "completed" && job.status !== "failed") {
+      continue;
+    }
+    if (job.reportPath) {
+      await writeReport(jobDoc.ref);
+      result.rewrittenReports += 1;
+    }
+    if (job.options?.storagePath) {
+      await admin.storage().bucket().file(job.options.storagePath)
+        .delete({ ignoreNotFound: true });
+      result.deletedUploads += 1;
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  HEADER_ALIASES,
+  describeImportFile,
+  createImportJob,
+  runImportJob,
+  getImportJob,
+  eraseImportRows
+};
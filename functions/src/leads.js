@@ -0,0 +1,318 @@
+const { admin, db } = require("./firebase");
+const { hashEmail } = require("./validation");
+const { appendConsent, consentLedger } = require("./consent");
+const {
+  reserveReferralCode,
+  claimReferralCode,
+  findReferrer,
+  queueScoreFor,
+  referralCodeRef
+} = require("./referrals");
+
+/**
+ * Leads are keyed by a hash of the sanitized email, so a second signup for
+ * the same address always lands on the same document.
+ */
+
+const leadIdForEmail = (email) => hashEmail(email);
+
+const leadRefForEmail = (email) => db.collection("email_leads").doc(leadIdForEmail(email));
+
+/**
+ * Look up a lead by ID, following IDs of duplicates merged by migrateLeadIds.
+ * Links in emails sent before the migration still carry the old IDs.
+ */
+const resolveLeadRef = async (leadId) => {
+  const leadRef = db.collection("email_leads").doc(leadId);
+  if ((await leadRef.get()).exists) {
+    return leadRef;
+  }
+
+  const mergedQuery = await db
+    .collection("email_leads")
+    .where("mergedLeadIds", "array-contains", leadId)
+    .limit(1)
+    .get();
+
+  return mergedQuery.empty ? leadRef : mergedQuery.docs[0].ref;
+};
+
+// Running count of signups, so every lead gets a permanent waitlist number
+const waitlistCounterRef = () => db.collection("admin").doc("waitlist");
+
+/**
+ * Read the next free waitlist number. Reads only, so it must run before the
+ * transaction's first write; record it with claimWaitlistNumber.
+ * One shared counter caps signups at roughly one per second, which is far
+ * above what the waitlist sees.
+ */
+const reserveWaitlistNumber = async (transaction) => {
+  const counterDoc = await transaction.get(waitlistCounterRef());
+  return (counterDoc.exists ? counterDoc.data().lastNumber || 0 : 0) + 1;
+};
+
+const claimWaitlistNumber = (transaction, waitlistNumber) => {
+  transaction.set(waitlistCounterRef(), {
+    lastNumber: waitlistNumber,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+};
+
+/**
+ * Create a lead or record a repeat signup, atomically.
+ * Repeat signups never change the stored status; callers decide what to do
+ * with it (e.g. resend a confirmation) from the returned lead.
+ * New leads get the next waitlist number, their own referral code and, if they
+ * arrived through someone else's code, a `referredBy` link (credited on
+ * confirmation).
+ *
+ * @param {object} options - { referralCode } the code the signup arrived with;
+ *   { fillEmpty } to only fill in fields an existing lead is missing, keeping
+ *   its consent unless { updateConsent } (imports); { onWrite(transaction,
+ *   { isNew }) } for writes that must commit with the lead
+ * @returns {Promise<{ leadRef: object, isNew: boolean, lead: object }>}
+ */
+const upsertLead = async (leadData, consentEntry, {
+  referralCode = null,
+  fillEmpty = false,
+  updateConsent = !fillEmpty,
+  onWrite = null
+} = {}) => {
+  const leadRef = leadRefForEmail(leadData.email);
+
+  return db.runTransaction(async (transaction) => {
+    const leadDoc = await transaction.get(leadRef);
+    const existing = leadDoc.exists ? leadDoc.data() : null;
+
+    // All reads happen before the first write
+    const ownCode = existing?.referralCode || await reserveReferralCode(transaction);
+    const referrerRef = existing
+      ? null
+      : await findReferrer(transaction, referralCode, leadRef.id);
+    const waitlistNumber = existing?.waitlistNumber || await reserveWaitlistNumber(transaction);
+
+    if (!existing) {
+      const lead = {
+        ...leadData,
+        isNew: true,
+        subscriptionCount: 1,
+        referralCode: ownCode,
+        referralCount: 0,
+        referredBy: referrerRef ? referrerRef.id : null,
+        waitlistNumber,
+        queueScore: Date.now()
+      };
+      transaction.set(leadRef, lead);
+      claimReferralCode(transaction, ownCode, leadRef.id);
+      claimWaitlistNumber(transaction, waitlistNumber);
+      await appendConsent(transaction, leadRef, consentEntry);
+      if (onWrite) {
+        onWrite(transaction, { isNew: true });
+      }
+      return { leadRef, isNew: true, lead };
+    }
+
+    // A signup's own values win; a fill-only merge keeps what the lead has
+    const [preferred, fallback] = fillEmpty ? [existing, leadData] : [leadData, existing];
+    const update = {
+      lastSubscription: admin.firestore.FieldValue.serverTimestamp(),
+      subscriptionCount: admin.firestore.FieldValue.increment(1),
+      source: preferred.source || fallback.source,
+      campaign: preferred.campaign || fallback.campaign,
+      metadata: { ...fallback.metadata, ...preferred.metadata },
+      name: preferred.name || fallback.name || null,
+      // The first touch is kept from the original signup; the last touch moves on
+      firstTouch: existing.firstTouch || leadData.firstTouch || null,
+      lastTouch: preferred.lastTouch || fallback.lastTouch || null
+    };
+    if (updateConsent) {
+      update.consent = leadData.consent;
+    }
+
+    // Leads from before the referral program get a code on their next signup
+    if (!existing.referralCode) {
+      update.referralCode = ownCode;
+      update.queueScore = queueScoreFor(existing);
+      claimReferralCode(transaction, ownCode, leadRef.id);
+    }
+    // Leads from before waitlist numbers join the end of the numbering
+    if (!existing.waitlistNumber) {
+      update.waitlistNumber = waitlistNumber;
+      claimWaitlistNumber(transaction, waitlistNumber);
+    }
+
+    transaction.update(leadRef, update);
+    if (updateConsent) {
+      await appendConsent(transaction, leadRef, consentEntry);
+    }
+    if (onWrite) {
+      onWrite(transaction, { isNew: false });
+    }
+
+    return {
+      leadRef,
+      isNew: false,
+      lead: { ...existing, referralCode: ownCode, waitlistNumber }
+    };
+  });
+};
+
+// When merging duplicates, the "strongest" status wins. An unsubscribe must
+// never be lost, nor an admin block; an invite outranks a confirmation, and a
+// confirmation outranks a pending signup.
+const STATUS_PRECEDENCE = [
+  "unsubscribed", "blocked", "invited", "confirmed", "active", "pending", "expired"
+];
+
+const statusRank = (status) => {
+  const rank = STATUS_PRECEDENCE.indexOf(status);
+  return rank === -1 ? STATUS_PRECEDENCE.length : rank;
+};
+
+const toMillis = (timestamp) => timestamp?.toMillis?.() || 0;
+
+/**
+ * Combine two lead records for the same address.
+ * The earliest signup keeps first-touch fields (timestamp, source, campaign,
+ * firstTouch); the latest keeps lastTouch;
+ * counts are summed and metadata is merged with the newer record winning.
+ */
+const mergeLeadData = (a, b) => {
+  const [first, second] = toMillis(a.timestamp) <= toMillis(b.timestamp) ? [a, b] : [b, a];
+  const strongest = statusRank(a.status) <= statusRank(b.status) ? a : b;
+  const latestConsent = toMillis(a.consent?.updatedAt) >= toMillis(b.consent?.updatedAt)
+    ? a.consent
+    : b.consent;
+
+  const merged = {
+    ...second,
+    ...first,
+    metadata: { ...first.metadata, ...second.metadata },
+    name: second.name || first.name || null,
+    subscriptionCount: (a.subscriptionCount || 1) + (b.subscriptionCount || 1),
+    lastSubscription: second.lastSubscription || second.timestamp || null,
+    lastTouch: second.lastTouch || first.lastTouch || null,
+    status: strongest.status,
+    mergedLeadIds: [...(a.mergedLeadIds || []), ...(b.mergedLeadIds || [])]
+  };
+
+  const statusFields = [
+    "confirmedAt", "confirmation", "invitedAt", "invite", "unsubscribedAt", "unsubscribeMethod"
+  ];
+  statusFields.forEach(field => {
+    if (strongest[field] !== undefined) {
+      merged[field] = strongest[field];
+    }
+  });
+  if (latestConsent) {
+    merged.consent = latestConsent;
+  }
+
+  return merged;
+};
+
+/**
+ * Move a lead stored under a legacy auto-generated ID to its hash-based ID,
+ * merging it into the canonical document (and moving its consent ledger)
+ * if one already exists. Its referral code and the leads it referred are
+ * pointed at the new ID, so later credit doesn't go to the deleted document.
+ */
+const migrateLeadDoc = async (legacyRef) => {
+  return db.runTransaction(async (transaction) => {
+    const legacyDoc = await transaction.get(legacyRef);
+    if (!legacyDoc.exists) {
+      return "skipped";
+    }
+
+    const legacy = legacyDoc.data();
+    const canonicalRef = leadRefForEmail(legacy.email);
+    if (canonicalRef.id === legacyRef.id) {
+      return "skipped";
+    }
+
+    const canonicalDoc = await transaction.get(canonicalRef);
+    const ledgerSnapshot = await transaction.get(consentLedger(legacyRef));
+    const codeDoc = legacy.referralCode
+      ? await transaction.get(referralCodeRef(legacy.referralCode))
+      : null;
+    const referredSnapshot = await transaction.get(
+      db.collection("email_leads").where("referredBy", "==", legacyRef.id)
+    );
+
+    const legacyWithId = {
+      ...legacy,
+      mergedLeadIds: [...(legacy.mergedLeadIds || []), legacyRef.id]
+    };
+    const outcome = canonicalDoc.exists ? "merged" : "moved";
+    const lead = canonicalDoc.exists
+      ? mergeLeadData(canonicalDoc.data(), legacyWithId)
+      : legacyWithId;
+    if (lead.referredBy === legacyRef.id) {
+      lead.referredBy = null;
+    }
+
+    transaction.set(canonicalRef, lead);
+    ledgerSnapshot.docs.forEach(entry => {
+      transaction.set(consentLedger(canonicalRef).doc(entry.id), entry.data());
+      transaction.delete(entry.ref);
+    });
+    // A merged lead keeps one code; the other still resolves for old share links
+    if (codeDoc?.exists) {
+      transaction.update(codeDoc.ref, { leadId: canonicalRef.id });
+    }
+    referredSnapshot.docs
+      .filter(doc => doc.id !== canonicalRef.id)
+      .forEach(doc => transaction.update(doc.ref, { referredBy: canonicalRef.id }));
+    transaction.delete(legacyRef);
+
+    return outcome;
+  });
+};
+
+/**
+ * Page through email_leads and rekey every legacy document.
+ * Resumable: pass the returned cursor back in until `done` is true.
+ */
+const migrateLeadIds = async ({ startAfter = null, pageSize = 200, deadline } = {}) => {
+  const result = { processed: 0, moved: 0, merged: 0, cursor: startAfter, done: false };
+
+  for (;;) {
+    let query = db
+      .collection("email_leads")
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(pageSize);
+    if (result.cursor) {
+      query = query.startAfter(result.cursor);
+    }
+
+    const snapshot = await query.get();
+    if (snapshot.empty) {
+      result.done = true;
+      return result;
+    }
+
+    for (const doc of snapshot.docs) {
+      const outcome = await migrateLeadDoc(doc.ref);
+      if (outcome !== "skipped") {
+        result[outcome] += 1;
+      }
+      result.processed += 1;
+      result.cursor = doc.id;
+    }
+
+    if (deadline && Date.now() > deadline) {
+      return result;
+    }
+  }
+};
+
+module.exports = {
+  leadIdForEmail,
+  leadRefForEmail,
+  resolveLeadRef,
+  reserveWaitlistNumber,
+  claimWaitlistNumber,
+  upsertLead,
+  mergeLeadData,
+  migrateLeadIds
+};
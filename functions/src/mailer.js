@@ -0,0 +1,23 @@
+const { admin, db } = require("./firebase");
+
+/**
+ * Queue an email for delivery.
+ * Documents in the `mail` collection are picked up by the Firebase
+ * "Trigger Email" extension, which handles SMTP delivery and retries.
+ */
+const queueEmail = async (to, { subject, text, html, headers }) => {
+  const message = { subject, text, html };
+  if (headers) {
+    message.headers = headers;
+  }
+
+  const docRef = await db.collection("mail").add({
+    to,
+    message,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return docRef.id;
+};
+
+module.exports = { queueEmail };
@@ -0,0 +1,19 @@
+const { SITE_URL } = require("./config");
+
+// Minimal standalone HTML page for links opened straight from an email
+const renderPage = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex">
+  <title>${title} | High Leverage Humans</title>
+</head>
+<body style="font-family: Inter, sans-serif; max-width: 480px; margin: 80px auto; padding: 0 24px;">
+  <h1>${title}</h1>
+  ${body}
+  <p><a href="${SITE_URL}">Back to High Leverage Humans</a></p>
+</body>
+</html>`;
+
+module.exports = { renderPage };
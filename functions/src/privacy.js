@@ -0,0 +1,508 @@
+const express = require("express");
+const Joi = require("joi");
+const { admin, db } = require("./firebase");
+const { logAnalyticsEvent, pseudonymizeEmail } = require("./analytics");
+const { rateLimiterMiddleware } = require("./rateLimit");
+const { queueEmail } = require("./mailer");
+const { createToken, verifyToken } = require("./tokens");
+const { sanitizeEmail, hashEmail } = require("./validation");
+const { renderPage } = require("./pages");
+const { consentLedger } = require("./consent");
+const { engagementRef } = require("./scoring");
+const { eraseImportRows } = require("./leadImport");
+const { purgeSubjectExports } = require("./leadExports");
+const { redactAuditEmail } = require("./audit");
+const { serializeValue } = require("./serialize");
+const { API_BASE_URL, PRIVACY_REQUEST_TTL_HOURS } = require("./config");
+
+/**
+ * Data subject requests (GDPR access and erasure).
+ * The requester proves they own the address by following a signed link sent to it;
+ * only then is data exported or an erasure job queued.
+ */
+
+const PRIVACY_PURPOSE = "privacy_request";
+const REQUEST_TYPES = ["export", "erasure"];
+
+const privacyRequestSchema = Joi.object({
+  email: Joi.string()
+    .email({ tlds: { allow: true } })
+    .max(254)
+    .required()
+    .messages({
+      "string.email": "Please provide a valid email address",
+      "any.required": "Email address is required"
+    }),
+  type: Joi.string()
+    .valid(...REQUEST_TYPES)
+    .required()
+    .messages({
+      "any.only": "Request type must be \"export\" or \"erasure\"",
+      "any.required": "Request type is required"
+    })
+});
+
+const findLeadDocs = async (email) => {
+  const snapshot = await db.collection("email_leads").where("email", "==", email).get();
+  return snapshot.docs;
+};
+
+// Current lead IDs plus the IDs of any duplicates merged into them
+const collectLeadIds = (leadDocs) => {
+  return leadDocs.flatMap(doc => [doc.id, ...(doc.data().mergedLeadIds || [])]);
+};
+
+// Analytics events reference a subject by pseudonymous subject ID or lead ID.
+// Events logged before pseudonymization may still carry the raw email.
+const findEventDocs = async (email, leadIds) => {
+  const queries = [
+    db.collection("analytics_events")
+      .where("parameters.subjectId", "==", pseudonymizeEmail(email))
+      .get(),
+    db.collection("analytics_events").where("parameters.email", "==", email).get(),
+    ...leadIds.map(leadId => {
+      return db.collection("analytics_events").where("parameters.leadId", "==", leadId).get();
+    })
+  ];
+
+  const byId = new Map();
+  (await Promise.all(queries)).forEach(snapshot => {
+    snapshot.docs.forEach(doc => byId.set(doc.id, doc));
+  });
+  return Array.from(byId.values());
+};
+
+/**
+ * Gather everything we hold about an email address.
+ */
+const collectSubjectData = async (email) => {
+  const leadDocs = await findLeadDocs(email);
+  const eventDocs = await findEventDocs(email, collectLeadIds(leadDocs));
+  const suppressionDoc = await db.collection("email_suppressions").doc(hashEmail(email)).get();
+
+  const leads = await Promise.all(leadDocs.map(async (doc) => {
+    const [ledgerSnapshot, engagementDoc] = await Promise.all([
+      consentLedger(doc.ref).orderBy("timestamp").get(),
+      engagementRef(doc.id).get()
+    ]);
+    return {
+      id: doc.id,
+      ...serializeValue(doc.data()),
+      consentLedger: ledgerSnapshot.docs.map(entry => serializeValue(entry.data())),
+      siteEngagement: engagementDoc.exists ? serializeValue(engagementDoc.data()) : null
+    };
+  }));
+
+  return {
+    email,
+    exportedAt: new Date().toISOString(),
+    leads,
+    analyticsEvents: eventDocs.map(doc => ({ id: doc.id, ...serializeValue(doc.data()) })),
+    suppression: suppressionDoc.exists ? serializeValue(suppressionDoc.data()) : null
+  };
+};
+
+// Apply a per-document write to every result of a query, 500 at a time
+const commitInBatches = async (docs, apply) => {
+  for (let i = 0; i < docs.length; i += 500) {
+    const batch = db.batch();
+    docs.slice(i, i + 500).forEach(doc => apply(batch, doc));
+    await batch.commit();
+  }
+};
+
+// Strip the address and IP from the subject's other privacy requests; any still
+// waiting on a link are cancelled, as there is nothing left to act on
+const scrubOtherRequests = async (email, requestId) => {
+  const snapshot = await db.collection("privacy_requests")
+    .where("emailHash", "==", hashEmail(email))
+    .get();
+  const others = snapshot.docs.filter(doc => doc.id !== requestId);
+
+  await commitInBatches(others, (batch, doc) => {
+    const update = {
+      email: admin.firestore.FieldValue.delete(),
+      ip: admin.firestore.FieldValue.delete()
+    };
+    if (["awaiting_verification", "verified"].includes(doc.data().status)) {
+      update.status = "cancelled";
+    }
+    batch.update(doc.ref, update);
+  });
+  return others.length;
+};
+
+/**
+ * Delete the subject's leads (with their consent ledgers, referral codes and
+ * engagement counts),
+ * analytics events and queued mail.
+ * Legacy events that only share the subject's raw IP address (not their identity)
+ * are kept with the IP scrubbed; newer events only hold truncated/hashed IPs.
+ * A hashed suppression entry, if any, is retained so we keep honouring an
+ * earlier unsubscribe.
+ * Copies held elsewhere go too: the address is scrubbed from other privacy
+ * requests, import rows and reports, and audit metadata, and export files
+ * that may list the subject's leads are deleted.
+ *
+ * @param {string} email
+ * @param {object} [options] - `requestId` of the erasure request, left for the caller
+ */
+const eraseSubjectData = async (email, { requestId = null } = {}) => {
+  const leadDocs = await findLeadDocs(email);
+  const leadIds = collectLeadIds(leadDocs);
+  const eventDocs = await findEventDocs(email, leadIds);
+  const eventIds = new Set(eventDocs.map(doc => doc.id));
+
+  const ips = new Set();
+  leadDocs.forEach(doc => {
+    const lead = doc.data();
+    [lead.ip, lead.confirmationIp].filter(Boolean).forEach(ip => ips.add(ip));
+  });
+
+  const ipEventDocs = [];
+  for (const ip of ips) {
+    const snapshot = await db.collection("analytics_events").where("parameters.ip", "==", ip).get();
+    snapshot.docs
+      .filter(doc => !eventIds.has(doc.id))
+      .forEach(doc => ipEventDocs.push(doc));
+  }
+
+  const mailSnapshot = await db.collection("mail").where("to", "==", email).get();
+
+  const ledgerDocs = [];
+  for (const leadDoc of leadDocs) {
+    const ledgerSnapshot = await consentLedger(leadDoc.ref).get();
+    ledgerDocs.push(...ledgerSnapshot.docs);
+  }
+
+  await commitInBatches(eventDocs, (batch, doc) => batch.delete(doc.ref));
+  await commitInBatches(ipEventDocs, (batch, doc) => {
+    batch.update(doc.ref, { "parameters.ip": admin.firestore.FieldValue.delete() });
+  });
+  await commitInBatches(mailSnapshot.docs, (batch, doc) => batch.delete(doc.ref));
+  await commitInBatches(ledgerDocs, (batch, doc) => batch.delete(doc.ref));
+  await commitInBatches(leadDocs, (batch, doc) => {
+    const { referralCode } = doc.data();
+    if (referralCode) {
+      batch.delete(db.collection("referral_codes").doc(referralCode));
+    }
+    batch.delete(engagementRef(doc.id));
+    batch.delete(doc.ref);
+  });
+
+  const suppressionRef = db.collection("email_suppressions").doc(hashEmail(email));
+  if ((await suppressionRef.get()).exists) {
+    await suppressionRef.update({ leadId: null });
+  }
+
+  const scrubbedRequests = await scrubOtherRequests(email, requestId);
+  const imports = await eraseImportRows(email);
+  const exports = await purgeSubjectExports(leadDocs.map(doc => doc.data()));
+  const redactedAuditEntries = await redactAuditEmail(email);
+
+  return {
+    leadIds,
+    deletedLeads: leadDocs.length,
+    deletedEvents: eventDocs.length,
+    scrubbedEvents: ipEventDocs.length,
+    deletedMail: mailSnapshot.size,
+    deletedConsentEntries: ledgerDocs.length,
+    scrubbedRequests,
+    ...imports,
+    ...exports,
+    redactedAuditEntries
+  };
+};
+
+const buildVerificationEmail = (type, verifyUrl) => {
+  const action = type === "export"
+    ? "download a copy of the data we hold about you"
+    : "permanently delete the data we hold about you";
+  const subject = type === "export"
+    ? "Your High Leverage Humans data export request"
+    : "Your High Leverage Humans data deletion request";
+  const text = [
+    `We received a request to ${action}.`,
+    "",
+    "To confirm it was you, open the link below:",
+    verifyUrl,
+    "",
+    `This link expires in ${PRIVACY_REQUEST_TTL_HOURS} hours.`,
+    "If you did not make this request, you can ignore this email."
+  ].join("\n");
+  const html = `
+    <p>We received a request to ${action}.</p>
+    <p><a href="${verifyUrl}">Confirm this request</a></p>
+    <p>This link expires in ${PRIVACY_REQUEST_TTL_HOURS} hours.
+    If you did not make this request, you can ignore this email.</p>
+  `;
+
+  return { subject, text, html };
+};
+
+// Load and validate the request referenced by a verification token
+const loadVerifiedRequest = async (token, type) => {
+  const result = verifyToken(token, PRIVACY_PURPOSE);
+  if (!result.valid) {
+    return { error: result.reason };
+  }
+
+  const requestRef = db.collection("privacy_requests").doc(result.claims.rid);
+  const requestDoc = await requestRef.get();
+  if (!requestDoc.exists || requestDoc.data().type !== type) {
+    return { error: "invalid" };
+  }
+
+  return { requestRef, request: requestDoc.data() };
+};
+
+const LINK_ERRORS = {
+  expired: "This link has expired. Please submit a new request.",
+  used: "This link has already been used. Please submit a new request."
+};
+
+const renderLinkError = (res, reason) => {
+  const message = LINK_ERRORS[reason] ||
+    "This link is invalid. Please use the link from your most recent email.";
+  res.status(400).send(renderPage("Link not recognised", `<p>${message}</p>`));
+};
+
+const router = express.Router();
+
+// Start a data subject request - sends a verification link to the address
+router.post("/privacy/requests", rateLimiterMiddleware, async (req, res) => {
+  try {
+    const { error, value } = privacyRequestSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const email = sanitizeEmail(value.email);
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid email format"
+      });
+    }
+
+    // Only email addresses we actually hold data for
+    const leadDocs = await findLeadDocs(email);
+    if (leadDocs.length > 0) {
+      const requestRef = await db.collection("privacy_requests").add({
+        type: value.type,
+        email,
+        emailHash: hashEmail(email),
+        status: "awaiting_verification",
+        ip: req.ip,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      const ttlSeconds = PRIVACY_REQUEST_TTL_HOURS * 60 * 60;
+      const token = createToken(PRIVACY_PURPOSE, { rid: requestRef.id }, ttlSeconds);
+      const path = value.type === "export" ? "export" : "erase";
+      const verifyUrl = `${API_BASE_URL}/privacy/${path}?token=${encodeURIComponent(token)}`;
+
+      await queueEmail(email, buildVerificationEmail(value.type, verifyUrl));
+      await logAnalyticsEvent("privacy_request_created", {
+        type: value.type,
+        requestId: requestRef.id
+      });
+    }
+
+    // Same response either way, so the endpoint can't be used to probe the list
+    res.status(202).json({
+      success: true,
+      message: "If we hold data for that address, a verification link is on its way."
+    });
+  } catch (error) {
+    console.error("Privacy request error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error. Please try again."
+    });
+  }
+});
+
+// Mark an export request used, so its link downloads only once
+const claimExportRequest = (requestRef) => db.runTransaction(async (transaction) => {
+  const requestDoc = await transaction.get(requestRef);
+  if (requestDoc.data()?.status !== "awaiting_verification") {
+    return false;
+  }
+  transaction.update(requestRef, {
+    status: "completed",
+    completedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  return true;
+});
+
+// Export download page. Like erasure, GET never changes state because mail
+// scanners prefetch links; the link is used up by the POST below.
+router.get("/privacy/export", rateLimiterMiddleware, async (req, res) => {
+  try {
+    const { error, request } = await loadVerifiedRequest(req.query.token, "export");
+    if (error) {
+      return renderLinkError(res, error);
+    }
+    if (request.status !== "awaiting_verification") {
+      return renderLinkError(res, "used");
+    }
+
+    const action = `${API_BASE_URL}/privacy/export?token=${encodeURIComponent(req.query.token)}`;
+    res.status(200).send(renderPage("Download your data", `
+      <p>Download a copy of the data we hold about you, as a JSON file.
+      This link works once.</p>
+      <form method="POST" action="${action}">
+        <button type="submit">Download my data</button>
+      </form>
+    `));
+  } catch (error) {
+    console.error("Privacy export page error:", error);
+    res.status(500).send(renderPage(
+      "Something went wrong",
+      "<p>We could not load this page. Please try again shortly.</p>"
+    ));
+  }
+});
+
+// Verified export - returns everything tied to the address as a JSON download
+router.post("/privacy/export", rateLimiterMiddleware, async (req, res) => {
+  let claimed = false;
+  let requestRef = null;
+  try {
+    const verified = await loadVerifiedRequest(req.query.token, "export");
+    if (verified.error) {
+      return renderLinkError(res, verified.error);
+    }
+
+    requestRef = verified.requestRef;
+    claimed = await claimExportRequest(requestRef);
+    if (!claimed) {
+      return renderLinkError(res, "used");
+    }
+
+    const data = await collectSubjectData(verified.request.email);
+    await logAnalyticsEvent("privacy_export_completed", { requestId: requestRef.id });
+
+    res.set("Content-Disposition", "attachment; filename=\"highleveragehumans-data.json\"");
+    res.set("Cache-Control", "no-store");
+    res.status(200).json(data);
+  } catch (error) {
+    console.error("Privacy export error:", error);
+    // Nothing was sent, so the link can be tried again
+    if (claimed) {
+      await requestRef.update({
+        status: "awaiting_verification",
+        completedAt: admin.firestore.FieldValue.delete()
+      }).catch(updateError => console.error("Privacy export release error:", updateError));
+    }
+    res.status(500).send(renderPage(
+      "Something went wrong",
+      "<p>We could not prepare your export. Please try again shortly.</p>"
+    ));
+  }
+});
+
+// Erasure confirmation page. GET never changes state because mail scanners
+// prefetch links; the button below POSTs to the same URL.
+router.get("/privacy/erase", rateLimiterMiddleware, async (req, res) => {
+  try {
+    const { error } = await loadVerifiedRequest(req.query.token, "erasure");
+    if (error) {
+      return renderLinkError(res, error);
+    }
+
+    const action = `${API_BASE_URL}/privacy/erase?token=${encodeURIComponent(req.query.token)}`;
+    res.status(200).send(renderPage("Delete your data", `
+      <p>This permanently deletes your waitlist signup and related activity.
+      It cannot be undone.</p>
+      <form method="POST" action="${action}">
+        <button type="submit">Delete my data</button>
+      </form>
+    `));
+  } catch (error) {
+    console.error("Privacy erase page error:", error);
+    res.status(500).send(renderPage(
+      "Something went wrong",
+      "<p>We could not load this page. Please try again shortly.</p>"
+    ));
+  }
+});
+
+// Verified erasure - queues the erasure job
+router.post("/privacy/erase", rateLimiterMiddleware, async (req, res) => {
+  try {
+    const { error, requestRef, request } = await loadVerifiedRequest(req.query.token, "erasure");
+    if (error) {
+      return renderLinkError(res, error);
+    }
+
+    if (request.status === "awaiting_verification") {
+      await requestRef.update({
+        status: "verified",
+        verifiedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+
+    res.status(202).send(renderPage(
+      "Deletion requested",
+      "<p>Your data is being deleted. This usually completes within a few minutes.</p>"
+    ));
+  } catch (error) {
+    console.error("Privacy erase error:", error);
+    res.status(500).send(renderPage(
+      "Something went wrong",
+      "<p>We could not process your request. Please try again shortly.</p>"
+    ));
+  }
+});
+
+/**
+ * Erasure job, run when a request moves to `verified`.
+ * Writes an audit record to `admin/privacy/erasures` and removes the raw
+ * email from the request itself once done.
+ */
+const processErasureRequest = async (requestRef, request) => {
+  await requestRef.update({
+    status: "processing",
+    startedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  try {
+    const result = await eraseSubjectData(request.email, { requestId: requestRef.id });
+
+    await db.collection("admin").doc("privacy").collection("erasures").doc(requestRef.id).set({
+      requestId: requestRef.id,
+      emailHash: request.emailHash,
+      requestedAt: request.createdAt || null,
+      verifiedAt: request.verifiedAt || null,
+      completedAt: admin.firestore.FieldValue.serverTimestamp(),
+      ...result
+    });
+
+    await requestRef.update({
+      status: "completed",
+      email: admin.firestore.FieldValue.delete(),
+      ip: admin.firestore.FieldValue.delete(),
+      completedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return result;
+  } catch (error) {
+    await requestRef.update({
+      status: "failed",
+      error: error.message
+    });
+    throw error;
+  }
+};
+
+module.exports = {
+  router,
+  collectSubjectData,
+  eraseSubjectData,
+  processErasureRequest
+};
@@ -0,0 +1,144 @@
+const crypto = require("crypto");
+const { RateLimiterMemory } = require("rate-limiter-flexible");
+const { admin, db } = require("./firebase");
+const { RATE_LIMIT_POLICIES, RATE_LIMIT_STORE_TIMEOUT_MS } = require("./config");
+
+/**
+ * Rate limiting shared across function instances.
+ * Each policy is a token bucket stored in Firestore (`rate_limits`), so limits
+ * hold however far the function scales out. If the store is slow or down we
+ * fall back to a per-instance in-memory limiter rather than failing requests
+ * or dropping limits altogether.
+ */
+
+const fallbackLimiters = new Map();
+
+const getPolicy = (policyName) => {
+  const policy = RATE_LIMIT_POLICIES[policyName];
+  if (!policy) {
+    throw new Error(`Unknown rate limit policy: ${policyName}`);
+  }
+  return { burst: 0, ...policy };
+};
+
+// Keys (IPs, emails) are hashed so raw identifiers never become document IDs
+const bucketRef = (policyName, key) => {
+  const keyHash = crypto.createHash("sha256").update(String(key)).digest("hex").slice(0, 32);
+  return db.collection("rate_limits").doc(`${policyName}_${keyHash}`);
+};
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error("Rate limit store timeout")), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const consumeFromStore = (policyName, policy, key) => {
+  const ref = bucketRef(policyName, key);
+  const capacity = policy.points + policy.burst;
+  const refillPerMs = policy.points / (policy.duration * 1000);
+
+  return db.runTransaction(async (transaction) => {
+    const bucketDoc = await transaction.get(ref);
+    const now = Date.now();
+
+    let tokens = capacity;
+    if (bucketDoc.exists) {
+      const bucket = bucketDoc.data();
+      tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    }
+
+    if (tokens < 1) {
+      return {
+        allowed: false,
+        remaining: 0,
+        msBeforeNext: Math.ceil((1 - tokens) / refillPerMs)
+      };
+    }
+
+    tokens -= 1;
+    transaction.set(ref, {
+      tokens,
+      updatedAt: now,
+      // TTL policy removes buckets once they would have refilled completely
+      expiresAt: admin.firestore.Timestamp.fromMillis(
+        now + Math.ceil((capacity - tokens) / refillPerMs)
+      )
+    });
+
+    return { allowed: true, remaining: Math.floor(tokens), msBeforeNext: 0 };
+  });
+};
+
+const consumeFromFallback = async (policyName, policy, key) => {
+  if (!fallbackLimiters.has(policyName)) {
+    fallbackLimiters.set(policyName, new RateLimiterMemory({
+      points: policy.points + policy.burst,
+      duration: policy.duration
+    }));
+  }
+
+  try {
+    const res = await fallbackLimiters.get(policyName).consume(String(key));
+    return { allowed: true, remaining: res.remainingPoints, msBeforeNext: 0, fallback: true };
+  } catch (rejRes) {
+    return {
+      allowed: false,
+      remaining: 0,
+      msBeforeNext: rejRes.msBeforeNext || 1000,
+      fallback: true
+    };
+  }
+};
+
+/**
+ * Consume one request from a policy's bucket for the given key.
+ * Returns { allowed, remaining, msBeforeNext, fallback? }.
+ */
+const consumeRateLimit = async (policyName, key) => {
+  const policy = getPolicy(policyName);
+
+  try {
+    return await withTimeout(
+      consumeFromStore(policyName, policy, key),
+      RATE_LIMIT_STORE_TIMEOUT_MS
+    );
+  } catch (error) {
+    console.warn(`Rate limit store unavailable for ${policyName}, using fallback:`, error.message);
+    return consumeFromFallback(policyName, policy, key);
+  }
+};
+
+const sendRateLimited = (res, msBeforeNext) => {
+  const retryAfter = Math.round(msBeforeNext / 1000) || 1;
+  res.set("Retry-After", retryAfter);
+  res.status(429).json({
+    success: false,
+    error: "Too many requests. Please try again later.",
+    retryAfter
+  });
+};
+
+// Express middleware limiting by client IP under the given policy
+const rateLimit = (policyName) => {
+  getPolicy(policyName);
+
+  return async (req, res, next) => {
+    const result = await consumeRateLimit(policyName, req.ip || req.connection.remoteAddress);
+    if (!result.allowed) {
+      return sendRateLimited(res, result.msBeforeNext);
+    }
+    next();
+  };
+};
+
+const rateLimiterMiddleware = rateLimit("default");
+
+module.exports = {
+  rateLimit,
+  rateLimiterMiddleware,
+  consumeRateLimit,
+  sendRateLimited
+};
@@ -0,0 +1,184 @@
+const crypto = require("crypto");
+const express = require("express");
+const { admin, db } = require("./firebase");
+const { rateLimit } = require("./rateLimit");
+const { SITE_URL, REFERRALS } = require("./config");
+
+/**
+ * Referral codes for the waitlist.
+ * Every lead gets a short code, mapped to its lead ID in referral_codes/{code}.
+ * Signups that arrive with someone's code record them as `referredBy`; the
+ * referrer is only credited once the new lead confirms their email, so
+ * unconfirmed throwaway addresses can't be used to climb the queue.
+ *
+ * The queue is ordered by `queueScore` (signup time in ms, lower is earlier).
+ * Each credited referral moves the referrer `boostHours` of signups forward.
+ */
+
+// No 0/O or 1/I, so codes survive being read out or retyped
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 8;
+const MAX_CODE_ATTEMPTS = 5;
+
+const referralCodeRef = (code) => db.collection("referral_codes").doc(code);
+
+const generateReferralCode = () => {
+  let code = "";
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+};
+
+const normalizeReferralCode = (code) => {
+  if (typeof code !== "string") {
+    return null;
+  }
+  const normalized = code.trim().toUpperCase();
+  return /^[A-Z0-9]{4,16}$/.test(normalized) ? normalized : null;
+};
+
+const buildShareUrl = (code) => `${SITE_URL}/?ref=${encodeURIComponent(code)}#early-access`;
+
+// Leads created before referrals existed have no queueScore yet
+const queueScoreFor = (lead) => {
+  if (typeof lead.queueScore === "number") {
+    return lead.queueScore;
+  }
+  return lead.timestamp?.toMillis?.() || Date.now();
+};
+
+/**
+ * Pick an unused referral code. Reads only, so it must run before the
+ * transaction's first write; claim the code with claimReferralCode.
+ */
+const reserveReferralCode = async (transaction) => {
+  for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS; attempt++) {
+    const code = generateReferralCode();
+    const codeDoc = await transaction.get(referralCodeRef(code));
+    if (!codeDoc.exists) {
+      return code;
+    }
+  }
+  throw new Error("Could not allocate a unique referral code");
+};
+
+const claimReferralCode = (transaction, code, leadId) => {
+  transaction.create(referralCodeRef(code), {
+    leadId,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+};
+
+/**
+ * Resolve a referral code to the referring lead, inside a transaction.
+ * Unknown codes, self-referrals and unsubscribed referrers resolve to null.
+ *
+ * @returns {Promise<object|null>} Referrer lead reference
+ */
+const findReferrer = async (transaction, code, leadId) => {
+  const normalized = normalizeReferralCode(code);
+  if (!normalized) {
+    return null;
+  }
+
+  const codeDoc = await transaction.get(referralCodeRef(normalized));
+  if (!codeDoc.exists || codeDoc.data().leadId === leadId) {
+    return null;
+  }
+
+  const referrerRef = db.collection("email_leads").doc(codeDoc.data().leadId);
+  const referrerDoc = await transaction.get(referrerRef);
+  if (!referrerDoc.exists || referrerDoc.data().status === "unsubscribed") {
+    return null;
+  }
+
+  return referrerRef;
+};
+
+/**
+ * Load the referrer of a lead that is about to confirm, if they are still
+ * owed credit. Reads only - call before the confirm transaction's writes.
+ *
+ * @returns {Promise<object|null>} Referrer document snapshot
+ */
+const getUncreditedReferrer = async (transaction, lead) => {
+  if (!lead.referredBy || lead.referralCreditedAt) {
+    return null;
+  }
+
+  const referrerDoc = await transaction.get(db.collection("email_leads").doc(lead.referredBy));
+  return referrerDoc.exists ? referrerDoc : null;
+};
+
+// Count the referral and move the referrer up the queue
+const creditReferral = (transaction, referrerDoc, leadRef) => {
+  transaction.update(referrerDoc.ref, {
+    referralCount: admin.firestore.FieldValue.increment(1),
+    queueScore: queueScoreFor(referrerDoc.data()) - REFERRALS.boostHours * 60 * 60 * 1000,
+    lastReferralAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  transaction.update(leadRef, {
+    referralCreditedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+};
+
+// Only a first name goes on the public leaderboard, never an email
+const displayName = (lead) => {
+  const firstName = typeof lead.name === "string" ? lead.name.trim().split(/\s+/)[0] : "";
+  return firstName ? firstName.slice(0, 20) : "Anonymous";
+};
+
+const router = express.Router();
+
+// Public top-referrers list
+router.get("/referrals/leaderboard", rateLimit("leaderboard"), async (req, res) => {
+  try {
+    const requested = parseInt(req.query.limit, 10) || REFERRALS.leaderboardSize;
+    const limit = Math.min(Math.max(requested, 1), REFERRALS.maxLeaderboardSize);
+
+    // Over-fetch a little so unsubscribed referrers can be dropped
+    const snapshot = await db
+      .collection("email_leads")
+      .where("referralCount", ">", 0)
+      .orderBy("referralCount", "desc")
+      .limit(limit * 2)
+      .get();
+
+    const leaders = snapshot.docs
+      .map((doc) => doc.data())
+      .filter((lead) => lead.status !== "unsubscribed")
+      .slice(0, limit)
+      .map((lead, index) => ({
+        rank: index + 1,
+        name: displayName(lead),
+        referralCount: lead.referralCount
+      }));
+
+    res.set("Cache-Control", "public, max-age=300, s-maxage=300");
+    res.status(200).json({
+      success: true,
+      leaders,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error("Leaderboard error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Unable to fetch leaderboard"
+    });
+  }
+});
+
+module.exports = {
+  router,
+  referralCodeRef,
+  normalizeReferralCode,
+  buildShareUrl,
+  queueScoreFor,
+  reserveReferralCode,
+  claimReferralCode,
+  findReferrer,
+  getUncreditedReferrer,
+  creditReferral
+};
@@ -0,0 +1,327 @@
+const { admin, db } = require("./firebase");
+
+/**
+ * Lead scoring. Every lead gets a `score` (sum of weighted signals) and a
+ * `scoreTier`, recomputed whenever the lead is written and by a daily backfill
+ * that picks up weight changes. Weights live in `admin/lead_scoring`, on top of
+ * the defaults below, and are cached per function instance for a few minutes.
+ *
+ * Engagement counts live in `lead_engagement/{leadId}`, not on the lead, so
+ * recording a page view doesn't rewrite the lead and re-run its triggers. The
+ * daily backfill folds new engagement into the score. Only events tied to a
+ * lead count: funnel and telemetry events carry a session ID, never a lead.
+ */
+
+const DEFAULT_SCORING_CONFIG = {
+  version: 1,
+  // Points by lead source / campaign, plus a bonus for any tagged campaign
+  sources: { website: 5 },
+  campaigns: {},
+  anyCampaign: 5,
+  // Points by UTM medium / source of the signup visit (last touch)
+  utmMediums: { email: 10, social: 5, cpc: 3 },
+  utmSources: {},
+  // Signed up through someone's referral code
+  referred: 15,
+  // Confirmed referrals, capped
+  perReferral: 10,
+  maxReferralPoints: 50,
+  // Current lead status
+  statuses: {
+    invited: 25,
+    confirmed: 20,
+    active: 15,
+    pending: 0,
+    expired: -10,
+    unsubscribed: -50,
+    blocked: -100
+  },
+  // Signing up again shows intent, capped
+  perRepeatSignup: 5,
+  maxRepeatSignupPoints: 15,
+  // On-site engagement events recorded against the lead, capped
+  engagement: { status_view: 2 },
+  maxEngagementPoints: 20,
+  // Minimum score for each tier; anything below the lowest is 'cold'
+  tiers: { hot: 60, warm: 30 }
+};
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const ENGAGEMENT_EVENT_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+const scoringConfigRef = () => db.collection("admin").doc("lead_scoring");
+const engagementRef = (leadId) => db.collection("lead_engagement").doc(leadId);
+const backfillStateRef = () => db.collection("admin").doc("lead_scoring_backfill");
+
+let cache = null;
+
+const configFromDoc = (doc) => {
+  const config = { ...DEFAULT_SCORING_CONFIG, ...(doc.exists ? doc.data() : {}) };
+  delete config.updatedAt;
+  delete config.updatedBy;
+  return config;
+};
+
+const loadScoringConfig = async ({ force = false } = {}) => {
+  if (!force && cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+    return cache.config;
+  }
+
+  const config = configFromDoc(await scoringConfigRef().get());
+  cache = { config, loadedAt: Date.now() };
+  return config;
+};
+
+// UTM tags of the visit that converted (leads before attribution capture
+// only have the URL they signed up on)
+const leadUtm = (lead) => {
+  if (lead.lastTouch) {
+    return {
+      source: lead.lastTouch.source,
+      medium: lead.lastTouch.medium,
+      campaign: lead.lastTouch.campaign
+    };
+  }
+
+  try {
+    const params = new URL(lead.metadata?.url || "").searchParams;
+    return {
+      source: params.get("utm_source"),
+      medium: params.get("utm_medium"),
+      campaign: params.get("utm_campaign")
+    };
+  } catch (error) {
+    return { source: null, medium: null, campaign: null };
+  }
+};
+
+const lookup = (weights, key) => (key && weights?.[String(key).toLowerCase()]) || 0;
+
+/**
+ * Score a lead. Pure - takes the lead data and the scoring config.
+ *
+ * @returns {{ score: number, tier: string, breakdown: object }}
+ */
+const computeLeadScore = (lead, config = DEFAULT_SCORING_CONFIG) => {
+  const utm = leadUtm(lead);
+  const repeatSignups = Math.max(0, (lead.subscriptionCount || 1) - 1);
+  const engagementPoints = Object.entries(lead.engagement || {})
+    .reduce((sum, [event, count]) => sum + lookup(config.engagement, event) * (count || 0), 0);
+
+  const breakdown = {
+    source: lookup(config.sources, lead.source),
+    campaign: lookup(config.campaigns, lead.campaign) ||
+      (lead.campaign || utm.campaign ? config.anyCampaign : 0),
+    utm: lookup(config.utmMediums, utm.medium) + lookup(config.utmSources, utm.source),
+    referred: lead.referredBy ? config.referred || 0 : 0,
+    referrals: Math.min((lead.referralCount || 0) * config.perReferral, config.maxReferralPoints),
+    status: lookup(config.statuses, lead.status || "active"),
+    repeatSignups: Math.min(repeatSignups * config.perRepeatSignup, config.maxRepeatSignupPoints),
+    engagement: Math.min(engagementPoints, config.maxEngagementPoints)
+  };
+
+  const score = Object.values(breakdown).reduce((sum, points) => sum + points, 0);
+  const tier = Object.entries(config.tiers)
+    .sort(([, a], [, b]) => b - a)
+    .find(([, min]) => score >= min)?.[0] || "cold";
+
+  return { score, tier, breakdown };
+};
+
+// The lead with its engagement counts: those in lead_engagement, plus any
+// recorded on the lead itself before they moved there
+const withEngagement = (lead, engagementDoc) => {
+  const engagement = { ...(lead.engagement || {}) };
+  const recorded = engagementDoc?.exists ? engagementDoc.data().counts || {} : {};
+  Object.entries(recorded).forEach(([event, count]) => {
+    engagement[event] = (engagement[event] || 0) + count;
+  });
+  return { ...lead, engagement };
+};
+
+const scoreFields = (lead, config) => {
+  const { score, tier, breakdown } = computeLeadScore(lead, config);
+  return {
+    score,
+    scoreTier: tier,
+    scoreBreakdown: breakdown,
+    scoreVersion: config.version
+  };
+};
+
+// Compared field by field - Firestore does not keep map keys in insertion order
+const isScoreCurrent = (lead, fields) => {
+  const stored = lead.scoreBreakdown || {};
+  const breakdownKeys = Object.keys(fields.scoreBreakdown);
+
+  return lead.score === fields.score &&
+    lead.scoreTier === fields.scoreTier &&
+    lead.scoreVersion === fields.scoreVersion &&
+    Object.keys(stored).length === breakdownKeys.length &&
+    breakdownKeys.every(key => stored[key] === fields.scoreBreakdown[key]);
+};
+
+// A lead scored with newer weights than `config` (another instance loaded
+// them first) is left alone rather than scored back to the old ones
+const scoredWithNewerConfig = (lead, config) => (lead.scoreVersion || 0) > config.version;
+
+/**
+ * Recompute one lead's score from its latest data. Only writes when the score
+ * changed, so running it from the lead's own write trigger settles after one pass.
+ * If the lead was scored with newer weights than this instance has cached, the
+ * weights are reloaded first.
+ *
+ * @returns {Promise<boolean>} Whether the stored score changed
+ */
+const rescoreLead = async (leadRef, { config: freshConfig = null } = {}) => {
+  const config = freshConfig || await loadScoringConfig();
+
+  const outcome = await db.runTransaction(async (transaction) => {
+    const [leadDoc, engagementDoc] = await transaction.getAll(
+      leadRef, engagementRef(leadRef.id)
+    );
+    if (!leadDoc.exists) {
+      return false;
+    }
+    if (scoredWithNewerConfig(leadDoc.data(), config)) {
+      return "stale";
+    }
+
+    const fields = scoreFields(withEngagement(leadDoc.data(), engagementDoc), config);
+    if (isScoreCurrent(leadDoc.data(), fields)) {
+      return false;
+    }
+
+    transaction.update(leadRef, {
+      ...fields,
+      scoredAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return true;
+  });
+
+  if (outcome === "stale") {
+    return freshConfig ? false : rescoreLead(leadRef, {
+      config: await loadScoringConfig({ force: true })
+    });
+  }
+  return outcome;
+};
+
+/**
+ * Rescore every lead, resuming from where the previous run stopped.
+ * Picks up weight changes that the write trigger never sees.
+ */
+const backfillLeadScores = async ({ pageSize = 300, deadline } = {}) => {
+  const config = await loadScoringConfig({ force: true });
+  const stateDoc = await backfillStateRef().get();
+  const result = {
+    processed: 0,
+    updated: 0,
+    cursor: stateDoc.exists ? stateDoc.data().cursor || null : null,
+    done: false
+  };
+
+  for (;;) {
+    let query = db
+      .collection("email_leads")
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(pageSize);
+    if (result.cursor) {
+      query = query.startAfter(result.cursor);
+    }
+
+    const snapshot = await query.get();
+    if (snapshot.empty) {
+      result.done = true;
+      break;
+    }
+
+    const engagementDocs = await db.getAll(
+      ...snapshot.docs.map(doc => engagementRef(doc.id))
+    );
+    const batch = db.batch();
+    snapshot.docs.forEach((doc, index) => {
+      if (scoredWithNewerConfig(doc.data(), config)) {
+        return;
+      }
+      const fields = scoreFields(withEngagement(doc.data(), engagementDocs[index]), config);
+      if (!isScoreCurrent(doc.data(), fields)) {
+        batch.update(doc.ref, {
+          ...fields,
+          scoredAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        result.updated += 1;
+      }
+    });
+    await batch.commit();
+
+    result.processed += snapshot.size;
+    result.cursor = snapshot.docs[snapshot.docs.length - 1].id;
+
+    if (deadline && Date.now() > deadline) {
+      break;
+    }
+  }
+
+  // A finished pass starts over from the beginning next time
+  await backfillStateRef().set({
+    cursor: result.done ? null : result.cursor,
+    lastRunAt: admin.firestore.FieldValue.serverTimestamp(),
+    lastRunProcessed: result.processed,
+    lastRunUpdated: result.updated
+  });
+
+  return result;
+};
+
+/**
+ * Replace scoring weights. Bumps the version so the backfill rescores everyone;
+ * read and bumped in one transaction, so concurrent updates never share one.
+ */
+const updateScoringConfig = async (changes, actorUid) => {
+  const config = await db.runTransaction(async (transaction) => {
+    const current = configFromDoc(await transaction.get(scoringConfigRef()));
+    const next = {
+      ...current,
+      ...changes,
+      version: (current.version || 1) + 1
+    };
+
+    transaction.set(scoringConfigRef(), {
+      ...next,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedBy: actorUid
+    });
+    return next;
+  });
+
+  await backfillStateRef().set({ cursor: null }, { merge: true });
+  cache = null;
+
+  return config;
+};
+
+/**
+ * Count an on-site engagement event against a lead (feeds its score).
+ */
+const recordEngagement = async (leadRef, event) => {
+  if (!ENGAGEMENT_EVENT_PATTERN.test(event)) {
+    return;
+  }
+
+  await engagementRef(leadRef.id).set({
+    counts: { [event]: admin.firestore.FieldValue.increment(1) },
+    lastEngagedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+};
+
+module.exports = {
+  DEFAULT_SCORING_CONFIG,
+  loadScoringConfig,
+  computeLeadScore,
+  rescoreLead,
+  backfillLeadScores,
+  updateScoringConfig,
+  engagementRef,
+  recordEngagement
+};
@@ -0,0 +1,17 @@
+// Convert Firestore values (Timestamps, nested maps) into plain JSON
+const serializeValue = (value) => {
+  if (value && typeof value.toDate === "function") {
+    return value.toDate().toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(serializeValue);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, nested]) => [key, serializeValue(nested)])
+    );
+  }
+  return value;
+};
+
+module.exports = { serializeValue };
@@ -0,0 +1,299 @@
+const { admin, db } = require("./firebase");
+const { STATS } = require("./config");
+
+/**
+ * Public stats, served from `public_stats` instead of scanning email_leads:
+ * - public_stats/totals: lead counts kept current by a write trigger
+ *   (updateLeadCounters), and reconciled with exact counts by the daily job
+ * - public_stats/daily_YYYY-MM-DD: one rollup per UTC day with signups,
+ *   confirmations and unsubscribes, overall and per source, campaign and
+ *   first-touch channel (buildDailyStats)
+ */
+
+// Leads captured before double opt-in were stored as 'active'
+const ACTIVE_STATUSES = ["active", "confirmed", "invited"];
+const LEAD_STATUSES = [
+  "pending", "confirmed", "active", "invited", "expired", "unsubscribed", "blocked"
+];
+
+const BREAKDOWNS = {
+  source: (lead) => lead.source,
+  campaign: (lead) => lead.campaign,
+  channel: (lead) => lead.firstTouch?.channel
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const totalsRef = () => db.collection("public_stats").doc("totals");
+const dailyRef = (date) => db.collection("public_stats").doc(`daily_${date}`);
+const rollupStateRef = () => db.collection("admin").doc("stats_rollup");
+
+// 'YYYY-MM-DD' for a UTC day
+const toDateKey = (date) => date.toISOString().slice(0, 10);
+const dayStart = (dateKey) => new Date(`${dateKey}T00:00:00.000Z`);
+const isDateKey = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  !Number.isNaN(dayStart(value).getTime()) && toDateKey(dayStart(value)) === value;
+const addDays = (dateKey, days) => toDateKey(new Date(dayStart(dateKey).getTime() + days * DAY_MS));
+
+const leadStatus = (lead) => (lead ? lead.status || "active" : null);
+
+/**
+ * Counter changes for one lead write.
+ *
+ * @returns {object|null} Fields to increment on public_stats/totals, or null if none
+ */
+const counterDelta = (before, after) => {
+  const from = leadStatus(before);
+  const to = leadStatus(after);
+  if (from === to) {
+    return null;
+  }
+
+  const delta = {};
+  if (!before) {
+    delta.totalLeads = 1;
+  }
+  if (!after) {
+    delta.totalLeads = -1;
+  }
+  const activeChange =
+    Number(ACTIVE_STATUSES.includes(to)) - Number(ACTIVE_STATUSES.includes(from));
+  if (activeChange) {
+    delta.activeLeads = activeChange;
+  }
+  if (from) {
+    delta[`byStatus.${from}`] = -1;
+  }
+  if (to) {
+    delta[`byStatus.${to}`] = 1;
+  }
+  return delta;
+};
+
+/**
+ * Apply one lead write to the running totals (from the email_leads trigger).
+ * Triggers can be retried, so these counts can drift slightly; the daily job
+ * resets them to exact values.
+ */
+const updateLeadCounters = async (before, after) => {
+  const delta = counterDelta(before, after);
+  if (!delta) {
+    return false;
+  }
+
+  const update = { updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+  Object.entries(delta).forEach(([field, amount]) => {
+    update[field] = admin.firestore.FieldValue.increment(amount);
+  });
+  // update() so dotted byStatus paths are nested fields; before the document
+  // exists (gRPC NOT_FOUND), build it from exact counts instead
+  try {
+    await totalsRef().update(update);
+  } catch (error) {
+    if (error.code !== 5) {
+      throw error;
+    }
+    await reconcileTotals();
+  }
+  return true;
+};
+
+/**
+ * Reset the totals to exact values with count() aggregation queries.
+ */
+const reconcileTotals = async () => {
+  const leads = db.collection("email_leads");
+  const [total, ...byStatusCounts] = await Promise.all([
+    leads.count().get(),
+    ...LEAD_STATUSES.map(status => leads.where("status", "==", status).count().get())
+  ]);
+
+  const byStatus = {};
+  LEAD_STATUSES.forEach((status, index) => {
+    byStatus[status] = byStatusCounts[index].data().count;
+  });
+  // Very old leads have no status at all, which counts as 'active'
+  const counted = Object.values(byStatus).reduce((sum, count) => sum + count, 0);
+  byStatus.active += Math.max(0, total.data().count - counted);
+
+  const totals = {
+    totalLeads: total.data().count,
+    activeLeads: ACTIVE_STATUSES.reduce((sum, status) => sum + byStatus[status], 0),
+    byStatus,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    reconciledAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+  await totalsRef().set(totals);
+  return totals;
+};
+
+// Count matching leads per breakdown value, keeping the largest values and
+// folding the long tail into 'other' so the rollup stays small
+const countBy = (docs, keyFor) => {
+  const counts = {};
+  docs.forEach(doc => {
+    const key = String(keyFor(doc.data()) || "unknown").slice(0, 100);
+    counts[key] = (counts[key] || 0) + 1;
+  });
+
+  const entries = Object.entries(counts).sort(([, a], [, b]) => b - a);
+  const kept = Object.fromEntries(entries.slice(0, STATS.maxBreakdownValues));
+  const rest = entries.slice(STATS.maxBreakdownValues).reduce((sum, [, count]) => sum + count, 0);
+  if (rest) {
+    kept.other = (kept.other || 0) + rest;
+  }
+  return kept;
+};
+
+const leadsInDay = (field, dateKey) => {
+  const start = dayStart(dateKey);
+  return db.collection("email_leads")
+    .where(field, ">=", admin.firestore.Timestamp.fromDate(start))
+    .where(field, "<", admin.firestore.Timestamp.fromDate(new Date(start.getTime() + DAY_MS)))
+    .get();
+};
+
+/**
+ * Build the rollup for one UTC day. Only reads that day's leads.
+ */
+const buildDailyRollup = async (dateKey) => {
+  const [signups, confirmed, unsubscribed] = await Promise.all([
+    leadsInDay("timestamp", dateKey),
+    leadsInDay("confirmedAt", dateKey),
+    leadsInDay("unsubscribedAt", dateKey)
+  ]);
+
+  const rollup = {
+    date: dateKey,
+    signups: signups.size,
+    confirmed: confirmed.size,
+    unsubscribed: unsubscribed.size,
+    builtAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+  Object.entries(BREAKDOWNS).forEach(([by, keyFor]) => {
+    rollup[by] = {
+      signups: countBy(signups.docs, keyFor),
+      confirmed: countBy(confirmed.docs, keyFor),
+      unsubscribed: countBy(unsubscribed.docs, keyFor)
+    };
+  });
+
+  await dailyRef(dateKey).set(rollup);
+  return rollup;
+};
+
+/**
+ * Scheduled job: reconcile the totals, then build every day since the last run
+ * up to yesterday. The most recent days are rebuilt each time to pick up late
+ * writes; the first run backfills from the earliest lead.
+ */
+const buildDailyStats = async ({ deadline } = {}) => {
+  await reconcileTotals();
+
+  const yesterday = toDateKey(new Date(Date.now() - DAY_MS));
+  const stateDoc = await rollupStateRef().get();
+  let next;
+
+  if (stateDoc.exists && stateDoc.data().lastBuiltDate) {
+    next = addDays(stateDoc.data().lastBuiltDate, 1 - STATS.rebuildDays);
+  } else {
+    const first = await db.collection("email_leads").orderBy("timestamp").limit(1).get();
+    const firstTimestamp = first.empty ? null : first.docs[0].data().timestamp;
+    next = firstTimestamp ? toDateKey(firstTimestamp.toDate()) : yesterday;
+  }
+
+  const result = { built: 0, from: next, lastBuiltDate: null, done: false };
+  while (next <= yesterday) {
+    await buildDailyRollup(next);
+    result.built += 1;
+    result.lastBuiltDate = next;
+    next = addDays(next, 1);
+
+    if (deadline && Date.now() > deadline) {
+      break;
+    }
+  }
+  result.done = next > yesterday;
+
+  if (result.lastBuiltDate) {
+    await rollupStateRef().set({
+      lastBuiltDate: result.lastBuiltDate,
+      lastRunAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+  return result;
+};
+
+const sumInto = (target, counts = {}) => {
+  Object.entries(counts).forEach(([key, count]) => {
+    target[key] = (target[key] || 0) + count;
+  });
+};
+
+/**
+ * Stats for the public endpoint: current totals plus the daily series (and an
+ * optional breakdown) for a date range, read from the rollups.
+ *
+ * @param {object} options - { from, to } as 'YYYY-MM-DD', optional `by`
+ */
+const getStats = async ({ from, to, by }) => {
+  const [totalsDoc, dailySnapshot] = await Promise.all([
+    totalsRef().get(),
+    db.collection("public_stats")
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .startAt(`daily_${from}`)
+      .endAt(`daily_${to}`)
+      .get()
+  ]);
+
+  // Until the scheduled job first reconciles them, there are no totals to show
+  const totals = totalsDoc.exists ? totalsDoc.data() : {};
+  const rollups = new Map(dailySnapshot.docs.map(doc => [doc.data().date, doc.data()]));
+
+  const series = [];
+  const rangeTotals = { signups: 0, confirmed: 0, unsubscribed: 0 };
+  const breakdown = { signups: {}, confirmed: {}, unsubscribed: {} };
+
+  // Every day in the range appears, including days not built yet (zeros)
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const day = rollups.get(date);
+    const point = {
+      date,
+      signups: day?.signups || 0,
+      confirmed: day?.confirmed || 0,
+      unsubscribed: day?.unsubscribed || 0
+    };
+    series.push(point);
+    Object.keys(rangeTotals).forEach(metric => {
+      rangeTotals[metric] += point[metric];
+      if (by) {
+        sumInto(breakdown[metric], day?.[by]?.[metric]);
+      }
+    });
+  }
+
+  const stats = {
+    totalLeads: totals.totalLeads || 0,
+    activeLeads: totals.activeLeads || 0,
+    timestamp: totals.updatedAt?.toDate?.()?.toISOString() || new Date().toISOString(),
+    range: { from, to, ...rangeTotals },
+    series
+  };
+  if (by) {
+    stats.breakdown = { by, values: breakdown };
+  }
+  return stats;
+};
+
+module.exports = {
+  ACTIVE_STATUSES,
+  BREAKDOWNS,
+  toDateKey,
+  isDateKey,
+  addDays,
+  updateLeadCounters,
+  reconcileTotals,
+  buildDailyRollup,
+  buildDailyStats,
+  getStats
+};
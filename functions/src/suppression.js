@@ -0,0 +1,29 @@
+const { admin, db } = require("./firebase");
+const { hashEmail } = require("./validation");
+
+/**
+ * Suppression list: addresses that asked not to be contacted.
+ * Keyed by email hash so the entry can outlive the lead document itself.
+ */
+
+const suppressionRef = (email) => db.collection("email_suppressions").doc(hashEmail(email));
+
+const isSuppressed = async (email) => {
+  const doc = await suppressionRef(email).get();
+  return doc.exists;
+};
+
+// Transaction-friendly writers so callers can update the lead in the same commit
+const addSuppression = (transaction, email, { reason, leadId }) => {
+  transaction.set(suppressionRef(email), {
+    reason,
+    leadId: leadId || null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+};
+
+const removeSuppression = (transaction, email) => {
+  transaction.delete(suppressionRef(email));
+};
+
+module.exports = { isSuppressed, addSuppression, removeSuppression };
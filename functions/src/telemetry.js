@@ -0,0 +1,251 @@
+const express = require("express");
+const Joi = require("joi");
+const { admin, db } = require("./firebase");
+const { rateLimit } = require("./rateLimit");
+const { toDateKey } = require("./stats");
+const { SITE_URL, TELEMETRY } = require("./config");
+
+/**
+ * Ingestion for the browser performance monitor (public/assets/js/performance.js).
+ * POST /events and POST /metrics take batches. Each record is validated on its
+ * own, so one bad record doesn't cost the rest of the batch, and stored in a
+ * partition per UTC day:
+ * - analytics_partitions/{YYYY-MM-DD}/client_events/{id}
+ * - analytics_partitions/{YYYY-MM-DD}/client_metrics/{id}
+ * Reports read one day's partition directly; cleanupAnalytics expires records
+ * by `timestamp`, the same as analytics_events.
+ *
+ * Only known event and metric names are stored. Event data is flattened to a
+ * few short primitive values and URLs are cut down to host and path, which keeps
+ * stored values low-cardinality and drops query strings that may carry PII.
+ * Raw user agents and IPs are not stored. Requests from crawlers and headless
+ * browsers are acknowledged but dropped.
+ */
+
+const EVENT_NAMES = [
+  "user_interaction", "scroll_depth", "form_interaction", "form_submission", "funnel_step",
+  "error", "page_load", "slow_resource", "high_memory_usage"
+];
+
+const METRIC_NAMES = [
+  "fcp", "lcp", "fid", "cls", "ttfb", "resource_load", "dns_lookup", "tcp_connect",
+  "dom_content_loaded", "window_load", "memory_used"
+];
+
+const BOT_USER_AGENT = new RegExp([
+  "bot", "crawl", "spider", "slurp", "headless", "lighthouse", "pagespeed", "pingdom",
+  "uptime", "curl", "wget", "python-requests", "phantomjs", "selenium", "puppeteer",
+  "playwright"
+].join("|"), "i");
+
+// Data keys that hold URLs, stored as host and path only
+const URL_KEYS = ["url", "resourceUrl", "filename", "source"];
+const DATA_KEY = /^[A-Za-z][A-Za-z0-9_]{0,39}$/;
+
+// navigator.connection.effectiveType values
+const CONNECTION_TYPES = ["slow-2g", "2g", "3g", "4g"];
+
+// Client clocks further off than this are ignored
+const MAX_CLOCK_SKEW_MS = 24 * 60 * 60 * 1000;
+
+const sessionIdSchema = Joi.string().pattern(/^[a-z0-9]{8,40}$/i);
+
+const recordFields = {
+  timestamp: Joi.number().integer().min(0),
+  url: Joi.string().max(2000),
+  sessionId: sessionIdSchema,
+  connection: Joi.string().valid(...CONNECTION_TYPES, "unknown")
+};
+
+const eventSchema = Joi.object({
+  name: Joi.string().valid(...EVENT_NAMES).required(),
+  data: Joi.object().default({}),
+  ...recordFields
+});
+
+// Any other fields are metric attributes (threshold, element, resourceType...)
+const metricSchema = Joi.object({
+  name: Joi.string().valid(...METRIC_NAMES).required(),
+  value: Joi.number().min(0).max(1e10).required(),
+  userAgent: Joi.string().max(1000),
+  ...recordFields
+}).unknown(true);
+
+const batchSchema = (key, maxRecords) => Joi.object({
+  sessionId: sessionIdSchema,
+  [key]: Joi.array().items(Joi.object()).min(1).max(maxRecords).required()
+});
+
+const isBot = (userAgent) => !userAgent || BOT_USER_AGENT.test(userAgent);
+
+const deviceClass = (userAgent) => {
+  if (/iPad|Tablet|PlayBook|Silk|Android(?!.*Mobile)/i.test(userAgent)) {
+    return "tablet";
+  }
+  if (/Mobi|iPhone|iPod|Android/i.test(userAgent)) {
+    return "mobile";
+  }
+  return "desktop";
+};
+
+// Path for our own pages, host and path for anything else; null if unparseable
+const urlPath = (value) => {
+  try {
+    const url = new URL(value, SITE_URL);
+    const path = url.origin === new URL(SITE_URL).origin ? url.pathname : url.host + url.pathname;
+    return path.slice(0, TELEMETRY.maxStringLength);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Flatten client-supplied data to at most TELEMETRY.maxDataKeys primitive
+ * values. Nested objects and arrays are dropped and strings are truncated.
+ */
+const sanitizeData = (data) => {
+  const clean = {};
+  Object.entries(data)
+    .filter(([key]) => DATA_KEY.test(key))
+    .slice(0, TELEMETRY.maxDataKeys)
+    .forEach(([key, value]) => {
+      if (typeof value === "string") {
+        const text = URL_KEYS.includes(key) ? urlPath(value) : value;
+        if (text !== null) {
+          clean[key] = text.slice(0, TELEMETRY.maxStringLength);
+        }
+      } else if ((typeof value === "number" && Number.isFinite(value)) ||
+        typeof value === "boolean") {
+        clean[key] = value;
+      }
+    });
+  return clean;
+};
+
+const clientTime = (timestamp) => {
+  if (timestamp === undefined || Math.abs(Date.now() - timestamp) > MAX_CLOCK_SKEW_MS) {
+    return null;
+  }
+  return admin.firestore.Timestamp.fromMillis(timestamp);
+};
+
+// Fields every stored record has, whatever its kind
+const baseRecord = (item, context) => ({
+  name: item.name,
+  sessionId: context.sessionId || item.sessionId || null,
+  page: item.url ? urlPath(item.url) : null,
+  deviceClass: context.deviceClass,
+  connectionType: item.connection || "unknown",
+  clientTimestamp: clientTime(item.timestamp),
+  partition: context.partition,
+  timestamp: admin.firestore.FieldValue.serverTimestamp()
+});
+
+const eventRecord = (item, context) => ({
+  ...baseRecord(item, context),
+  data: sanitizeData(item.data)
+});
+
+// Metric fields that are not attributes
+const METRIC_FIELDS = [
+  "name", "value", "timestamp", "url", "userAgent", "sessionId", "connection"
+];
+
+const metricRecord = (item, context) => ({
+  ...baseRecord(item, context),
+  value: item.value,
+  attributes: sanitizeData(Object.fromEntries(
+    Object.entries(item).filter(([key]) => !METRIC_FIELDS.includes(key))
+  ))
+});
+
+const partitionRef = (dateKey) => db.collection("analytics_partitions").doc(dateKey);
+
+/**
+ * Handler for one batch endpoint. Responds 202 with how many records were
+ * stored and rejected; only a malformed batch as a whole gets a 4xx, so the
+ * client knows not to resend it.
+ */
+const ingest = ({ key, maxRecords, itemSchema, collection, toRecord }) => async (req, res) => {
+  const { error, value } = batchSchema(key, maxRecords).validate(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, error: error.details[0].message });
+  }
+
+  const userAgent = req.get("User-Agent") || "";
+  if (isBot(userAgent)) {
+    return res.status(202).json({ success: true, accepted: 0, rejected: 0 });
+  }
+
+  const context = {
+    sessionId: value.sessionId || null,
+    deviceClass: deviceClass(userAgent),
+    partition: toDateKey(new Date())
+  };
+
+  const records = [];
+  let rejected = 0;
+  value[key].forEach(item => {
+    const result = itemSchema.validate(item);
+    if (result.error) {
+      rejected += 1;
+      return;
+    }
+    records.push(toRecord(result.value, context));
+  });
+
+  try {
+    if (records.length) {
+      const batch = db.batch();
+      const collectionRef = partitionRef(context.partition).collection(collection);
+      records.forEach(record => batch.set(collectionRef.doc(), record));
+      await batch.commit();
+    }
+    res.status(202).json({ success: true, accepted: records.length, rejected });
+  } catch (error) {
+    console.error(`Telemetry write error (${collection}):`, error);
+    res.status(500).json({ success: false, error: "Unable to record telemetry" });
+  }
+};
+
+// The app mounts this router ahead of its own body parsers, so batches are
+// parsed here, and refused unread once they pass TELEMETRY.maxBodyBytes
+const parseBatch = express.json({ limit: TELEMETRY.maxBodyBytes });
+
+const router = express.Router();
+
+router.post("/events", rateLimit("telemetry"), parseBatch, ingest({
+  key: "events",
+  maxRecords: TELEMETRY.maxEventsPerBatch,
+  itemSchema: eventSchema,
+  collection: "client_events",
+  toRecord: eventRecord
+}));
+
+router.post("/metrics", rateLimit("telemetry"), parseBatch, ingest({
+  key: "metrics",
+  maxRecords: TELEMETRY.maxMetricsPerBatch,
+  itemSchema: metricSchema,
+  collection: "client_metrics",
+  toRecord: metricRecord
+}));
+
+// Oversized or malformed batches, from parseBatch
+router.use((error, req, res, next) => {
+  if (error.type === "entity.too.large") {
+    return res.status(413).json({ success: false, error: "Payload too large" });
+  }
+  if (error.type === "entity.parse.failed") {
+    return res.status(400).json({ success: false, error: "Invalid JSON" });
+  }
+  next(error);
+});
+
+module.exports = {
+  router,
+  EVENT_NAMES,
+  METRIC_NAMES,
+  CONNECTION_TYPES,
+  deviceClass,
+  partitionRef
+};
@@ -0,0 +1,80 @@
+const crypto = require("crypto");
+
+/**
+ * Signed, expiring tokens for links we email out (confirmation, unsubscribe, ...).
+ * Format: base64url(JSON claims) + '.' + base64url(HMAC-SHA256 signature).
+ * Every token carries a purpose so one kind can never be replayed as another.
+ */
+
+const getSecret = () => {
+  const secret = process.env.TOKEN_SIGNING_SECRET;
+  if (!secret) {
+    throw new Error("TOKEN_SIGNING_SECRET is not configured");
+  }
+  return secret;
+};
+
+const sign = (encodedClaims) => {
+  return crypto
+    .createHmac("sha256", getSecret())
+    .update(encodedClaims)
+    .digest("base64url");
+};
+
+const createToken = (purpose, claims, ttlSeconds) => {
+  const payload = {
+    ...claims,
+    purpose,
+    iat: Math.floor(Date.now() / 1000)
+  };
+
+  if (ttlSeconds) {
+    payload.exp = payload.iat + ttlSeconds;
+  }
+
+  const encodedClaims = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return `${encodedClaims}.${sign(encodedClaims)}`;
+};
+
+/**
+ * Verify a token for the given purpose.
+ * Returns { valid: true, claims } or { valid: false, reason: 'invalid' | 'expired' }.
+ */
+const verifyToken = (token, purpose) => {
+  if (typeof token !== "string" || token.length > 2048) {
+    return { valid: false, reason: "invalid" };
+  }
+
+  const [encodedClaims, signature] = token.split(".");
+  if (!encodedClaims || !signature) {
+    return { valid: false, reason: "invalid" };
+  }
+
+  const expected = Buffer.from(sign(encodedClaims));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, reason: "invalid" };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(encodedClaims, "base64url").toString("utf8"));
+  } catch (error) {
+    return { valid: false, reason: "invalid" };
+  }
+
+  if (!claims || claims.purpose !== purpose) {
+    return { valid: false, reason: "invalid" };
+  }
+
+  if (claims.exp && claims.exp < Math.floor(Date.now() / 1000)) {
+    return { valid: false, reason: "expired", claims };
+  }
+
+  return { valid: true, claims };
+};
+
+// Random single-use value stored alongside a lead so newer tokens supersede older ones
+const createNonce = () => crypto.randomBytes(12).toString("base64url");
+
+module.exports = { createToken, verifyToken, createNonce };
@@ -0,0 +1,146 @@
+const express = require("express");
+const { admin, db } = require("./firebase");
+const { logAnalyticsEvent } = require("./analytics");
+const { consumeRateLimit, sendRateLimited } = require("./rateLimit");
+const { createToken, verifyToken } = require("./tokens");
+const { addSuppression } = require("./suppression");
+const { appendConsent, consentSummary } = require("./consent");
+const { resolveLeadRef } = require("./leads");
+const { renderPage } = require("./pages");
+const { API_BASE_URL } = require("./config");
+
+const UNSUBSCRIBE_PURPOSE = "unsubscribe";
+
+// Unsubscribe links never expire - they have to keep working for old emails
+const buildUnsubscribeUrl = (leadId) => {
+  const token = createToken(UNSUBSCRIBE_PURPOSE, { lid: leadId });
+  return `${API_BASE_URL}/unsubscribe?token=${encodeURIComponent(token)}`;
+};
+
+// RFC 2369 / RFC 8058 headers so mail clients can offer one-click unsubscribe
+const buildUnsubscribeHeaders = (leadId) => ({
+  "List-Unsubscribe": `<${buildUnsubscribeUrl(leadId)}>`,
+  "List-Unsubscribe-Post": "List-Unsubscribe=One-Click"
+});
+
+const renderInvalidLink = (res) => {
+  res.status(400).send(renderPage(
+    "Link not recognised",
+    "<p>This unsubscribe link is invalid. Please use the link from your most recent email.</p>"
+  ));
+};
+
+/**
+ * Mark the lead unsubscribed and add it to the suppression list.
+ * Idempotent: repeating it for an already unsubscribed lead is a no-op.
+ */
+const unsubscribeLead = async (leadId, method, { ip, userAgent } = {}) => {
+  const leadRef = await resolveLeadRef(leadId);
+
+  return db.runTransaction(async (transaction) => {
+    const leadDoc = await transaction.get(leadRef);
+    if (!leadDoc.exists) {
+      return false;
+    }
+
+    const lead = leadDoc.data();
+    if (lead.status === "unsubscribed") {
+      return true;
+    }
+
+    transaction.update(leadRef, {
+      status: "unsubscribed",
+      previousStatus: lead.status || null,
+      unsubscribedAt: admin.firestore.FieldValue.serverTimestamp(),
+      unsubscribeMethod: method,
+      consent: consentSummary("withdrawn", lead.consent?.policyVersion)
+    });
+    await appendConsent(transaction, leadRef, {
+      action: "withdraw",
+      channel: `unsubscribe_${method}`,
+      policyVersion: lead.consent?.policyVersion,
+      ip,
+      userAgent
+    });
+    addSuppression(transaction, lead.email, { reason: "unsubscribed", leadId: leadRef.id });
+
+    return true;
+  });
+};
+
+// Mailbox providers send RFC 8058 one-click POSTs from shared IPs and link
+// scanners fetch the GET, so a per-IP limit would drop real unsubscribes. A
+// signed link is limited per lead instead; anything else per IP as usual.
+const unsubscribeRateLimit = async (req, res, next) => {
+  const result = verifyToken(req.query.token, UNSUBSCRIBE_PURPOSE);
+  const limit = result.valid
+    ? await consumeRateLimit("unsubscribeByLead", result.claims.lid)
+    : await consumeRateLimit("default", req.ip || req.connection.remoteAddress);
+  if (!limit.allowed) {
+    return sendRateLimited(res, limit.msBeforeNext);
+  }
+  next();
+};
+
+const router = express.Router();
+
+// Landing page from the unsubscribe link. GET never changes state because
+// mail scanners prefetch links; the button below POSTs to the same URL.
+router.get("/unsubscribe", unsubscribeRateLimit, (req, res) => {
+  const result = verifyToken(req.query.token, UNSUBSCRIBE_PURPOSE);
+  if (!result.valid) {
+    return renderInvalidLink(res);
+  }
+
+  const action = `${API_BASE_URL}/unsubscribe?token=${encodeURIComponent(req.query.token)}`;
+  res.status(200).send(renderPage("Unsubscribe", `
+    <p>Click below to stop receiving emails from High Leverage Humans.</p>
+    <form method="POST" action="${action}">
+      <button type="submit">Unsubscribe</button>
+    </form>
+  `));
+});
+
+// RFC 8058 one-click unsubscribe (and the landing page form submission)
+router.post("/unsubscribe", unsubscribeRateLimit, async (req, res) => {
+  const isOneClick = req.body?.["List-Unsubscribe"] === "One-Click";
+
+  try {
+    const result = verifyToken(req.query.token, UNSUBSCRIBE_PURPOSE);
+    if (!result.valid) {
+      if (isOneClick) {
+        return res.status(400).json({ success: false, error: "Invalid unsubscribe token" });
+      }
+      return renderInvalidLink(res);
+    }
+
+    const leadId = result.claims.lid;
+    const method = isOneClick ? "one_click" : "landing_page";
+    const found = await unsubscribeLead(leadId, method, {
+      ip: req.ip,
+      userAgent: req.get("User-Agent") || ""
+    });
+
+    await logAnalyticsEvent("email_unsubscribe", { leadId, method, found });
+
+    if (isOneClick) {
+      return res.status(200).json({ success: true });
+    }
+    res.status(200).send(renderPage(
+      "You have been unsubscribed",
+      "<p>You will not receive any more emails from us. " +
+        "Signing up again on the website will ask you to confirm before we resume.</p>"
+    ));
+  } catch (error) {
+    console.error("Unsubscribe error:", error);
+    if (isOneClick) {
+      return res.status(500).json({ success: false, error: "Internal server error" });
+    }
+    res.status(500).send(renderPage(
+      "Something went wrong",
+      "<p>We could not process your request. Please try again shortly.</p>"
+    ));
+  }
+});
+
+module.exports = { router, buildUnsubscribeUrl, buildUnsubscribeHeaders, unsubscribeLead };
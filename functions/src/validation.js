@@ -0,0 +1,104 @@
+const crypto = require("crypto");
+const validator = require("validator");
+const Joi = require("joi");
+const { CONSENT_POLICIES } = require("./consent");
+const { isDomainBlocked } = require("./domains");
+const { attributionSchema } = require("./attribution");
+
+// Email validation schema
+const emailSchema = Joi.object({
+  email: Joi.string()
+    .email({ tlds: { allow: true } })
+    .max(254)
+    .required()
+    .messages({
+      "string.email": "Please provide a valid email address",
+      "string.max": "Email address is too long",
+      "any.required": "Email address is required"
+    }),
+  name: Joi.string()
+    .trim()
+    .max(100)
+    .allow("")
+    .optional(),
+  consent: Joi.boolean()
+    .truthy("on", "true", "1")
+    .valid(true)
+    .required()
+    .messages({
+      "any.only": "Please agree to receive emails to join the waitlist",
+      "any.required": "Please agree to receive emails to join the waitlist"
+    }),
+  policyVersion: Joi.string()
+    .valid(...Object.keys(CONSENT_POLICIES))
+    .required()
+    .messages({
+      "any.only": "Unknown consent policy version",
+      "any.required": "Consent policy version is required"
+    }),
+  source: Joi.string()
+    .max(100)
+    .default("website")
+    .optional(),
+  campaign: Joi.string()
+    .max(100)
+    .optional(),
+  metadata: Joi.object()
+    .max(10)
+    .optional(),
+  // First- and last-touch UTM / click ID data kept by the site (see attribution.js)
+  attribution: attributionSchema.optional(),
+  // Referral code from a share link; unknown codes are ignored, not rejected
+  ref: Joi.string()
+    .trim()
+    .max(32)
+    .allow("")
+    .optional(),
+  // Set when the person saw a "did you mean" suggestion and kept their address
+  ignoreSuggestion: Joi.boolean()
+    .default(false),
+  // Bot defense fields (see botDefense.js)
+  formToken: Joi.string()
+    .max(2048)
+    .required()
+    .messages({
+      "any.required": "Please refresh the page and try again"
+    }),
+  powSolution: Joi.string()
+    .max(64)
+    .optional(),
+  homepage: Joi.string()
+    .max(500)
+    .allow("")
+    .optional()
+});
+
+// Utility functions
+const sanitizeEmail = (email) => {
+  return validator.normalizeEmail(email, {
+    gmail_lowercase: true,
+    gmail_remove_dots: false,
+    gmail_remove_subaddress: false,
+    outlookdotcom_lowercase: true,
+    outlookdotcom_remove_subaddress: false,
+    yahoo_lowercase: true,
+    yahoo_remove_subaddress: false,
+    icloud_lowercase: true,
+    icloud_remove_subaddress: false
+  });
+};
+
+// Rejects addresses on the admin-managed blocked domain list (see domains.js)
+const validateEmailDomain = async (email) => {
+  const domain = email.split("@")[1];
+  if (!domain) return false;
+  
+  return !(await isDomainBlocked(domain));
+};
+
+// Stable, non-reversible key for a sanitized email address
+const hashEmail = (email) => {
+  return crypto.createHash("sha256").update(email.trim().toLowerCase()).digest("hex");
+};
+
+module.exports = { emailSchema, sanitizeEmail, validateEmailDomain, hashEmail };
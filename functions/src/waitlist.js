@@ -0,0 +1,225 @@
+const express = require("express");
+const { admin, db } = require("./firebase");
+const { logAnalyticsEvent } = require("./analytics");
+const { rateLimit } = require("./rateLimit");
+const { createToken, verifyToken } = require("./tokens");
+const {
+  resolveLeadRef,
+  reserveWaitlistNumber,
+  claimWaitlistNumber
+} = require("./leads");
+const {
+  buildShareUrl,
+  queueScoreFor,
+  reserveReferralCode,
+  claimReferralCode
+} = require("./referrals");
+const { recordEngagement } = require("./scoring");
+const { SITE_URL } = require("./config");
+
+/**
+ * Waitlist position lookup.
+ * Each lead keeps the `waitlistNumber` it was given on signup, for good.
+ * The live position is worked out on request from `queueScore` (see
+ * referrals.js): the number of queued leads with a lower score, plus one.
+ * Nothing is renumbered, so deleted leads and referral bumps never leave
+ * gaps or duplicates - everyone behind simply moves up.
+ */
+
+const STATUS_PURPOSE = "waitlist_status";
+
+// Leads still holding a place in the queue
+const QUEUED_STATUSES = ["pending", "confirmed", "active"];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Link to the landing page, which looks up the position with this token.
+// Like unsubscribe links, it does not expire.
+const buildStatusToken = (leadId) => createToken(STATUS_PURPOSE, { lid: leadId });
+
+const buildStatusUrl = (leadId) => {
+  return `${SITE_URL}/?waitlist=${encodeURIComponent(buildStatusToken(leadId))}#early-access`;
+};
+
+/**
+ * Current queue position for a lead.
+ *
+ * @returns {Promise<{ position: number|null, ahead: number|null, total: number }>}
+ */
+const getQueuePosition = async (lead) => {
+  const queued = db.collection("email_leads").where("status", "in", QUEUED_STATUSES);
+  const totalSnapshot = await queued.count().get();
+  const total = totalSnapshot.data().count;
+
+  if (!QUEUED_STATUSES.includes(lead.status)) {
+    return { position: null, ahead: null, total };
+  }
+
+  const aheadSnapshot = await queued
+    .where("queueScore", "<", queueScoreFor(lead))
+    .count()
+    .get();
+  const ahead = aheadSnapshot.data().count;
+
+  return { position: ahead + 1, ahead, total };
+};
+
+// How far referrals have moved a lead up from where they joined
+const describeBoosts = (lead) => {
+  const joinedAt = lead.timestamp?.toMillis?.();
+  const hoursGained = joinedAt
+    ? Math.max(0, Math.round((joinedAt - queueScoreFor(lead)) / HOUR_MS))
+    : 0;
+
+  return {
+    referrals: lead.referralCount || 0,
+    hoursGained
+  };
+};
+
+const router = express.Router();
+
+// Position lookup from the signed link in the confirmation email
+router.get("/waitlist/status", rateLimit("waitlistStatus"), async (req, res) => {
+  try {
+    const result = verifyToken(req.query.token, STATUS_PURPOSE);
+    if (!result.valid) {
+      return res.status(401).json({
+        success: false,
+        error: "This link is invalid. Please use the latest link from your email."
+      });
+    }
+
+    const leadDoc = await (await resolveLeadRef(result.claims.lid)).get();
+    if (!leadDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: "We could not find your spot on the waitlist"
+      });
+    }
+
+    const lead = leadDoc.data();
+    const { position, ahead, total } = await getQueuePosition(lead);
+
+    await logAnalyticsEvent("waitlist_status_viewed", {
+      leadId: leadDoc.id,
+      status: lead.status
+    });
+    await recordEngagement(leadDoc.ref, "status_view");
+
+    res.set("Cache-Control", "private, no-store");
+    res.status(200).json({
+      success: true,
+      status: lead.status,
+      waitlistNumber: lead.waitlistNumber || null,
+      position,
+      ahead,
+      total,
+      boosts: describeBoosts(lead),
+      referral: lead.referralCode
+        ? {
+          code: lead.referralCode,
+          shareUrl: buildShareUrl(lead.referralCode),
+          count: lead.referralCount || 0
+        }
+        : null
+    });
+  } catch (error) {
+    console.error("Waitlist status error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Unable to fetch your waitlist position"
+    });
+  }
+});
+
+// Give a lead created before the waitlist existed its number, code and score
+const backfillLead = async (leadRef) => {
+  return db.runTransaction(async (transaction) => {
+    const leadDoc = await transaction.get(leadRef);
+    const lead = leadDoc.exists ? leadDoc.data() : null;
+    const complete = lead?.waitlistNumber && lead.referralCode &&
+      typeof lead.queueScore === "number";
+    if (!lead || complete) {
+      return false;
+    }
+
+    const waitlistNumber = lead.waitlistNumber || await reserveWaitlistNumber(transaction);
+    const referralCode = lead.referralCode || await reserveReferralCode(transaction);
+
+    transaction.update(leadRef, {
+      waitlistNumber,
+      referralCode,
+      referralCount: lead.referralCount || 0,
+      queueScore: queueScoreFor(lead)
+    });
+    if (!lead.waitlistNumber) {
+      claimWaitlistNumber(transaction, waitlistNumber);
+    }
+    if (!lead.referralCode) {
+      claimReferralCode(transaction, referralCode, leadRef.id);
+    }
+    return true;
+  });
+};
+
+// Backfill cursor: the last lead's signup time and ID, so a run resumes in
+// the right place even if that lead has since been deleted
+const backfillCursor = (doc) => {
+  const { seconds, nanoseconds } = doc.data().timestamp;
+  return `${seconds}:${nanoseconds}:${doc.id}`;
+};
+
+const parseBackfillCursor = (cursor) => {
+  const match = /^(\d+):(\d+):(.+)$/.exec(cursor);
+  if (!match) {
+    throw new Error("Invalid backfill cursor");
+  }
+  return [new admin.firestore.Timestamp(Number(match[1]), Number(match[2])), match[3]];
+};
+
+/**
+ * Number existing leads in signup order. Run once after deploying waitlist
+ * positions; resumable like migrateLeadIds - pass the cursor back until done.
+ */
+const backfillWaitlist = async ({ startAfter = null, pageSize = 200, deadline } = {}) => {
+  const result = { processed: 0, updated: 0, cursor: startAfter, done: false };
+
+  for (;;) {
+    let query = db
+      .collection("email_leads")
+      .orderBy("timestamp")
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(pageSize);
+    if (result.cursor) {
+      query = query.startAfter(...parseBackfillCursor(result.cursor));
+    }
+
+    const snapshot = await query.get();
+    if (snapshot.empty) {
+      result.done = true;
+      return result;
+    }
+
+    for (const doc of snapshot.docs) {
+      if (await backfillLead(doc.ref)) {
+        result.updated += 1;
+      }
+      result.processed += 1;
+      result.cursor = backfillCursor(doc);
+    }
+
+    if (deadline && Date.now() > deadline) {
+      return result;
+    }
+  }
+};
+
+module.exports = {
+  router,
+  QUEUED_STATUSES,
+  buildStatusToken,
+  buildStatusUrl,
+  getQueuePosition,
+  backfillWaitlist
+};
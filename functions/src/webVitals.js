@@ -0,0 +1,346 @@
+const express = require("express");
+const Joi = require("joi");
+const { admin, db } = require("./firebase");
+const { rateLimit } = require("./rateLimit");
+const { requireAdmin } = require("./adminAuth");
+const { partitionRef } = require("./telemetry");
+const { toDateKey, addDays } = require("./stats");
+const { WEB_VITALS } = require("./config");
+
+/**
+ * Core Web Vitals percentiles, from the client_metrics telemetry partitions.
+ *
+ * buildWebVitals (daily) digests each finished day into log-scale histograms,
+ * one per metric and page / device class / connection type group, stored in
+ * admin/web_vitals/days. Histograms add up, so every rolling window
+ * (WEB_VITALS.windows) is computed from the day digests rather than the raw
+ * metrics. Each window's report, per metric, goes to admin/web_vitals/reports
+ * and includes rollup rows where a dimension is 'all'.
+ *
+ * GET /admin/web-vitals serves a report, flagging the groups whose 75th
+ * percentile is over the metric's threshold. Dimension filters default to
+ * 'all'; '*' lists every value.
+ */
+
+const METRICS = Object.keys(WEB_VITALS.thresholds);
+const DIMENSIONS = ["page", "deviceClass", "connectionType"];
+const ALL = "all";
+
+// Buckets grow 5% at a time, so percentiles are accurate to about 2.5%
+const BUCKET_GROWTH = 1.05;
+// CLS is a unitless score around 0.1; the other metrics are milliseconds
+const METRIC_SCALE = { cls: 1000 };
+const PAGE_SIZE = 1000;
+const RETAIN_DAYS = Math.max(...Object.values(WEB_VITALS.windows));
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const vitalsRef = () => db.collection("admin").doc("web_vitals");
+const dayRef = (dateKey, metric) => vitalsRef().collection("days").doc(`${dateKey}_${metric}`);
+const reportRef = (window, metric) => vitalsRef().collection("reports").doc(`${window}_${metric}`);
+
+const scaleOf = (metric) => METRIC_SCALE[metric] || 1;
+
+const bucketOf = (metric, value) =>
+  Math.floor(Math.log1p(value * scaleOf(metric)) / Math.log(BUCKET_GROWTH));
+
+// Geometric middle of a bucket, in the metric's own units
+const bucketValue = (metric, bucket) => {
+  const value = (Math.pow(BUCKET_GROWTH, bucket + 0.5) - 1) / scaleOf(metric);
+  return scaleOf(metric) === 1 ? Math.round(value) : Number(value.toFixed(3));
+};
+
+const addHistogram = (target, histogram) => {
+  Object.entries(histogram).forEach(([bucket, count]) => {
+    target[bucket] = (target[bucket] || 0) + count;
+  });
+  return target;
+};
+
+const sampleCount = (histogram) =>
+  Object.values(histogram).reduce((sum, count) => sum + count, 0);
+
+/**
+ * Sample count and percentiles (p50, p75, p95...) of a histogram.
+ */
+const percentiles = (metric, histogram) => {
+  const buckets = Object.keys(histogram).map(Number).sort((a, b) => a - b);
+  const samples = sampleCount(histogram);
+
+  const result = { samples };
+  WEB_VITALS.percentiles.forEach(percentile => {
+    const rank = Math.max(1, Math.ceil((percentile / 100) * samples));
+    let seen = 0;
+    let value = null;
+    for (const bucket of buckets) {
+      seen += histogram[bucket];
+      if (seen >= rank) {
+        value = bucketValue(metric, bucket);
+        break;
+      }
+    }
+    result[`p${percentile}`] = value;
+  });
+  return result;
+};
+
+const groupKey = (group) => DIMENSIONS.map(dimension => group[dimension]).join("|");
+
+// Add a histogram to the group it belongs to, creating the group if needed
+const addToGroup = (groups, group, histogram) => {
+  const key = groupKey(group);
+  if (!groups.has(key)) {
+    groups.set(key, { ...group, histogram: {} });
+  }
+  addHistogram(groups.get(key).histogram, histogram);
+};
+
+/**
+ * Histograms for one metric on one UTC day, by page, device class and
+ * connection type. Pages beyond WEB_VITALS.maxPages become 'other'.
+ */
+const digestMetric = async (dateKey, metric) => {
+  const groups = new Map();
+  let lastDoc = null;
+
+  for (;;) {
+    let query = partitionRef(dateKey).collection("client_metrics")
+      .where("name", "==", metric)
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(PAGE_SIZE);
+    if (lastDoc) {
+      query = query.startAfter(lastDoc);
+    }
+
+    const snapshot = await query.get();
+    snapshot.docs.forEach(doc => {
+      const record = doc.data();
+      addToGroup(groups, {
+        page: record.page || "unknown",
+        deviceClass: record.deviceClass || "unknown",
+        connectionType: record.connectionType || "unknown"
+      }, { [bucketOf(metric, record.value)]: 1 });
+    });
+    if (snapshot.size < PAGE_SIZE) {
+      break;
+    }
+    lastDoc = snapshot.docs[snapshot.size - 1];
+  }
+
+  const pageSamples = new Map();
+  groups.forEach(group => {
+    pageSamples.set(group.page, (pageSamples.get(group.page) || 0) + sampleCount(group.histogram));
+  });
+  const topPages = new Set([...pageSamples.entries()]
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, WEB_VITALS.maxPages)
+    .map(([page]) => page));
+
+  const folded = new Map();
+  groups.forEach(({ histogram, ...group }) => {
+    const page = topPages.has(group.page) ? group.page : "other";
+    addToGroup(folded, { ...group, page }, histogram);
+  });
+  return [...folded.values()];
+};
+
+/**
+ * Digest one finished day into admin/web_vitals/days, one document per metric.
+ */
+const digestDay = async (dateKey) => {
+  let samples = 0;
+  for (const metric of METRICS) {
+    const groups = await digestMetric(dateKey, metric);
+    await dayRef(dateKey, metric).set({
+      date: dateKey,
+      metric,
+      groups,
+      builtAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    samples += groups.reduce((sum, group) => sum + sampleCount(group.histogram), 0);
+  }
+  return samples;
+};
+
+// Every combination of a group's values with 'all', so a report can be read
+// at any level, from all traffic down to a single page on one connection type
+const rollupsOf = (group) => {
+  const rollups = [];
+  for (let mask = 0; mask < 1 << DIMENSIONS.length; mask++) {
+    const rollup = {};
+    DIMENSIONS.forEach((dimension, index) => {
+      rollup[dimension] = mask & (1 << index) ? ALL : group[dimension];
+    });
+    rollups.push(rollup);
+  }
+  return rollups;
+};
+
+const reportRow = (metric, group) => {
+  const threshold = WEB_VITALS.thresholds[metric];
+  const stats = percentiles(metric, group.histogram);
+  const value = stats[`p${WEB_VITALS.breachPercentile}`];
+  return {
+    page: group.page,
+    deviceClass: group.deviceClass,
+    connectionType: group.connectionType,
+    ...stats,
+    threshold,
+    breached: stats.samples >= WEB_VITALS.minSamples && value !== null && value > threshold
+  };
+};
+
+/**
+ * Rebuild every window's report from the day digests ending at `endDate`.
+ */
+const buildReports = async (endDate) => {
+  const dates = [];
+  for (let offset = 0; offset < RETAIN_DAYS; offset++) {
+    dates.push(addDays(endDate, -offset));
+  }
+
+  for (const metric of METRICS) {
+    const days = await db.getAll(...dates.map(dateKey => dayRef(dateKey, metric)));
+
+    for (const [window, length] of Object.entries(WEB_VITALS.windows)) {
+      const from = addDays(endDate, 1 - length);
+      const rollups = new Map();
+      days
+        .filter(doc => doc.exists && doc.data().date >= from)
+        .forEach(doc => doc.data().groups.forEach(group => {
+          rollupsOf(group).forEach(rollup => addToGroup(rollups, rollup, group.histogram));
+        }));
+
+      const rows = [...rollups.values()]
+        .map(group => reportRow(metric, group))
+        .sort((a, b) => b.samples - a.samples);
+
+      await reportRef(window, metric).set({
+        window,
+        metric,
+        from,
+        to: endDate,
+        threshold: WEB_VITALS.thresholds[metric],
+        rows,
+        computedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+  }
+};
+
+// Day digests older than the longest window are no longer read
+const pruneDays = async (endDate) => {
+  const snapshot = await vitalsRef().collection("days")
+    .where("date", "<=", addDays(endDate, -RETAIN_DAYS))
+    .limit(500)
+    .get();
+  if (snapshot.empty) {
+    return 0;
+  }
+
+  const batch = db.batch();
+  snapshot.docs.forEach(doc => batch.delete(doc.ref));
+  await batch.commit();
+  return snapshot.size;
+};
+
+/**
+ * Scheduled job: digest each day since the last run up to yesterday (the first
+ * run covers the longest window), then rebuild the reports. Stops digesting
+ * at the deadline; the next run carries on from the last day digested.
+ */
+const buildWebVitals = async ({ deadline } = {}) => {
+  const yesterday = toDateKey(new Date(Date.now() - DAY_MS));
+  const stateDoc = await vitalsRef().get();
+  const lastDigestDate = stateDoc.exists ? stateDoc.data().lastDigestDate || null : null;
+
+  // Older partitions have already been cleaned up
+  const earliest = addDays(yesterday, 1 - RETAIN_DAYS);
+  let next = lastDigestDate ? addDays(lastDigestDate, 1) : earliest;
+  if (next < earliest) {
+    next = earliest;
+  }
+
+  const result = { digested: 0, samples: 0, lastDigestDate, pruned: 0, done: false };
+  while (next <= yesterday) {
+    if (deadline && Date.now() > deadline) {
+      break;
+    }
+    result.samples += await digestDay(next);
+    result.digested += 1;
+    result.lastDigestDate = next;
+    next = addDays(next, 1);
+  }
+  result.done = next > yesterday;
+
+  if (result.digested) {
+    await vitalsRef().set({
+      lastDigestDate: result.lastDigestDate,
+      lastRunAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+  }
+  if (result.lastDigestDate) {
+    await buildReports(result.lastDigestDate);
+    result.pruned = await pruneDays(result.lastDigestDate);
+  }
+  return result;
+};
+
+const dimensionFilter = Joi.string().max(500).default(ALL);
+
+const reportQuerySchema = Joi.object({
+  window: Joi.string().valid(...Object.keys(WEB_VITALS.windows)).default("7d"),
+  metric: Joi.string().valid(...METRICS),
+  page: dimensionFilter,
+  deviceClass: dimensionFilter,
+  connectionType: dimensionFilter,
+  breachesOnly: Joi.boolean().default(false)
+});
+
+const router = express.Router();
+
+router.get("/admin/web-vitals", rateLimit("admin"), requireAdmin("viewer"), async (req, res) => {
+  const { error, value } = reportQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, error: error.details[0].message });
+  }
+
+  try {
+    const metrics = value.metric ? [value.metric] : METRICS;
+    const reports = (await db.getAll(...metrics.map(metric => reportRef(value.window, metric))))
+      .filter(doc => doc.exists)
+      .map(doc => doc.data());
+
+    const rows = [];
+    reports.forEach(report => {
+      report.rows
+        .filter(row => DIMENSIONS.every(dimension =>
+          value[dimension] === "*" || row[dimension] === value[dimension]))
+        .filter(row => !value.breachesOnly || row.breached)
+        .forEach(row => rows.push({ metric: report.metric, ...row }));
+    });
+
+    res.status(200).json({
+      success: true,
+      window: value.window,
+      from: reports[0]?.from || null,
+      to: reports[0]?.to || null,
+      computedAt: reports[0]?.computedAt?.toDate?.()?.toISOString() || null,
+      thresholds: WEB_VITALS.thresholds,
+      breachPercentile: WEB_VITALS.breachPercentile,
+      breaches: rows.filter(row => row.breached).length,
+      rows
+    });
+  } catch (error) {
+    console.error("Web vitals report error:", error);
+    res.status(500).json({ success: false, error: "Unable to load the web vitals report" });
+  }
+});
+
+module.exports = {
+  router,
+  METRICS,
+  bucketOf,
+  percentiles,
+  reportRow,
+  buildWebVitals
+};
@@ -0,0 +1,285 @@
+/**
+ * High Leverage Humans - Email Suggest
+ * Shared "did you mean" engine for mistyped email domains (gmial.com, hotmial.con).
+ * Used by FormController in the browser and by the emailCapture Cloud Function,
+ * which gets a copy of this file at build time - keep it dependency-free.
+ */
+
+(function (root, factory) {
+    const EmailSuggest = factory();
+    
+    // Export for global access
+    if (typeof window !== 'undefined') {
+        window.EmailSuggest = EmailSuggest;
+    }
+    
+    // Export for module systems
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = EmailSuggest;
+    }
+})(this, function () {
+    const COMMON_DOMAINS = [
+        'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.uk', 'ymail.com',
+        'hotmail.com', 'hotmail.co.uk', 'outlook.com', 'live.com', 'msn.com',
+        'icloud.com', 'me.com', 'mac.com', 'aol.com', 'protonmail.com', 'proton.me',
+        'gmx.com', 'gmx.de', 'mail.com', 'zoho.com', 'fastmail.com', 'hey.com',
+        'comcast.net', 'verizon.net', 'att.net', 'btinternet.com', 'web.de'
+    ];
+    
+    // Country and regional domains of the big providers. These are real
+    // addresses, so they are never "corrected" to the provider's .com
+    const PROVIDER_COUNTRY_TLDS = {
+        yahoo: [
+            'ca', 'co.in', 'co.id', 'co.jp', 'co.nz', 'co.za', 'com.ar', 'com.au', 'com.br',
+            'com.hk', 'com.mx', 'com.sg', 'com.tw', 'at', 'be', 'de', 'dk', 'es', 'fi', 'fr',
+            'gr', 'ie', 'in', 'it', 'nl', 'no', 'pl', 'ro', 'se'
+        ],
+        hotmail: [
+            'ca', 'co.jp', 'co.nz', 'co.za', 'com.ar', 'com.au', 'com.br', 'at', 'be', 'ch',
+            'cl', 'de', 'dk', 'es', 'fi', 'fr', 'gr', 'it', 'nl', 'no', 'se'
+        ],
+        outlook: [
+            'co.id', 'co.il', 'co.nz', 'co.th', 'co.uk', 'com.ar', 'com.au', 'com.br',
+            'com.tr', 'com.vn', 'at', 'be', 'cl', 'cz', 'de', 'dk', 'es', 'fr', 'hu', 'ie',
+            'in', 'it', 'jp', 'kr', 'lv', 'ph', 'pt', 'sa', 'sk'
+        ],
+        live: [
+            'ca', 'co.uk', 'co.za', 'com.ar', 'com.au', 'com.mx', 'com.pt', 'at', 'be', 'ch',
+            'cl', 'cn', 'de', 'dk', 'fi', 'fr', 'ie', 'in', 'it', 'jp', 'nl', 'no', 'ru', 'se'
+        ],
+        msn: ['cn'],
+        gmx: ['at', 'ch', 'co.uk', 'es', 'fr', 'it', 'net', 'us'],
+        protonmail: ['ch'],
+        aol: ['co.uk', 'de', 'fr'],
+        zoho: ['eu', 'in'],
+        mail: ['ru'],
+        yandex: ['com', 'ru', 'ua', 'by', 'kz']
+    };
+    
+    // Other real mailbox providers that sit close to a common domain
+    const OTHER_KNOWN_DOMAINS = [
+        'pm.me', 'protonmail.ch', 'tutanota.com', 'tuta.io', 'rocketmail.com', 'gmx.net',
+        't-online.de', 'freenet.de', 'orange.fr', 'wanadoo.fr', 'free.fr', 'laposte.net',
+        'libero.it', 'virgilio.it', 'mail.ru', 'qq.com', '163.com', '126.com', 'naver.com',
+        'daum.net', 'rediffmail.com', 'sbcglobal.net', 'cox.net', 'charter.net',
+        'earthlink.net', 'shaw.ca', 'rogers.com', 'sympatico.ca', 'bigpond.com', 'sky.com',
+        'virginmedia.com', 'ntlworld.com', 'seznam.cz', 'wp.pl', 'o2.pl', 'bluewin.ch',
+        'telenet.be', 'skynet.be', 'ziggo.nl', 'fastmail.fm', 'email.com', 'inbox.com',
+        'usa.com', 'post.com', 'myself.com', 'gmx.us', 'mailbox.org', 'posteo.de',
+        'hushmail.com', 'juno.com', 'lycos.com', 'excite.com', 'bell.net', 'optonline.net',
+        'frontier.com'
+    ];
+    
+    // Never suggested against: addresses on these domains are taken as typed
+    const KNOWN_DOMAINS = new Set([
+        ...COMMON_DOMAINS,
+        ...OTHER_KNOWN_DOMAINS,
+        ...Object.entries(PROVIDER_COUNTRY_TLDS).flatMap(([name, tlds]) =>
+            tlds.map(tld => `${name}.${tld}`))
+    ]);
+    
+    const COMMON_TLDS = [
+        'com', 'net', 'org', 'io', 'co', 'me', 'ai', 'app', 'dev', 'edu', 'gov',
+        'co.uk', 'org.uk', 'ac.uk', 'com.au', 'ca', 'de', 'fr', 'nl', 'es', 'it',
+        'ch', 'se', 'ie', 'us', 'info', 'biz'
+    ];
+    
+    // Every two-letter country code TLD. Addresses on a real TLD are never
+    // "corrected" to a nearby one (firma.at is not firma.ai)
+    const COUNTRY_TLDS = new Set((
+        'ac ad ae af ag ai al am ao aq ar as at au aw ax az ba bb bd be bf bg bh bi bj bm ' +
+        'bn bo bq br bs bt bw by bz ca cc cd cf cg ch ci ck cl cm cn co cr cu cv cw cx cy ' +
+        'cz de dj dk dm do dz ec ee eg er es et eu fi fj fk fm fo fr ga gd ge gf gg gh gi ' +
+        'gl gm gn gp gq gr gs gt gu gw gy hk hm hn hr ht hu id ie il im in io iq ir is it ' +
+        'je jm jo jp ke kg kh ki km kn kp kr kw ky kz la lb lc li lk lr ls lt lu lv ly ma ' +
+        'mc md me mg mh mk ml mm mn mo mp mq mr ms mt mu mv mw mx my mz na nc ne nf ng ni ' +
+        'nl no np nr nu nz om pa pe pf pg ph pk pl pm pn pr ps pt pw py qa re ro rs ru rw ' +
+        'sa sb sc sd se sg sh si sk sl sm sn so sr ss st su sv sx sy sz tc td tf tg th tj ' +
+        'tk tl tm tn to tr tt tv tw tz ua ug uk us uy uz va vc ve vg vi vn vu wf ws ye yt ' +
+        'za zm zw'
+    ).split(' '));
+    
+    // Generic TLDs seen in signups. Ones a single typo away from .com / .org
+    // (.cam, .ong) are left out, so those typos are still caught
+    const GENERIC_TLDS = new Set((
+        'com net org edu gov mil int info biz name pro mobi aero coop museum jobs travel ' +
+        'tel asia app dev page blog cloud online site website tech store shop xyz email ' +
+        'agency academy art bank center city club company consulting design digital ' +
+        'education energy finance fund global group guru health inc llc live ltd media ' +
+        'network news ninja one partners plus school science services social solutions ' +
+        'space studio systems team technology today tools top university ventures work ' +
+        'works world zone'
+    ).split(' '));
+    
+    // Registry second levels under a country code: co.za, edu.au, com.br, ac.uk...
+    const SECOND_LEVEL_LABELS = new Set((
+        'ac co com edu gov net org ne or go gob nic mil ltd plc sch nom gen biz info'
+    ).split(' '));
+    
+    function isKnownTld(tld) {
+        const labels = tld.split('.');
+        if (labels.length === 1) {
+            return COUNTRY_TLDS.has(tld) || GENERIC_TLDS.has(tld);
+        }
+        return labels.length === 2 && SECOND_LEVEL_LABELS.has(labels[0])
+            && COUNTRY_TLDS.has(labels[1]);
+    }
+    
+    // Maximum edit distance for a domain / TLD to count as a likely typo.
+    // Short domains only tolerate one edit to avoid flagging real ones.
+    const DOMAIN_THRESHOLD = 2;
+    const SHORT_DOMAIN_LENGTH = 7;
+    const TLD_THRESHOLD = 1;
+    
+    // Names shorter than this (ge.com, gm.com) are one edit from too many
+    // real domains to be matched against a provider
+    const MIN_NAME_LENGTH = 4;
+    
+    // Most edits, as a share of the longer domain, for a provider match:
+    // gmial.com is 1 in 9, but acme.com is 2 in 8 from me.com
+    const MAX_EDIT_RATIO = 0.2;
+    
+    /**
+     * Damerau-Levenshtein (optimal string alignment) distance,
+     * so swapped letters like "gmial" count as a single edit
+     */
+    function editDistance(a, b) {
+        const rows = a.length + 1;
+        const cols = b.length + 1;
+        const d = [];
+        
+        for (let i = 0; i < rows; i++) {
+            d[i] = [i];
+        }
+        for (let j = 0; j < cols; j++) {
+            d[0][j] = j;
+        }
+        
+        for (let i = 1; i < rows; i++) {
+            for (let j = 1; j < cols; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                d[i][j] = Math.min(
+                    d[i - 1][j] + 1,
+                    d[i][j - 1] + 1,
+                    d[i - 1][j - 1] + cost
+                );
+                
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+                }
+            }
+        }
+        
+        return d[rows - 1][cols - 1];
+    }
+    
+    /**
+     * Closest candidate within the threshold, or null
+     */
+    function closest(value, candidates, threshold) {
+        let best = null;
+        let bestDistance = Infinity;
+        
+        candidates.forEach(candidate => {
+            const distance = editDistance(value, candidate);
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        });
+        
+        return bestDistance > 0 && bestDistance <= threshold ? best : null;
+    }
+    
+    /**
+     * Split a domain into its name and (possibly two-part) TLD
+     */
+    function splitDomain(domain) {
+        const labels = domain.split('.');
+        const twoPartTld = labels.slice(-2).join('.');
+        
+        if (labels.length > 2 && isKnownTld(twoPartTld)) {
+            return { name: labels.slice(0, -2).join('.'), tld: twoPartTld };
+        }
+        
+        return { name: labels.slice(0, -1).join('.'), tld: labels[labels.length - 1] };
+    }
+    
+    /**
+     * Closest common provider for a domain that may be a typo of one, or null
+     */
+    function closestProvider(domain, threshold) {
+        if (KNOWN_DOMAINS.has(domain) || domain.split('.')[0].length < MIN_NAME_LENGTH) {
+            return null;
+        }
+        
+        const provider = closest(domain, COMMON_DOMAINS, threshold);
+        if (!provider) {
+            return null;
+        }
+        
+        const ratio = editDistance(domain, provider) / Math.max(domain.length, provider.length);
+        return ratio <= MAX_EDIT_RATIO ? provider : null;
+    }
+    
+    /**
+     * Suggest a corrected address for a likely domain typo.
+     * Returns { address, domain, full } or null when the email looks fine.
+     */
+    function suggest(email) {
+        if (typeof email !== 'string') {
+            return null;
+        }
+        
+        const trimmed = email.trim().toLowerCase();
+        const at = trimmed.lastIndexOf('@');
+        if (at < 1 || at === trimmed.length - 1) {
+            return null;
+        }
+        
+        const address = trimmed.slice(0, at);
+        const domain = trimmed.slice(at + 1);
+        
+        if (KNOWN_DOMAINS.has(domain)) {
+            return null;
+        }
+        
+        // Close to a well-known provider, e.g. gmial.com -> gmail.com
+        const threshold = domain.length <= SHORT_DOMAIN_LENGTH ? 1 : DOMAIN_THRESHOLD;
+        let suggestedDomain = closestProvider(domain, threshold);
+        
+        // Otherwise only fix a TLD that doesn't exist, e.g. example.con -> example.com
+        if (!suggestedDomain) {
+            const { name, tld } = splitDomain(domain);
+            if (name && !isKnownTld(tld)) {
+                const suggestedTld = closest(tld, COMMON_TLDS, TLD_THRESHOLD);
+                if (suggestedTld) {
+                    suggestedDomain = `${name}.${suggestedTld}`;
+                    
+                    // A fixed TLD can land next to a provider, e.g. hotmial.con
+                    suggestedDomain = closestProvider(suggestedDomain, DOMAIN_THRESHOLD)
+                        || suggestedDomain;
+                }
+            }
+        }
+        
+        if (!suggestedDomain || suggestedDomain === domain) {
+            return null;
+        }
+        
+        return {
+            address,
+            domain: suggestedDomain,
+            full: `${address}@${suggestedDomain}`
+        };
+    }
+    
+    return {
+        suggest,
+        editDistance,
+        isKnownTld,
+        COMMON_DOMAINS,
+        KNOWN_DOMAINS,
+        COMMON_TLDS
+    };
+});
@@ -8,8 +8,25 @@ class FormController {
         this.forms = new Map();
         this.validators = new Map();
         this.isSubmitting = false;
+        this.funnelSteps = new Set();
         this.config = {
-            apiEndpoint: '/api/subscribe', // Configure your endpoint
+            apiEndpoint: '/api/email-capture', // Proxied to the emailCapture function
+            challengeEndpoint: '/api/challenge', // Form token + proof-of-work challenge
+            referralStorageKey: 'hlh_referral_code', // Code from a ?ref= share link
+            attributionStorageKey: 'hlh_attribution', // First/last marketing touch
+            attributionParams: [
+                'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content',
+                'gclid', 'fbclid'
+            ],
+            attributionTtlDays: 90,
+            referralShareSelector: '#referral-share',
+            waitlistStatusEndpoint: '/api/waitlist/status', // Position lookup by emailed token
+            waitlistStatusSelector: '#waitlist-status',
+            funnelFormType: 'email-capture', // The waitlist form the funnel follows
+            funnelSections: { // Funnel steps reported when a section comes into view
+                hero_view: '#hero',
+                early_access_view: '#early-access'
+            },
             firebaseConfig: null, // Will be set from external config
             animationDuration: 300,
             debounceDelay: 300
@@ -29,15 +46,27 @@ class FormController {
         try {
             console.log('📝 Initializing Form Controller');
             
+            // Remember who referred this visitor before they navigate around
+            this.captureReferralCode();
+            
+            // Record how this visitor arrived (UTM tags, ad clicks, referrer)
+            this.captureAttribution();
+            
             // Setup validators
             this.setupValidators();
             
             // Find and initialize all forms
             this.initializeForms();
             
+            // Report waitlist funnel steps as the visitor moves down the page
+            this.initializeFunnelTracking();
+            
             // Setup global form event listeners
             this.setupEventListeners();
             
+            // Arrived from a waitlist link in an email - show where they stand
+            this.loadWaitlistStatus();
+            
             console.log('✅ Form Controller initialized successfully');
             
         } catch (error) {
@@ -75,6 +104,14 @@ class FormController {
             message: 'Name must be at least 2 characters long'
         });
 
+        // Consent checkbox validator
+        this.validators.set('consent', {
+            validate: (value) => {
+                return value === 'on';
+            },
+            message: 'Please agree to receive emails to join the waitlist'
+        });
+
         // Phone validator
         this.validators.set('phone', {
             validate: (value) => {
@@ -113,7 +150,8 @@ class FormController {
             fields: new Map(),
             isValid: false,
             submitButton: form.querySelector('[type="submit"]'),
-            loadingState: false
+            loadingState: false,
+            botDefense: null
         };
 
         // Initialize form fields
@@ -125,6 +163,9 @@ class FormController {
         // Setup form submission
         form.addEventListener('submit', (e) => this.handleSubmit(e, formConfig));
 
+        // Fetch and solve the bot defense challenge ahead of submission
+        this.refreshBotDefense(formConfig);
+
         // Store form configuration
         this.forms.set(form.id, formConfig);
 
@@ -145,6 +186,8 @@ class FormController {
             validators,
             isValid: false,
             errorElement: null,
+            suggestion: null,
+            suggestionElement: null,
             originalValue: field.value
         };
 
@@ -206,6 +249,10 @@ class FormController {
         field.addEventListener('focus', () => {
             field.classList.add('is-focused');
             this.clearFieldError(fieldConfig);
+            
+            if (field.type === 'email') {
+                this.trackFormFunnelStep(formConfig, 'email_focus');
+            }
         });
 
         field.addEventListener('blur', () => {
@@ -218,7 +265,9 @@ class FormController {
      */
     validateField(fieldConfig) {
         const { element, validators, errorElement } = fieldConfig;
-        const value = element.value.trim();
+        const value = element.type === 'checkbox'
+            ? (element.checked ? 'on' : '')
+            : element.value.trim();
         
         let isValid = true;
         let errorMessage = '';
@@ -240,6 +289,7 @@ class FormController {
             element.classList.remove('is-invalid');
             element.classList.add('is-valid');
             this.clearFieldError(fieldConfig);
+            this.checkEmailSuggestion(fieldConfig, value);
         } else {
             element.classList.remove('is-valid');
             element.classList.add('is-invalid');
@@ -249,6 +299,66 @@ class FormController {
         return isValid;
     }
 
+    /**
+     * Offer a "did you mean" fix for a likely email domain typo
+     */
+    checkEmailSuggestion(fieldConfig, value) {
+        if (fieldConfig.element.dataset.suggest !== 'email' || !window.EmailSuggest) {
+            return;
+        }
+        
+        const suggestion = window.EmailSuggest.suggest(value);
+        if (suggestion) {
+            this.showSuggestion(fieldConfig, value, suggestion.full);
+        } else {
+            this.clearSuggestion(fieldConfig);
+        }
+    }
+
+    /**
+     * Show an inline suggestion with a one-click fix
+     */
+    showSuggestion(fieldConfig, value, suggested) {
+        const { element } = fieldConfig;
+        
+        if (!fieldConfig.suggestionElement) {
+            const suggestionElement = document.createElement('div');
+            suggestionElement.className = 'field-suggestion';
+            suggestionElement.setAttribute('aria-live', 'polite');
+            
+            const container = element.closest('.field-container') || element.parentElement;
+            container.appendChild(suggestionElement);
+            fieldConfig.suggestionElement = suggestionElement;
+        }
+        
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'field-suggestion__apply';
+        button.textContent = suggested;
+        button.addEventListener('click', () => {
+            element.value = suggested;
+            this.clearSuggestion(fieldConfig);
+            this.validateField(fieldConfig);
+            element.focus();
+        });
+        
+        fieldConfig.suggestionElement.replaceChildren('Did you mean ', button, '?');
+        fieldConfig.suggestionElement.classList.add('is-visible');
+        fieldConfig.suggestion = { value, suggested };
+    }
+
+    /**
+     * Clear the inline suggestion
+     */
+    clearSuggestion(fieldConfig) {
+        fieldConfig.suggestion = null;
+        
+        if (fieldConfig.suggestionElement) {
+            fieldConfig.suggestionElement.replaceChildren();
+            fieldConfig.suggestionElement.classList.remove('is-visible');
+        }
+    }
+
     /**
      * Show field error
      */
@@ -312,9 +422,12 @@ class FormController {
         if (this.isSubmitting || formConfig.loadingState) {
             return;
         }
+        
+        this.trackFormFunnelStep(formConfig, 'submit_attempt');
 
         // Validate form
         if (!this.validateForm(formConfig)) {
+            this.trackFormFunnelStep(formConfig, 'validation_failure', { origin: 'client' });
             this.focusFirstInvalidField(formConfig);
             return;
         }
@@ -325,6 +438,7 @@ class FormController {
             
             // Collect form data
             const formData = this.collectFormData(formConfig);
+            Object.assign(formData, await this.getBotDefenseFields(formConfig));
             
             // Submit form
             const result = await this.submitForm(formData, formConfig);
@@ -337,9 +451,102 @@ class FormController {
             await this.handleSubmissionError(error, formConfig);
         } finally {
             this.setFormLoadingState(formConfig, false);
+            
+            // Form tokens are single-use
+            this.refreshBotDefense(formConfig);
         }
     }
 
+    /**
+     * Start fetching a new form token (and solving its proof of work)
+     */
+    refreshBotDefense(formConfig) {
+        if (formConfig.element.dataset.botDefense !== 'true') {
+            return;
+        }
+        
+        formConfig.botDefense = this.prepareBotDefense();
+        
+        // Failures are retried at submit time
+        formConfig.botDefense.catch(() => {});
+    }
+
+    /**
+     * Get the bot defense fields to send with a submission
+     */
+    async getBotDefenseFields(formConfig) {
+        if (!formConfig.botDefense) {
+            return {};
+        }
+        
+        try {
+            return await formConfig.botDefense;
+        } catch (error) {
+            console.warn('Bot defense challenge failed, retrying:', error);
+            formConfig.botDefense = this.prepareBotDefense();
+            return await formConfig.botDefense;
+        }
+    }
+
+    /**
+     * Fetch a form token from the challenge endpoint and solve its proof of work
+     */
+    async prepareBotDefense() {
+        const response = await fetch(this.config.challengeEndpoint, {
+            headers: {
+                'X-Requested-With': 'XMLHttpRequest'
+            }
+        });
+        
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        
+        const { formToken, proofOfWork } = await response.json();
+        const fields = { formToken };
+        
+        if (proofOfWork) {
+            fields.powSolution = await this.solveProofOfWork(formToken, proofOfWork.difficulty);
+        }
+        
+        return fields;
+    }
+
+    /**
+     * Find a value whose SHA-256 with the token has `difficulty` leading zero bits
+     */
+    async solveProofOfWork(formToken, difficulty) {
+        const encoder = new TextEncoder();
+        
+        for (let attempt = 0; ; attempt++) {
+            const digest = await crypto.subtle.digest(
+                'SHA-256',
+                encoder.encode(`${formToken}:${attempt}`)
+            );
+            
+            if (this.countLeadingZeroBits(new Uint8Array(digest)) >= difficulty) {
+                return String(attempt);
+            }
+        }
+    }
+
+    /**
+     * Count leading zero bits of a byte array
+     */
+    countLeadingZeroBits(bytes) {
+        let bits = 0;
+        
+        for (const byte of bytes) {
+            if (byte === 0) {
+                bits += 8;
+                continue;
+            }
+            return bits + Math.clz32(byte) - 24;
+        }
+        
+        return bits;
+    }
+
     /**
      * Set form loading state
      */
@@ -375,8 +582,32 @@ class FormController {
             data[key] = value;
         }
         
+        // Send checkboxes as booleans, including unchecked ones FormData omits
+        formConfig.fields.forEach((fieldConfig, name) => {
+            if (fieldConfig.element.type === 'checkbox') {
+                data[name] = fieldConfig.element.checked;
+            }
+            
+            // Submitting with a suggestion still showing means "keep my address"
+            if (fieldConfig.suggestion && fieldConfig.suggestion.value === data[name]) {
+                data.ignoreSuggestion = true;
+            }
+        });
+        
+        // First- and last-touch marketing attribution
+        const attribution = this.getAttribution();
+        if (attribution) {
+            data.attribution = attribution;
+        }
+        
+        // Credit whoever shared the link that brought this visitor here
+        const referralCode = this.getReferralCode();
+        if (referralCode && formConfig.type === 'email-capture') {
+            data.ref = referralCode;
+        }
+        
         // Add metadata
-        data._metadata = {
+        data.metadata = {
             timestamp: new Date().toISOString(),
             userAgent: navigator.userAgent,
             referrer: document.referrer,
@@ -427,7 +658,12 @@ class FormController {
         });
         
         if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            // Surface the server's validation message when there is one
+            const body = await response.json().catch(() => null);
+            const error = new Error(body?.error || `HTTP ${response.status}: ${response.statusText}`);
+            error.suggestion = body?.suggestion || null;
+            error.status = response.status;
+            throw error;
         }
         
         return await response.json();
@@ -440,8 +676,14 @@ class FormController {
         // Show success message
         this.showSuccessMessage(formConfig);
         
+        // Show the subscriber's own share link
+        if (result.referral) {
+            this.showReferralShare(result.referral);
+        }
+        
         // Track successful submission
         this.trackFormSubmission(formConfig, 'success');
+        this.trackFormFunnelStep(formConfig, 'submit_success');
         
         // Reset form if configured
         if (formConfig.element.dataset.resetOnSuccess !== 'false') {
@@ -461,11 +703,24 @@ class FormController {
      * Handle submission error
      */
     async handleSubmissionError(error, formConfig) {
+        // Server spotted a likely typo - offer the fix inline on the email field
+        if (error.suggestion) {
+            formConfig.fields.forEach(fieldConfig => {
+                if (fieldConfig.element.dataset.suggest === 'email') {
+                    const value = fieldConfig.element.value.trim();
+                    this.showSuggestion(fieldConfig, value, error.suggestion);
+                }
+            });
+        }
+        
         // Show error message
         this.showErrorMessage(formConfig, error.message);
         
-        // Track error
+        // Track error; a 400 means the server rejected what was entered
         this.trackFormSubmission(formConfig, 'error', error);
+        if (error.status === 400) {
+            this.trackFormFunnelStep(formConfig, 'validation_failure', { origin: 'server' });
+        }
         
         // Dispatch error event
         const event = new CustomEvent('form:error', {
@@ -482,6 +737,195 @@ class FormController {
         this.displayMessage(formConfig, message);
     }
 
+    /**
+     * Store a referral code from the ?ref= query parameter
+     */
+    captureReferralCode() {
+        const code = new URLSearchParams(window.location.search).get('ref');
+        if (!code) {
+            return;
+        }
+        
+        try {
+            localStorage.setItem(this.config.referralStorageKey, code.trim().slice(0, 32));
+        } catch (error) {
+            // Storage can be unavailable (private mode) - fall back to the URL
+        }
+    }
+
+    /**
+     * Record this visit as a marketing touch. The first touch is kept (for
+     * attributionTtlDays); the last touch is replaced whenever the visitor
+     * arrives from a campaign link or another site.
+     */
+    captureAttribution() {
+        const params = new URLSearchParams(window.location.search);
+        const touch = {};
+        
+        this.config.attributionParams.forEach(key => {
+            const value = params.get(key);
+            if (value) {
+                touch[key] = value.slice(0, 200);
+            }
+        });
+        
+        let referrer = '';
+        try {
+            const referrerUrl = document.referrer ? new URL(document.referrer) : null;
+            if (referrerUrl && referrerUrl.hostname !== window.location.hostname) {
+                referrer = referrerUrl.href;
+            }
+        } catch (error) {
+            // Unparseable referrer - treat as direct
+        }
+        
+        const stored = this.getAttribution() || {};
+        const isCampaignVisit = Object.keys(touch).length > 0 || Boolean(referrer);
+        const firstTouchAge = stored.firstTouch
+            ? Date.now() - new Date(stored.firstTouch.timestamp).getTime()
+            : Infinity;
+        const firstTouchExpired = !(firstTouchAge < this.config.attributionTtlDays * 86400000);
+        
+        // Internal navigation and plain reloads are not new touches
+        if (!isCampaignVisit && !firstTouchExpired) {
+            return;
+        }
+        
+        Object.assign(touch, {
+            landingPage: `${window.location.origin}${window.location.pathname}${window.location.search}`,
+            timestamp: new Date().toISOString()
+        });
+        if (referrer) {
+            touch.referrer = referrer;
+        }
+        
+        const attribution = {
+            firstTouch: firstTouchExpired ? touch : stored.firstTouch,
+            lastTouch: touch
+        };
+        
+        try {
+            localStorage.setItem(this.config.attributionStorageKey, JSON.stringify(attribution));
+        } catch (error) {
+            // Storage unavailable - the server falls back to the page URL
+        }
+    }
+
+    /**
+     * Get the stored first/last touch attribution, if any
+     */
+    getAttribution() {
+        try {
+            const stored = localStorage.getItem(this.config.attributionStorageKey);
+            return stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Get the stored referral code, if any
+     */
+    getReferralCode() {
+        try {
+            const stored = localStorage.getItem(this.config.referralStorageKey);
+            if (stored) {
+                return stored;
+            }
+        } catch (error) {
+            // Storage unavailable
+        }
+        return new URLSearchParams(window.location.search).get('ref');
+    }
+
+    /**
+     * Show the share link and referral count after signing up
+     */
+    showReferralShare(referral) {
+        const container = document.querySelector(this.config.referralShareSelector);
+        if (!container || !referral.shareUrl) {
+            return;
+        }
+        
+        const urlInput = container.querySelector('[data-referral-url]');
+        const countElement = container.querySelector('[data-referral-count]');
+        const copyButton = container.querySelector('[data-referral-copy]');
+        
+        if (urlInput) {
+            urlInput.value = referral.shareUrl;
+        }
+        if (countElement) {
+            countElement.textContent = String(referral.count || 0);
+        }
+        if (copyButton && !copyButton.dataset.bound) {
+            copyButton.dataset.bound = 'true';
+            copyButton.addEventListener('click', async () => {
+                try {
+                    await navigator.clipboard.writeText(urlInput.value);
+                    copyButton.textContent = 'Copied!';
+                } catch (error) {
+                    urlInput.select();
+                }
+            });
+        }
+        
+        container.hidden = false;
+    }
+
+    /**
+     * Look up the waitlist position for a ?waitlist= token
+     */
+    async loadWaitlistStatus() {
+        const token = new URLSearchParams(window.location.search).get('waitlist');
+        if (!token) {
+            return;
+        }
+        
+        try {
+            const url = `${this.config.waitlistStatusEndpoint}?token=${encodeURIComponent(token)}`;
+            const response = await fetch(url, {
+                headers: { 'X-Requested-With': 'XMLHttpRequest' }
+            });
+            if (!response.ok) {
+                return;
+            }
+            
+            const status = await response.json();
+            this.showWaitlistStatus(status);
+            if (status.referral) {
+                this.showReferralShare(status.referral);
+            }
+        } catch (error) {
+            console.warn('Waitlist status lookup failed:', error);
+        }
+    }
+
+    /**
+     * Show the subscriber's waitlist position
+     */
+    showWaitlistStatus(status) {
+        const container = document.querySelector(this.config.waitlistStatusSelector);
+        if (!container || !status.position) {
+            return;
+        }
+        
+        const positionElement = container.querySelector('[data-waitlist-position]');
+        const detailElement = container.querySelector('[data-waitlist-detail]');
+        
+        if (positionElement) {
+            positionElement.textContent = `#${status.position.toLocaleString()}`;
+        }
+        if (detailElement) {
+            const ahead = status.ahead === 1 ? '1 person' : `${status.ahead.toLocaleString()} people`;
+            const boosts = status.boosts?.referrals
+                ? ` Your referrals have moved you up ${status.boosts.hoursGained} hours.`
+                : '';
+            detailElement.textContent = `${ahead} ahead of you.${boosts}`;
+        }
+        
+        container.hidden = false;
+    }
+
     /**
      * Show error message
      */
@@ -536,6 +980,7 @@ class FormController {
         formConfig.fields.forEach(fieldConfig => {
             fieldConfig.element.classList.remove('is-valid', 'is-invalid');
             this.clearFieldError(fieldConfig);
+            this.clearSuggestion(fieldConfig);
             fieldConfig.isValid = false;
         });
         
@@ -606,6 +1051,82 @@ class FormController {
         }
     }
 
+    /**
+     * Watch the sections whose coming into view is a funnel step
+     */
+    initializeFunnelTracking() {
+        if (!('IntersectionObserver' in window)) {
+            return;
+        }
+        
+        Object.entries(this.config.funnelSections).forEach(([step, selector]) => {
+            const section = document.querySelector(selector);
+            if (!section) {
+                return;
+            }
+            
+            const observer = new IntersectionObserver((entries) => {
+                if (entries.some(entry => entry.isIntersecting)) {
+                    this.trackFunnelStep(step);
+                    observer.disconnect();
+                }
+            }, { threshold: 0.3 });
+            observer.observe(section);
+        });
+    }
+
+    /**
+     * Track a funnel step for the waitlist form only
+     */
+    trackFormFunnelStep(formConfig, step, data = {}) {
+        if (formConfig.type === this.config.funnelFormType) {
+            this.trackFunnelStep(step, data);
+        }
+    }
+
+    /**
+     * Send a waitlist funnel step (once per page view), with the traffic source
+     * it is segmented by
+     */
+    trackFunnelStep(step, data = {}) {
+        if (this.funnelSteps.has(step)) {
+            return;
+        }
+        
+        const performanceModule = window.HighLeverageApp?.getModule('performance');
+        if (!performanceModule) {
+            return;
+        }
+        
+        this.funnelSteps.add(step);
+        performanceModule.trackEvent('funnel_step', {
+            step,
+            ...this.getFunnelSegment(),
+            ...data
+        });
+    }
+
+    /**
+     * Traffic source of the current visit, from the last-touch attribution
+     */
+    getFunnelSegment() {
+        const touch = this.getAttribution()?.lastTouch || {};
+        let referrerHost = null;
+        
+        try {
+            referrerHost = touch.referrer ? new URL(touch.referrer).hostname : null;
+        } catch (error) {
+            // Unparseable referrer - segment as direct
+        }
+        
+        return {
+            utmSource: touch.utm_source || null,
+            utmMedium: touch.utm_medium || null,
+            utmCampaign: touch.utm_campaign || null,
+            referrerHost
+        };
+    }
+
     /**
      * Setup global event listeners
      */
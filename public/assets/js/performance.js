@@ -19,7 +19,9 @@ class PerformanceMonitor {
                 ttfb: 800     // Time to First Byte
             },
             reportingInterval: 30000, // 30 seconds
-            batchSize: 10
+            batchSize: 10,
+            maxRequestSize: 50,   // Records per request (the API caps batches)
+            maxQueueSize: 200     // Events kept for retry while the API is unreachable
         };
         
         this.eventQueue = [];
@@ -143,7 +145,7 @@ class PerformanceMonitor {
                 
                 this.recordMetric('resource_load', loadTime, {
                     resourceType,
-                    url: entry.name,
+                    resourceUrl: entry.name,
                     size,
                     cached: entry.transferSize === 0 && entry.decodedBodySize > 0
                 });
@@ -320,6 +322,7 @@ class PerformanceMonitor {
             timestamp: Date.now(),
             url: window.location.href,
             userAgent: navigator.userAgent,
+            connection: this.getConnectionType(),
             ...metadata
         };
         
@@ -345,7 +348,8 @@ class PerformanceMonitor {
             data,
             timestamp: Date.now(),
             url: window.location.href,
-            sessionId: this.getSessionId()
+            sessionId: this.getSessionId(),
+            connection: this.getConnectionType()
         };
         
         this.eventQueue.push(event);
@@ -420,12 +424,15 @@ class PerformanceMonitor {
             }
             
             // Send to custom endpoint
-            await this.sendToEndpoint('/api/events', { events });
+            await this.sendInBatches('/api/events', 'events', events);
             
         } catch (error) {
             console.warn('Failed to send events:', error);
-            // Re-queue events for retry
-            this.eventQueue.unshift(...events);
+            // Re-queue unsent events for retry, unless the API rejected them
+            if (this.isRetryable(error)) {
+                const unsent = events.slice(error.sentCount || 0);
+                this.eventQueue = [...unsent, ...this.eventQueue].slice(-this.config.maxQueueSize);
+            }
         }
     }
 
@@ -441,12 +448,39 @@ class PerformanceMonitor {
         this.metrics.clear();
         
         try {
-            await this.sendToEndpoint('/api/metrics', { metrics });
+            await this.sendInBatches('/api/metrics', 'metrics', metrics);
         } catch (error) {
             console.warn('Failed to send metrics:', error);
         }
     }
 
+    /**
+     * Send records in requests of at most maxRequestSize, tagged with the session ID.
+     * On failure the error carries how many records were already sent.
+     */
+    async sendInBatches(endpoint, key, records) {
+        const sessionId = this.getSessionId();
+        
+        for (let start = 0; start < records.length; start += this.config.maxRequestSize) {
+            try {
+                await this.sendToEndpoint(endpoint, {
+                    sessionId,
+                    [key]: records.slice(start, start + this.config.maxRequestSize)
+                });
+            } catch (error) {
+                error.sentCount = start;
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Whether a failed send is worth retrying (offline, rate limited or server error)
+     */
+    isRetryable(error) {
+        return !error.status || error.status === 429 || error.status >= 500;
+    }
+
     /**
      * Send data to endpoint
      */
@@ -464,7 +498,9 @@ class PerformanceMonitor {
         });
         
         if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+            error.status = response.status;
+            throw error;
         }
         
         return response.json();
@@ -499,6 +535,13 @@ class PerformanceMonitor {
         return sessionId;
     }
 
+    /**
+     * Get effective connection type (slow-2g, 2g, 3g, 4g) where the browser reports it
+     */
+    getConnectionType() {
+        return navigator.connection?.effectiveType || 'unknown';
+    }
+
     /**
      * Get performance summary
      */